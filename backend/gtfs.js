@@ -0,0 +1,755 @@
+import fs from 'fs'
+import path from 'path'
+import readline from 'readline'
+import yauzl from 'yauzl'
+
+const REQUIRED_FILES = ['routes.txt', 'trips.txt', 'shapes.txt', 'stops.txt', 'stop_times.txt']
+const SECONDS_PER_HOUR = 3600
+const MAX_SERVICE_SCAN_DAYS = 366
+
+export const HEADWAY_PERIODS = [
+    { id: 'am_peak', label: 'AM peak', dayType: 'weekday', start: 6.5 * SECONDS_PER_HOUR, end: 9 * SECONDS_PER_HOUR },
+    { id: 'midday', label: 'Midday', dayType: 'weekday', start: 9 * SECONDS_PER_HOUR, end: 15.5 * SECONDS_PER_HOUR },
+    { id: 'pm_peak', label: 'PM peak', dayType: 'weekday', start: 15.5 * SECONDS_PER_HOUR, end: 18.5 * SECONDS_PER_HOUR },
+    { id: 'evening', label: 'Evening', dayType: 'weekday', start: 18.5 * SECONDS_PER_HOUR, end: 24 * SECONDS_PER_HOUR },
+    { id: 'weekend', label: 'Weekend', dayType: 'weekend', start: 7 * SECONDS_PER_HOUR, end: 22 * SECONDS_PER_HOUR }
+]
+
+function parseCsvLine(line) {
+    const values = []
+    let current = ''
+    let inQuotes = false
+
+    for (let index = 0; index < line.length; index += 1) {
+        const char = line[index]
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (line[index + 1] === '"') {
+                    current += '"'
+                    index += 1
+                } else {
+                    inQuotes = false
+                }
+            } else {
+                current += char
+            }
+        } else if (char === '"') {
+            inQuotes = true
+        } else if (char === ',') {
+            values.push(current)
+            current = ''
+        } else {
+            current += char
+        }
+    }
+
+    values.push(current)
+
+    return values
+}
+
+async function readCsvStream(stream, onRow) {
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity })
+    let header = null
+
+    for await (const rawLine of lines) {
+        const line = header === null ? rawLine.replace(/^\uFEFF/, '') : rawLine
+        if (!line.trim()) continue
+
+        const values = parseCsvLine(line)
+
+        if (header === null) {
+            header = values.map((value) => value.trim())
+            continue
+        }
+
+        const row = {}
+        for (let index = 0; index < header.length; index += 1) {
+            row[header[index]] = values[index] !== undefined ? values[index].trim() : ''
+        }
+
+        onRow(row)
+    }
+}
+
+function openZipFile(zipPath) {
+    return new Promise((resolve, reject) => {
+        yauzl.open(zipPath, { lazyEntries: true, autoClose: false }, (error, zipfile) => {
+            if (error) reject(error)
+            else resolve(zipfile)
+        })
+    })
+}
+
+function listZipEntries(zipfile) {
+    return new Promise((resolve, reject) => {
+        const entries = new Map()
+
+        zipfile.on('entry', (entry) => {
+            if (!entry.fileName.endsWith('/')) {
+                entries.set(path.posix.basename(entry.fileName), entry)
+            }
+            zipfile.readEntry()
+        })
+        zipfile.once('end', () => resolve(entries))
+        zipfile.once('error', reject)
+        zipfile.readEntry()
+    })
+}
+
+function openZipEntryStream(zipfile, entry) {
+    return new Promise((resolve, reject) => {
+        zipfile.openReadStream(entry, (error, stream) => {
+            if (error) reject(error)
+            else resolve(stream)
+        })
+    })
+}
+
+async function openFeedSource(feedPath) {
+    const stats = await fs.promises.stat(feedPath)
+
+    if (stats.isDirectory()) {
+        const fileNames = new Set(await fs.promises.readdir(feedPath))
+
+        return {
+            has: (fileName) => fileNames.has(fileName),
+            open: async (fileName) => fs.createReadStream(path.join(feedPath, fileName)),
+            close: () => {}
+        }
+    }
+
+    const zipfile = await openZipFile(feedPath)
+    const entries = await listZipEntries(zipfile)
+
+    return {
+        has: (fileName) => entries.has(fileName),
+        open: (fileName) => openZipEntryStream(zipfile, entries.get(fileName)),
+        close: () => zipfile.close()
+    }
+}
+
+function parseGtfsTime(value) {
+    if (typeof value !== 'string') return null
+
+    const match = /^(\d{1,2}):(\d{2}):(\d{2})$/.exec(value.trim())
+    if (!match) return null
+
+    return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3])
+}
+
+function parseCoordinate(value) {
+    const number = Number(value)
+    return value !== '' && Number.isFinite(number) ? number : null
+}
+
+export async function loadGtfsFeed(feedPath, { routeTypes = ['3'] } = {}) {
+    const source = await openFeedSource(feedPath)
+
+    try {
+        const missing = REQUIRED_FILES.filter((fileName) => !source.has(fileName))
+
+        if (missing.length) {
+            throw new Error(`GTFS feed is missing ${missing.join(', ')}`)
+        }
+
+        const allowedRouteTypes = new Set(routeTypes.map((value) => String(value)))
+        const routes = new Map()
+        const trips = new Map()
+        const shapePoints = new Map()
+        const stops = new Map()
+        const stopTimeRows = new Map()
+        const routeStopIds = new Map()
+        const routeShapeIds = new Map()
+        const routeTripIds = new Map()
+        let feedInfo = null
+
+        const calendars = new Map()
+        const calendarExceptions = new Map()
+
+        if (source.has('feed_info.txt')) {
+            await readCsvStream(await source.open('feed_info.txt'), (row) => {
+                feedInfo ??= {
+                    publisherName: row.feed_publisher_name || '',
+                    version: row.feed_version || '',
+                    startDate: row.feed_start_date || '',
+                    endDate: row.feed_end_date || ''
+                }
+            })
+        }
+
+        if (source.has('calendar.txt')) {
+            await readCsvStream(await source.open('calendar.txt'), (row) => {
+                if (!row.service_id) return
+
+                calendars.set(row.service_id, {
+                    days: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'].map(
+                        (day) => row[day] === '1'
+                    ),
+                    startDate: row.start_date || '',
+                    endDate: row.end_date || ''
+                })
+            })
+        }
+
+        if (source.has('calendar_dates.txt')) {
+            await readCsvStream(await source.open('calendar_dates.txt'), (row) => {
+                if (!row.service_id || !row.date) return
+
+                const exceptions = calendarExceptions.get(row.date) ?? new Map()
+                exceptions.set(row.service_id, row.exception_type === '1')
+                calendarExceptions.set(row.date, exceptions)
+            })
+        }
+
+        await readCsvStream(await source.open('routes.txt'), (row) => {
+            if (!row.route_id) return
+            if (allowedRouteTypes.size && !allowedRouteTypes.has(row.route_type)) return
+
+            routes.set(row.route_id, {
+                id: row.route_id,
+                shortName: row.route_short_name || '',
+                longName: row.route_long_name || '',
+                description: row.route_desc || '',
+                type: row.route_type
+            })
+        })
+
+        await readCsvStream(await source.open('trips.txt'), (row) => {
+            if (!row.trip_id || !routes.has(row.route_id)) return
+
+            trips.set(row.trip_id, {
+                id: row.trip_id,
+                routeId: row.route_id,
+                serviceId: row.service_id || '',
+                directionId: row.direction_id === '' ? null : Number(row.direction_id),
+                shapeId: row.shape_id || '',
+                headsign: row.trip_headsign || ''
+            })
+
+            const routeTrips = routeTripIds.get(row.route_id)
+
+            if (routeTrips) {
+                routeTrips.push(row.trip_id)
+            } else {
+                routeTripIds.set(row.route_id, [row.trip_id])
+            }
+
+            if (!row.shape_id) return
+
+            if (!shapePoints.has(row.shape_id)) {
+                shapePoints.set(row.shape_id, [])
+            }
+
+            const routeShapes = routeShapeIds.get(row.route_id)
+
+            if (routeShapes) {
+                routeShapes.add(row.shape_id)
+            } else {
+                routeShapeIds.set(row.route_id, new Set([row.shape_id]))
+            }
+        })
+
+        await readCsvStream(await source.open('shapes.txt'), (row) => {
+            const points = shapePoints.get(row.shape_id)
+            if (!points) return
+
+            const longitude = parseCoordinate(row.shape_pt_lon)
+            const latitude = parseCoordinate(row.shape_pt_lat)
+            if (longitude === null || latitude === null) return
+
+            points.push({ sequence: Number(row.shape_pt_sequence) || 0, coordinate: [longitude, latitude] })
+        })
+
+        const shapes = new Map()
+
+        for (const [shapeId, points] of shapePoints.entries()) {
+            points.sort((a, b) => a.sequence - b.sequence)
+            shapes.set(shapeId, points.map((point) => point.coordinate))
+        }
+
+        await readCsvStream(await source.open('stop_times.txt'), (row) => {
+            const trip = trips.get(row.trip_id)
+            if (!trip || !row.stop_id) return
+
+            const arrival = parseGtfsTime(row.arrival_time)
+            const departure = parseGtfsTime(row.departure_time)
+            const entry = {
+                sequence: Number(row.stop_sequence) || 0,
+                stopId: row.stop_id,
+                arrival: arrival ?? departure,
+                departure: departure ?? arrival
+            }
+
+            const existing = stopTimeRows.get(row.trip_id)
+
+            if (existing) {
+                existing.push(entry)
+            } else {
+                stopTimeRows.set(row.trip_id, [entry])
+            }
+
+            const servedStops = routeStopIds.get(trip.routeId)
+
+            if (servedStops) {
+                servedStops.add(row.stop_id)
+            } else {
+                routeStopIds.set(trip.routeId, new Set([row.stop_id]))
+            }
+        })
+
+        const stopTimes = new Map()
+
+        for (const [tripId, entries] of stopTimeRows.entries()) {
+            entries.sort((a, b) => a.sequence - b.sequence)
+            stopTimes.set(tripId, {
+                stopIds: entries.map((entry) => entry.stopId),
+                arrivals: entries.map((entry) => entry.arrival),
+                departures: entries.map((entry) => entry.departure)
+            })
+        }
+
+        await readCsvStream(await source.open('stops.txt'), (row) => {
+            if (!row.stop_id) return
+
+            const latitude = parseCoordinate(row.stop_lat)
+            const longitude = parseCoordinate(row.stop_lon)
+            if (latitude === null || longitude === null) return
+
+            stops.set(row.stop_id, {
+                id: row.stop_id,
+                name: row.stop_name || '',
+                description: row.stop_desc || '',
+                latitude,
+                longitude,
+                municipality: row.municipality || '',
+                onStreet: row.on_street || '',
+                atStreet: row.at_street || '',
+                platformCode: row.platform_code || '',
+                wheelchairBoarding: row.wheelchair_boarding === '' ? null : Number(row.wheelchair_boarding),
+                parentStation: row.parent_station || ''
+            })
+        })
+
+        const feed = {
+            path: feedPath,
+            loadedAt: new Date().toISOString(),
+            feedInfo,
+            calendars,
+            calendarExceptions,
+            routes,
+            trips,
+            shapes,
+            stops,
+            stopTimes,
+            routeStopIds,
+            routeShapeIds,
+            routeTripIds,
+            headwayCache: new Map(),
+            segmentTimeCache: new Map()
+        }
+
+        feed.serviceDates = findRepresentativeServiceDates(feed)
+
+        return feed
+    } finally {
+        source.close()
+    }
+}
+
+function parseServiceDate(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})$/.exec(value)
+    if (!match) return null
+
+    return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])))
+}
+
+function formatServiceDate(date) {
+    return date.toISOString().slice(0, 10).replace(/-/g, '')
+}
+
+// Rejects dates that only look right, such as 20241345, which Date.UTC would roll over into the next year
+export function isValidServiceDate(value) {
+    const date = parseServiceDate(value)
+    return Boolean(date) && formatServiceDate(date) === value
+}
+
+// First and last dates the feed's calendars and calendar exceptions cover
+export function getServiceDateRange(feed) {
+    const dates = [
+        ...Array.from(feed.calendars.values()).flatMap((calendar) => [calendar.startDate, calendar.endDate]),
+        ...feed.calendarExceptions.keys()
+    ]
+        .filter(isValidServiceDate)
+        .sort()
+
+    return dates.length ? { start: dates[0], end: dates[dates.length - 1] } : null
+}
+
+export function getActiveServiceIds(feed, serviceDate) {
+    const date = parseServiceDate(serviceDate)
+    const active = new Set()
+
+    if (!date) return active
+
+    const weekday = date.getUTCDay()
+
+    for (const [serviceId, calendar] of feed.calendars.entries()) {
+        if (calendar.days[weekday] && calendar.startDate <= serviceDate && serviceDate <= calendar.endDate) {
+            active.add(serviceId)
+        }
+    }
+
+    const exceptions = feed.calendarExceptions.get(serviceDate)
+
+    if (exceptions) {
+        for (const [serviceId, isAdded] of exceptions.entries()) {
+            if (isAdded) active.add(serviceId)
+            else active.delete(serviceId)
+        }
+    }
+
+    return active
+}
+
+function findRepresentativeServiceDates(feed) {
+    const candidateDates = [
+        ...Array.from(feed.calendars.values()).flatMap((calendar) => [calendar.startDate, calendar.endDate]),
+        ...feed.calendarExceptions.keys()
+    ]
+        .map((value) => parseServiceDate(value))
+        .filter(Boolean)
+        .sort((a, b) => a - b)
+
+    if (!candidateDates.length) {
+        return { weekday: null, weekend: null }
+    }
+
+    const tripsPerService = new Map()
+
+    for (const trip of feed.trips.values()) {
+        tripsPerService.set(trip.serviceId, (tripsPerService.get(trip.serviceId) ?? 0) + 1)
+    }
+
+    const best = { weekday: { date: null, trips: 0 }, weekend: { date: null, trips: 0 } }
+    const firstDate = candidateDates[0]
+    const lastDate = candidateDates[candidateDates.length - 1]
+
+    for (let offset = 0; offset < MAX_SERVICE_SCAN_DAYS; offset += 1) {
+        const date = new Date(firstDate.getTime() + offset * 24 * SECONDS_PER_HOUR * 1000)
+        if (date > lastDate) break
+
+        const serviceDate = formatServiceDate(date)
+        const dayType = date.getUTCDay() === 0 || date.getUTCDay() === 6 ? 'weekend' : 'weekday'
+        let tripCount = 0
+
+        for (const serviceId of getActiveServiceIds(feed, serviceDate)) {
+            tripCount += tripsPerService.get(serviceId) ?? 0
+        }
+
+        if (tripCount > best[dayType].trips) {
+            best[dayType] = { date: serviceDate, trips: tripCount }
+        }
+    }
+
+    return { weekday: best.weekday.date, weekend: best.weekend.date }
+}
+
+export function computeScheduledHeadways(feed, routeId) {
+    const cached = feed.headwayCache.get(routeId)
+    if (cached) return cached
+
+    const activeServices = getActiveServicesByDayType(feed)
+    const directions = new Map()
+
+    for (const tripId of feed.routeTripIds.get(routeId) ?? []) {
+        const trip = feed.trips.get(tripId)
+        const departure = feed.stopTimes.get(tripId)?.departures[0]
+        if (!trip || !Number.isFinite(departure)) continue
+
+        const directionKey = trip.directionId ?? 0
+        const direction = directions.get(directionKey) ?? {
+            directionId: directionKey,
+            headsigns: new Map(),
+            departures: { weekday: [], weekend: [] }
+        }
+
+        for (const dayType of ['weekday', 'weekend']) {
+            if (activeServices[dayType].has(trip.serviceId)) {
+                direction.departures[dayType].push(departure)
+            }
+        }
+
+        if (trip.headsign) {
+            direction.headsigns.set(trip.headsign, (direction.headsigns.get(trip.headsign) ?? 0) + 1)
+        }
+
+        directions.set(directionKey, direction)
+    }
+
+    const result = {
+        routeId,
+        serviceDates: feed.serviceDates,
+        periods: HEADWAY_PERIODS.map(({ id, label, dayType }) => ({ id, label, dayType })),
+        directions: Array.from(directions.values())
+            .sort((a, b) => a.directionId - b.directionId)
+            .map((direction) => {
+                const headsign =
+                    Array.from(direction.headsigns.entries()).sort((a, b) => b[1] - a[1])[0]?.[0] ?? ''
+                const periods = {}
+
+                for (const period of HEADWAY_PERIODS) {
+                    const tripCount = direction.departures[period.dayType].filter(
+                        (departure) => departure >= period.start && departure < period.end
+                    ).length
+                    const periodMinutes = (period.end - period.start) / 60
+
+                    periods[period.id] = {
+                        tripCount,
+                        headwayMinutes: tripCount > 0 ? periodMinutes / tripCount : null
+                    }
+                }
+
+                return { directionId: direction.directionId, headsign, periods }
+            })
+    }
+
+    feed.headwayCache.set(routeId, result)
+
+    return result
+}
+
+function getActiveServicesByDayType(feed) {
+    return {
+        weekday: feed.serviceDates.weekday ? getActiveServiceIds(feed, feed.serviceDates.weekday) : new Set(),
+        weekend: feed.serviceDates.weekend ? getActiveServiceIds(feed, feed.serviceDates.weekend) : new Set()
+    }
+}
+
+// Mean scheduled time between consecutive stops, per headway period and over the whole day ('all').
+// The time runs from departure at one stop to arrival at the next, so it includes any dwell the
+// schedule folds into running time.
+export function computeSegmentRunTimes(feed, routeId) {
+    const cached = feed.segmentTimeCache.get(routeId)
+    if (cached) return cached
+
+    const activeServices = getActiveServicesByDayType(feed)
+    const segments = new Map()
+
+    for (const tripId of feed.routeTripIds.get(routeId) ?? []) {
+        const trip = feed.trips.get(tripId)
+        const stopTimes = feed.stopTimes.get(tripId)
+        if (!trip || !stopTimes) continue
+
+        const dayTypes = ['weekday', 'weekend'].filter((dayType) => activeServices[dayType].has(trip.serviceId))
+        if (!dayTypes.length) continue
+
+        for (let index = 1; index < stopTimes.stopIds.length; index += 1) {
+            const departure = stopTimes.departures[index - 1]
+            const seconds = stopTimes.arrivals[index] - departure
+            if (!Number.isFinite(seconds) || seconds <= 0) continue
+
+            const fromStopId = stopTimes.stopIds[index - 1]
+            const toStopId = stopTimes.stopIds[index]
+            const directionId = trip.directionId ?? 0
+            const key = `${directionId}:${fromStopId}:${toStopId}`
+            const segment = segments.get(key) ?? { directionId, fromStopId, toStopId, totals: new Map() }
+            const periodIds = [
+                'all',
+                ...HEADWAY_PERIODS.filter(
+                    (period) =>
+                        dayTypes.includes(period.dayType) && departure >= period.start && departure < period.end
+                ).map((period) => period.id)
+            ]
+
+            for (const periodId of periodIds) {
+                const total = segment.totals.get(periodId) ?? { tripCount: 0, seconds: 0 }
+                total.tripCount += 1
+                total.seconds += seconds
+                segment.totals.set(periodId, total)
+            }
+
+            segments.set(key, segment)
+        }
+    }
+
+    const readStopCoordinate = (stopId) => {
+        const stop = feed.stops.get(stopId)
+        return stop ? [stop.longitude, stop.latitude] : null
+    }
+
+    const result = {
+        routeId,
+        serviceDates: feed.serviceDates,
+        periods: HEADWAY_PERIODS.map(({ id, label, dayType }) => ({ id, label, dayType })),
+        segments: Array.from(segments.values()).map((segment) => ({
+            directionId: segment.directionId,
+            fromStopId: segment.fromStopId,
+            toStopId: segment.toStopId,
+            from: readStopCoordinate(segment.fromStopId),
+            to: readStopCoordinate(segment.toStopId),
+            periods: Object.fromEntries(
+                Array.from(segment.totals.entries()).map(([periodId, total]) => [
+                    periodId,
+                    { tripCount: total.tripCount, meanSeconds: total.seconds / total.tripCount }
+                ])
+            )
+        }))
+    }
+
+    feed.segmentTimeCache.set(routeId, result)
+
+    return result
+}
+
+export function getRouteShapeCoordinates(feed, routeId) {
+    const shapeIds = feed.routeShapeIds.get(routeId)
+    if (!shapeIds) return []
+
+    return Array.from(shapeIds)
+        .map((shapeId) => feed.shapes.get(shapeId))
+        .filter((coordinates) => Array.isArray(coordinates) && coordinates.length >= 2)
+}
+
+function getStopTripIndex(feed) {
+    if (feed.stopTripIndex) return feed.stopTripIndex
+
+    const index = new Map()
+
+    for (const [tripId, stopTimes] of feed.stopTimes.entries()) {
+        stopTimes.stopIds.forEach((stopId, position) => {
+            const entries = index.get(stopId)
+
+            if (entries) {
+                entries.push({ tripId, position })
+            } else {
+                index.set(stopId, [{ tripId, position }])
+            }
+        })
+    }
+
+    feed.stopTripIndex = index
+
+    return index
+}
+
+export function getScheduledDepartures(feed, stopId, serviceDate, fromSeconds, limit = 20) {
+    const activeServices = getActiveServiceIds(feed, serviceDate)
+    const departures = []
+
+    for (const { tripId, position } of getStopTripIndex(feed).get(stopId) ?? []) {
+        const trip = feed.trips.get(tripId)
+        if (!trip || !activeServices.has(trip.serviceId)) continue
+
+        const stopTimes = feed.stopTimes.get(tripId)
+        if (position === stopTimes.stopIds.length - 1) continue
+
+        const seconds = stopTimes.departures[position]
+        if (!Number.isFinite(seconds) || seconds < fromSeconds) continue
+
+        departures.push({
+            tripId,
+            routeId: trip.routeId,
+            directionId: trip.directionId,
+            headsign: trip.headsign,
+            seconds
+        })
+    }
+
+    departures.sort((a, b) => a.seconds - b.seconds)
+
+    return departures.slice(0, limit)
+}
+
+function getStopRouteIndex(feed) {
+    if (feed.stopRouteIndex) return feed.stopRouteIndex
+
+    const index = new Map()
+
+    for (const [routeId, stopIds] of feed.routeStopIds.entries()) {
+        for (const stopId of stopIds) {
+            const routeIds = index.get(stopId)
+
+            if (routeIds) {
+                routeIds.push(routeId)
+            } else {
+                index.set(stopId, [routeId])
+            }
+        }
+    }
+
+    feed.stopRouteIndex = index
+
+    return index
+}
+
+export function getStopRouteIds(feed, stopId) {
+    return getStopRouteIndex(feed).get(stopId) ?? []
+}
+
+function getRouteDirectionStopIds(feed, routeId, directionId) {
+    if (!feed.routeDirectionStopIds) feed.routeDirectionStopIds = new Map()
+
+    const key = `${routeId}:${directionId}`
+    if (feed.routeDirectionStopIds.has(key)) return feed.routeDirectionStopIds.get(key)
+
+    const stopIds = new Set()
+
+    for (const tripId of feed.routeTripIds.get(routeId) ?? []) {
+        if ((feed.trips.get(tripId)?.directionId ?? 0) !== directionId) continue
+
+        for (const stopId of feed.stopTimes.get(tripId)?.stopIds ?? []) {
+            stopIds.add(stopId)
+        }
+    }
+
+    feed.routeDirectionStopIds.set(key, stopIds)
+
+    return stopIds
+}
+
+export function getRouteStops(feed, routeId, { directionId = null } = {}) {
+    const stopIds =
+        directionId === null ? feed.routeStopIds.get(routeId) : getRouteDirectionStopIds(feed, routeId, directionId)
+    if (!stopIds) return []
+
+    return Array.from(stopIds)
+        .map((stopId) => feed.stops.get(stopId))
+        .filter(Boolean)
+}
+
+// Served stops whose name contains the query (or whose id matches it), names starting with it first
+export function searchStops(feed, query, limit = 10) {
+    const needle = query.trim().toLowerCase()
+    if (!needle) return []
+
+    const servedStops = getStopRouteIndex(feed)
+    const matches = []
+
+    for (const stop of feed.stops.values()) {
+        if (!servedStops.has(stop.id)) continue
+
+        const name = stop.name.toLowerCase()
+        const rank = stop.id.toLowerCase() === needle ? 0 : name.startsWith(needle) ? 1 : name.includes(needle) ? 2 : -1
+        if (rank !== -1) matches.push({ stop, rank })
+    }
+
+    return matches
+        .sort((a, b) => a.rank - b.rank || a.stop.name.localeCompare(b.stop.name))
+        .slice(0, limit)
+        .map((match) => match.stop)
+}
+
+export function summarizeGtfsFeed(feed) {
+    return {
+        path: feed.path,
+        loadedAt: feed.loadedAt,
+        feedInfo: feed.feedInfo,
+        routeCount: feed.routes.size,
+        tripCount: feed.trips.size,
+        shapeCount: feed.shapes.size,
+        stopCount: feed.stops.size,
+        serviceDates: feed.serviceDates
+    }
+}
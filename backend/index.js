@@ -1,16 +1,39 @@
 import express from 'express'
 import cors from 'cors'
+import crypto from 'crypto'
+import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import {
+    computeScheduledHeadways,
+    computeSegmentRunTimes,
+    getRouteShapeCoordinates,
+    getRouteStops,
+    getScheduledDepartures,
+    getServiceDateRange,
+    getStopRouteIds,
+    isValidServiceDate,
+    loadGtfsFeed,
+    searchStops,
+    summarizeGtfsFeed
+} from './gtfs.js'
+import {
+    buildTripUpdateList,
+    buildVehiclePositionCollection,
+    createRealtimeFeed
+} from './realtime.js'
+import { ROUTING_SETTINGS, computeIsochrones, planTrip } from './routing.js'
+import { createScenarioStore, MAX_SCENARIOS, validateScenarioInput } from './scenarios.js'
+import { createMbtaVehicleSource, createReplayVehicleSource, createVehicleHub } from './vehicles.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 
 const app = express()
 app.use(cors())
-app.use(express.json())
+app.use(express.json({ limit: '5mb' }))
 
-// Future: serve static MassGIS/GTFS artifacts from /static
+// Static MassGIS/GTFS artifacts; a GTFS zip placed here is loaded at startup
 app.use('/static', express.static(path.join(__dirname, 'static')))
 
 app.get('/healthz', (_req, res) => res.send('ok'))
@@ -193,5 +216,1398 @@ app.get('/api/massgis/layers/:layerId', async (req, res) => {
     }
 })
 
+const MBTA_API_BASE_URL = 'https://api-v3.mbta.com'
+const MBTA_API_KEY = typeof process.env.MBTA_API_KEY === 'string' ? process.env.MBTA_API_KEY.trim() : ''
+const MBTA_PAGE_LIMIT = 500
+const MBTA_MAX_PAGE_OFFSET = 100000
+const MBTA_CACHE_MAX_ENTRIES = 500
+const MBTA_SHAPE_ROUTE_BATCH_SIZE = 25
+
+const mbtaCache = new Map()
+
+async function fetchMbtaPage(resource, params) {
+    const url = new URL(`${MBTA_API_BASE_URL}/${resource}`)
+
+    for (const [key, value] of Object.entries(params)) {
+        url.searchParams.set(key, value)
+    }
+
+    const headers = MBTA_API_KEY
+        ? { accept: 'application/vnd.api+json', 'x-api-key': MBTA_API_KEY }
+        : { accept: 'application/vnd.api+json' }
+
+    const response = await fetch(url.toString(), { headers })
+
+    if (!response.ok) {
+        const message = await response.text()
+        throw new Error(`MBTA ${resource} request failed: ${response.status} ${message}`)
+    }
+
+    return response.json()
+}
+
+// Makes room for one more entry: expired entries go first, then the oldest, as the map keeps insertion order
+function pruneMbtaCache() {
+    if (mbtaCache.size < MBTA_CACHE_MAX_ENTRIES) return
+
+    const now = Date.now()
+
+    for (const [key, entry] of mbtaCache.entries()) {
+        if (now - entry.timestamp >= entry.ttlMs) {
+            mbtaCache.delete(key)
+        }
+    }
+
+    for (const key of mbtaCache.keys()) {
+        if (mbtaCache.size < MBTA_CACHE_MAX_ENTRIES) break
+        mbtaCache.delete(key)
+    }
+}
+
+async function fetchMbtaResource(resource, params = {}, { ttlMs = CACHE_TTL_MS } = {}) {
+    const cacheKey = `${resource}?${new URLSearchParams(params).toString()}`
+    const cached = mbtaCache.get(cacheKey)
+
+    if (cached && Date.now() - cached.timestamp < ttlMs) {
+        return cached.data
+    }
+
+    const data = []
+    const included = new Map()
+    let offset = 0
+
+    while (true) {
+        const payload = await fetchMbtaPage(resource, {
+            ...params,
+            'page[limit]': String(MBTA_PAGE_LIMIT),
+            'page[offset]': String(offset)
+        })
+
+        if (!payload || !Array.isArray(payload.data)) {
+            throw new Error(`Unexpected response format from MBTA ${resource} API`)
+        }
+
+        data.push(...payload.data)
+
+        if (Array.isArray(payload.included)) {
+            for (const item of payload.included) {
+                if (!item || !item.type || !item.id) continue
+                included.set(`${item.type}:${item.id}`, item)
+            }
+        }
+
+        const hasNextPage = Boolean(payload.links?.next)
+
+        if (!hasNextPage || payload.data.length < MBTA_PAGE_LIMIT) {
+            break
+        }
+
+        offset += MBTA_PAGE_LIMIT
+
+        if (offset > MBTA_MAX_PAGE_OFFSET) {
+            throw new Error(`Pagination limit exceeded while loading MBTA ${resource}`)
+        }
+    }
+
+    const result = { data, included: Array.from(included.values()) }
+
+    mbtaCache.delete(cacheKey)
+    pruneMbtaCache()
+    mbtaCache.set(cacheKey, { data: result, timestamp: Date.now(), ttlMs })
+
+    return result
+}
+
+function parseIdList(value) {
+    if (typeof value !== 'string') return []
+
+    return value
+        .split(',')
+        .map((item) => item.trim())
+        .filter((item) => /^[A-Za-z0-9_.-]+$/.test(item))
+}
+
+// null when absent, undefined when invalid
+function parseDirectionId(value) {
+    if (value === undefined || value === '') return null
+    return value === '0' || value === '1' ? Number(value) : undefined
+}
+
+app.get('/api/mbta/routes', async (req, res) => {
+    const types = parseIdList(req.query.type ?? '3')
+
+    if (!types.length) {
+        res.status(400).json({ error: 'Invalid route type filter' })
+        return
+    }
+
+    try {
+        const data = await fetchMbtaResource('routes', {
+            'filter[type]': types.join(','),
+            sort: 'short_name'
+        })
+        res.json(data)
+    } catch (error) {
+        console.error('Failed to load MBTA routes', error)
+        res.status(502).json({ error: 'Failed to load MBTA routes', details: error.message })
+    }
+})
+
+app.get('/api/mbta/shapes', async (req, res) => {
+    const routeIds = parseIdList(req.query.route)
+
+    if (!routeIds.length) {
+        res.status(400).json({ error: 'A route query parameter is required' })
+        return
+    }
+
+    try {
+        const data = await fetchMbtaResource('shapes', {
+            'filter[route]': routeIds.join(','),
+            include: 'route'
+        })
+        res.json(data)
+    } catch (error) {
+        console.error('Failed to load MBTA shapes', error)
+        res.status(502).json({ error: 'Failed to load MBTA shapes', details: error.message })
+    }
+})
+
+app.get('/api/mbta/stops', async (req, res) => {
+    const routeIds = parseIdList(req.query.route)
+    const directionId = parseDirectionId(req.query.direction)
+
+    if (!routeIds.length) {
+        res.status(400).json({ error: 'A route query parameter is required' })
+        return
+    }
+
+    if (directionId === undefined) {
+        res.status(400).json({ error: 'direction must be 0 or 1' })
+        return
+    }
+
+    try {
+        const params = { 'filter[route]': routeIds.join(','), sort: 'name' }
+        if (directionId !== null) params['filter[direction_id]'] = String(directionId)
+
+        const data = await fetchMbtaResource('stops', params)
+        res.json(data)
+    } catch (error) {
+        console.error('Failed to load MBTA stops', error)
+        res.status(502).json({ error: 'Failed to load MBTA stops', details: error.message })
+    }
+})
+
+const MAX_STOP_ROUTE_LOOKUPS = 500
+
+// The bus routes serving each stop. MBTA stops do not list their routes and the API answers one stop per request,
+// so the stops are looked up one after another and each answer is cached.
+app.get('/api/mbta/stop-routes', async (req, res) => {
+    const stopIds = parseIdList(req.query.stop)
+
+    if (!stopIds.length) {
+        res.status(400).json({ error: 'A stop query parameter is required' })
+        return
+    }
+
+    if (stopIds.length > MAX_STOP_ROUTE_LOOKUPS) {
+        res.status(400).json({ error: `At most ${MAX_STOP_ROUTE_LOOKUPS} stops can be looked up at once` })
+        return
+    }
+
+    try {
+        const routeIds = {}
+
+        for (const stopId of stopIds) {
+            const payload = await fetchMbtaResource('routes', { 'filter[stop]': stopId, 'filter[type]': '3' })
+            routeIds[stopId] = payload.data.map((item) => item?.id).filter(Boolean)
+        }
+
+        res.json({ routeIds })
+    } catch (error) {
+        console.error('Failed to load MBTA stop routes', error)
+        res.status(502).json({ error: 'Failed to load MBTA stop routes', details: error.message })
+    }
+})
+
+const NETWORK_REFRESH_INTERVAL_MS = 6 * 60 * 60 * 1000
+
+const COLOR_PALETTE = [
+    '#e74c3c',
+    '#27ae60',
+    '#2980b9',
+    '#8e44ad',
+    '#f39c12',
+    '#16a085',
+    '#d35400',
+    '#2c3e50',
+    '#c0392b',
+    '#9b59b6',
+    '#1abc9c',
+    '#34495e'
+]
+
+function getRouteColor(routeId) {
+    if (!routeId) return '#555555'
+
+    let hash = 0
+    for (let index = 0; index < routeId.length; index += 1) {
+        hash = routeId.charCodeAt(index) + ((hash << 5) - hash)
+        hash &= hash
+    }
+
+    const paletteIndex = Math.abs(hash) % COLOR_PALETTE.length
+    return COLOR_PALETTE[paletteIndex]
+}
+
+function extractRouteId(candidate) {
+    if (candidate === null || candidate === undefined) {
+        return ''
+    }
+
+    if (typeof candidate === 'string') {
+        return candidate.trim()
+    }
+
+    if (typeof candidate === 'number' || typeof candidate === 'bigint') {
+        return String(candidate).trim()
+    }
+
+    if (typeof candidate === 'object') {
+        const rawId = candidate.id ?? candidate.route_id ?? candidate.routeId
+
+        if (rawId !== undefined && rawId !== null) {
+            return String(rawId).trim()
+        }
+    }
+
+    return ''
+}
+
+function getRouteIdFromShape(shape) {
+    if (!shape || typeof shape !== 'object') {
+        return ''
+    }
+
+    const relationship = shape.relationships?.route?.data
+
+    if (Array.isArray(relationship)) {
+        for (const item of relationship) {
+            const extracted = extractRouteId(item)
+            if (extracted) {
+                return extracted
+            }
+        }
+    } else {
+        const extracted = extractRouteId(relationship)
+        if (extracted) {
+            return extracted
+        }
+    }
+
+    const attributesRouteId = shape.attributes?.route_id ?? shape.attributes?.routeId
+
+    if (attributesRouteId !== undefined && attributesRouteId !== null) {
+        const extracted = extractRouteId(attributesRouteId)
+        if (extracted) {
+            return extracted
+        }
+    }
+
+    return ''
+}
+
+function normalizeRouteFeature(feature, index) {
+    if (!feature || !feature.geometry) return null
+
+    const properties = feature.properties ?? {}
+
+    const routeNumberSource =
+        properties.route_num !== undefined && properties.route_num !== null
+            ? properties.route_num
+            : properties.route_id
+    const routeNameSource =
+        properties.route_desc !== undefined && properties.route_desc !== null
+            ? properties.route_desc
+            : properties.name
+
+    const routeNumber =
+        routeNumberSource !== undefined && routeNumberSource !== null
+            ? String(routeNumberSource).trim()
+            : ''
+    const routeName =
+        routeNameSource !== undefined && routeNameSource !== null
+            ? String(routeNameSource).trim()
+            : ''
+
+    const fallbackIdParts = []
+    if (routeNumber) {
+        fallbackIdParts.push(routeNumber)
+    }
+
+    const fallbackId = fallbackIdParts.join('-') || feature.id || properties.FID || `route-${index}`
+    const featureId = feature.id ?? properties.SHAPE_ID ?? properties.FID ?? fallbackId
+    const routeId = routeNumber || fallbackId
+    const displayName = routeName || (routeNumber ? `Route ${routeNumber}` : 'MBTA Bus Route')
+
+    return {
+        ...feature,
+        id: featureId,
+        properties: {
+            ...properties,
+            route_id: routeId,
+            name: displayName,
+            color: getRouteColor(routeId)
+        }
+    }
+}
+
+function decodePolyline(encoded) {
+    if (typeof encoded !== 'string' || encoded.length === 0) {
+        return []
+    }
+
+    const coordinates = []
+    let index = 0
+    let latitude = 0
+    let longitude = 0
+
+    while (index < encoded.length) {
+        let result = 0
+        let shift = 0
+        let byte
+
+        do {
+            if (index >= encoded.length) {
+                return coordinates
+            }
+
+            byte = encoded.charCodeAt(index++) - 63
+            result |= (byte & 0x1f) << shift
+            shift += 5
+        } while (byte >= 0x20)
+
+        const deltaLat = (result & 1) !== 0 ? ~(result >> 1) : result >> 1
+        latitude += deltaLat
+
+        result = 0
+        shift = 0
+
+        do {
+            if (index >= encoded.length) {
+                return coordinates
+            }
+
+            byte = encoded.charCodeAt(index++) - 63
+            result |= (byte & 0x1f) << shift
+            shift += 5
+        } while (byte >= 0x20)
+
+        const deltaLng = (result & 1) !== 0 ? ~(result >> 1) : result >> 1
+        longitude += deltaLng
+
+        const lat = latitude / 1e5
+        const lng = longitude / 1e5
+
+        if (Number.isFinite(lat) && Number.isFinite(lng)) {
+            coordinates.push([lng, lat])
+        }
+    }
+
+    return coordinates
+}
+
+function cleanShapeSegment(segment) {
+    if (!Array.isArray(segment)) return []
+
+    const cleaned = []
+
+    for (const coordinate of segment) {
+        if (!Array.isArray(coordinate) || coordinate.length !== 2) continue
+
+        const [lng, lat] = coordinate
+
+        if (!Number.isFinite(lng) || !Number.isFinite(lat)) continue
+
+        if (cleaned.length) {
+            const [prevLng, prevLat] = cleaned[cleaned.length - 1]
+
+            if (prevLng === lng && prevLat === lat) {
+                continue
+            }
+        }
+
+        cleaned.push([lng, lat])
+    }
+
+    return cleaned
+}
+
+function readRouteMetadata(item) {
+    const attributes = item.attributes ?? {}
+
+    return {
+        id: item.id,
+        shortName: typeof attributes.short_name === 'string' ? attributes.short_name.trim() : '',
+        longName: typeof attributes.long_name === 'string' ? attributes.long_name.trim() : '',
+        description: typeof attributes.description === 'string' ? attributes.description.trim() : ''
+    }
+}
+
+async function buildBusRouteNetwork() {
+    const routesPayload = await fetchMbtaResource('routes', { 'filter[type]': '3', sort: 'short_name' })
+    const routeMetadata = new Map()
+
+    for (const item of routesPayload.data) {
+        if (!item || typeof item !== 'object' || !item.id) continue
+        routeMetadata.set(item.id, readRouteMetadata(item))
+    }
+
+    if (!routeMetadata.size) {
+        throw new Error('No bus routes returned from the MBTA API')
+    }
+
+    const shapesByRoute = new Map()
+    const routeIds = Array.from(routeMetadata.keys())
+    const routeBatches = []
+
+    for (let index = 0; index < routeIds.length; index += MBTA_SHAPE_ROUTE_BATCH_SIZE) {
+        routeBatches.push(routeIds.slice(index, index + MBTA_SHAPE_ROUTE_BATCH_SIZE))
+    }
+
+    // Shapes are requested for several routes at once. A batch whose shapes do not all name their route is
+    // requested again one route at a time, so every shape can still be attributed.
+    while (routeBatches.length) {
+        const batch = routeBatches.shift()
+        const shapesPayload = await fetchMbtaResource('shapes', {
+            'filter[route]': batch.join(','),
+            include: 'route'
+        })
+
+        const shapeItems = shapesPayload.data.filter((item) => item && typeof item === 'object')
+
+        if (batch.length > 1 && shapeItems.some((item) => !getRouteIdFromShape(item))) {
+            routeBatches.unshift(...batch.map((routeId) => [routeId]))
+            continue
+        }
+
+        for (const item of shapeItems) {
+            const resolvedRouteId = getRouteIdFromShape(item) || batch[0]
+            const polyline = typeof item.attributes?.polyline === 'string' ? item.attributes.polyline : ''
+            if (!polyline) continue
+
+            const coordinates = decodePolyline(polyline)
+            if (coordinates.length < 2) continue
+
+            const existing = shapesByRoute.get(resolvedRouteId)
+
+            if (existing) {
+                existing.push(coordinates)
+            } else {
+                shapesByRoute.set(resolvedRouteId, [coordinates])
+            }
+        }
+
+        for (const includedItem of shapesPayload.included) {
+            if (!includedItem || includedItem.type !== 'route') continue
+            if (!includedItem.id || routeMetadata.has(includedItem.id)) continue
+
+            routeMetadata.set(includedItem.id, readRouteMetadata(includedItem))
+        }
+    }
+
+    const collection = buildRouteFeatureCollection(shapesByRoute, routeMetadata)
+
+    if (!collection.features.length) {
+        throw new Error('No usable bus routes returned from the MBTA API')
+    }
+
+    return collection
+}
+
+function buildRouteFeatureCollection(shapesByRoute, routeMetadata) {
+    const features = []
+    let index = 0
+
+    for (const [routeId, segments] of shapesByRoute.entries()) {
+        const cleanedSegments = segments
+            .map((segment) => cleanShapeSegment(segment))
+            .filter((segment) => segment.length >= 2)
+
+        if (!cleanedSegments.length) continue
+
+        const geometry =
+            cleanedSegments.length === 1
+                ? { type: 'LineString', coordinates: cleanedSegments[0] }
+                : { type: 'MultiLineString', coordinates: cleanedSegments }
+
+        const metadata = routeMetadata.get(routeId) ?? {}
+        const routeNumber = metadata.shortName || routeId
+        const routeName =
+            metadata.longName ||
+            metadata.description ||
+            (routeNumber && routeNumber !== routeId ? `Route ${routeNumber}` : `Route ${routeId}`)
+
+        const normalized = normalizeRouteFeature(
+            {
+                type: 'Feature',
+                id: routeId,
+                geometry,
+                properties: {
+                    route_num: routeNumber,
+                    route_desc: routeName,
+                    mbta_route_id: routeId,
+                    route_group: metadata.description || '',
+                    municipalities: metadata.municipalities ?? []
+                }
+            },
+            index
+        )
+
+        if (normalized) {
+            features.push(normalized)
+            index += 1
+        }
+    }
+
+    return { type: 'FeatureCollection', features }
+}
+
+function createJsonSnapshot(payload) {
+    const body = JSON.stringify(payload)
+    const etag = `"${crypto.createHash('sha1').update(body).digest('hex')}"`
+
+    return { body, etag, builtAt: new Date().toISOString() }
+}
+
+function sendJsonSnapshot(req, res, snapshot) {
+    res.set('ETag', snapshot.etag)
+    res.set('Cache-Control', 'no-cache')
+    res.set('X-Network-Built-At', snapshot.builtAt)
+
+    // req.fresh compares against the ETag set above and accepts weak validators and lists of tags
+    if (req.fresh) {
+        res.status(304).end()
+        return
+    }
+
+    res.type('application/json').send(snapshot.body)
+}
+
+let networkSnapshot = null
+let networkRefreshPromise = null
+
+function refreshNetworkSnapshot() {
+    if (networkRefreshPromise) {
+        return networkRefreshPromise
+    }
+
+    networkRefreshPromise = buildBusRouteNetwork()
+        .then((collection) => {
+            networkSnapshot = createJsonSnapshot(collection)
+            console.log(`Bus route network snapshot built with ${collection.features.length} routes`)
+
+            return networkSnapshot
+        })
+        .finally(() => {
+            networkRefreshPromise = null
+        })
+
+    return networkRefreshPromise
+}
+
+app.get('/api/network/bus-routes', async (req, res) => {
+    try {
+        const snapshot = networkSnapshot ?? (await refreshNetworkSnapshot())
+        sendJsonSnapshot(req, res, snapshot)
+    } catch (error) {
+        console.error('Failed to build bus route network', error)
+        res.status(502).json({ error: 'Failed to build bus route network', details: error.message })
+    }
+})
+
+refreshNetworkSnapshot().catch((error) => console.error('Initial bus route network build failed', error))
+
+setInterval(() => {
+    refreshNetworkSnapshot().catch((error) => console.error('Bus route network refresh failed', error))
+}, NETWORK_REFRESH_INTERVAL_MS).unref()
+
+const GTFS_FEED_PATH = path.resolve(process.env.GTFS_FEED_PATH || path.join(__dirname, 'static', 'gtfs.zip'))
+const GTFS_ROUTE_TYPES = parseIdList(process.env.GTFS_ROUTE_TYPES ?? '3')
+const ADMIN_TOKEN = typeof process.env.ADMIN_TOKEN === 'string' ? process.env.ADMIN_TOKEN.trim() : ''
+
+let gtfsFeed = null
+let gtfsNetworkSnapshot = null
+let gtfsLoadPromise = null
+let gtfsLoadError = null
+
+function buildGtfsStopFeature(feed, stop) {
+    return {
+        type: 'Feature',
+        id: stop.id,
+        geometry: {
+            type: 'Point',
+            coordinates: [stop.longitude, stop.latitude]
+        },
+        properties: {
+            stop_id: stop.id,
+            name: stop.name.trim() || 'MBTA Stop',
+            description: stop.description,
+            municipality: stop.municipality,
+            wheelchair_boarding: stop.wheelchairBoarding,
+            platform_code: stop.platformCode,
+            on_street: stop.onStreet,
+            at_street: stop.atStreet,
+            route_ids: getStopRouteIds(feed, stop.id)
+        }
+    }
+}
+
+function buildGtfsRouteNetwork(feed) {
+    const shapesByRoute = new Map()
+    const routeMetadata = new Map()
+
+    for (const route of feed.routes.values()) {
+        const shapes = getRouteShapeCoordinates(feed, route.id)
+        if (!shapes.length) continue
+
+        const municipalities = new Set(
+            getRouteStops(feed, route.id)
+                .map((stop) => stop.municipality)
+                .filter(Boolean)
+        )
+
+        shapesByRoute.set(route.id, shapes)
+        routeMetadata.set(route.id, { ...route, municipalities: Array.from(municipalities).sort() })
+    }
+
+    return buildRouteFeatureCollection(shapesByRoute, routeMetadata)
+}
+
+function reloadGtfsFeed() {
+    if (gtfsLoadPromise) {
+        return gtfsLoadPromise
+    }
+
+    gtfsLoadPromise = loadGtfsFeed(GTFS_FEED_PATH, { routeTypes: GTFS_ROUTE_TYPES })
+        .then((feed) => {
+            gtfsFeed = feed
+            gtfsNetworkSnapshot = createJsonSnapshot(buildGtfsRouteNetwork(feed))
+            gtfsLoadError = null
+            console.log(`GTFS feed loaded from ${feed.path} with ${feed.routes.size} routes`)
+
+            return feed
+        })
+        .catch((error) => {
+            gtfsLoadError = error
+            throw error
+        })
+        .finally(() => {
+            gtfsLoadPromise = null
+        })
+
+    return gtfsLoadPromise
+}
+
+function requireGtfsFeed(res) {
+    if (gtfsFeed) return gtfsFeed
+
+    res.status(503).json({
+        error: 'GTFS feed is not loaded',
+        details: gtfsLoadError?.message ?? (gtfsLoadPromise ? 'GTFS feed is still loading' : undefined)
+    })
+
+    return null
+}
+
+app.get('/api/gtfs/status', (_req, res) => {
+    res.json({
+        loaded: Boolean(gtfsFeed),
+        loading: Boolean(gtfsLoadPromise),
+        error: gtfsLoadError?.message ?? null,
+        feed: gtfsFeed ? summarizeGtfsFeed(gtfsFeed) : null
+    })
+})
+
+// Admin endpoints stay closed until ADMIN_TOKEN is configured
+function requireAdmin(req, res) {
+    if (ADMIN_TOKEN && req.get('x-admin-token') === ADMIN_TOKEN) return true
+
+    res.status(403).json({
+        error: ADMIN_TOKEN ? 'Invalid admin token' : 'Admin endpoints are disabled',
+        details: ADMIN_TOKEN ? undefined : 'Set ADMIN_TOKEN to enable them'
+    })
+
+    return false
+}
+
+// Mounted ahead of body parsers, so uploads without a valid token are rejected before they are read
+function adminOnly(req, res, next) {
+    if (requireAdmin(req, res)) next()
+}
+
+app.post('/api/gtfs/reload', async (req, res) => {
+    if (!requireAdmin(req, res)) return
+
+    try {
+        const feed = await reloadGtfsFeed()
+        res.json(summarizeGtfsFeed(feed))
+    } catch (error) {
+        console.error('Failed to load GTFS feed', error)
+        res.status(500).json({ error: 'Failed to load GTFS feed', details: error.message })
+    }
+})
+
+app.get('/api/gtfs/routes', (req, res) => {
+    if (!requireGtfsFeed(res)) return
+
+    sendJsonSnapshot(req, res, gtfsNetworkSnapshot)
+})
+
+app.get('/api/gtfs/stops', (req, res) => {
+    const feed = requireGtfsFeed(res)
+    if (!feed) return
+
+    const routeIds = parseIdList(req.query.route)
+    const directionId = parseDirectionId(req.query.direction)
+
+    if (!routeIds.length) {
+        res.status(400).json({ error: 'A route query parameter is required' })
+        return
+    }
+
+    if (directionId === undefined) {
+        res.status(400).json({ error: 'direction must be 0 or 1' })
+        return
+    }
+
+    const stops = new Map()
+
+    for (const routeId of routeIds) {
+        for (const stop of getRouteStops(feed, routeId, { directionId })) {
+            stops.set(stop.id, stop)
+        }
+    }
+
+    const features = Array.from(stops.values())
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map((stop) => buildGtfsStopFeature(feed, stop))
+
+    res.json({ type: 'FeatureCollection', features })
+})
+
+const MAX_STOP_SEARCH_RESULTS = 10
+
+app.get('/api/gtfs/stops/search', (req, res) => {
+    const feed = requireGtfsFeed(res)
+    if (!feed) return
+
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : ''
+
+    if (!query) {
+        res.status(400).json({ error: 'A q query parameter is required' })
+        return
+    }
+
+    const features = searchStops(feed, query, MAX_STOP_SEARCH_RESULTS).map((stop) => buildGtfsStopFeature(feed, stop))
+
+    res.json({ type: 'FeatureCollection', features })
+})
+
+app.get('/api/gtfs/headways', (req, res) => {
+    const feed = requireGtfsFeed(res)
+    if (!feed) return
+
+    const [routeId] = parseIdList(req.query.route)
+
+    if (!routeId) {
+        res.status(400).json({ error: 'A route query parameter is required' })
+        return
+    }
+
+    if (!feed.routes.has(routeId)) {
+        res.status(404).json({ error: `Route ${routeId} is not in the GTFS feed` })
+        return
+    }
+
+    res.json(computeScheduledHeadways(feed, routeId))
+})
+
+app.get('/api/gtfs/segment-times', (req, res) => {
+    const feed = requireGtfsFeed(res)
+    if (!feed) return
+
+    const [routeId] = parseIdList(req.query.route)
+
+    if (!routeId) {
+        res.status(400).json({ error: 'A route query parameter is required' })
+        return
+    }
+
+    if (!feed.routes.has(routeId)) {
+        res.status(404).json({ error: `Route ${routeId} is not in the GTFS feed` })
+        return
+    }
+
+    res.json(computeSegmentRunTimes(feed, routeId))
+})
+
+const DEFAULT_ISOCHRONE_CUTOFFS = [15, 30, 45]
+const MAX_ISOCHRONE_MINUTES = 120
+
+// Seconds after midnight for an HH:MM or HH:MM:SS time; null when invalid
+function parseClockTime(value) {
+    const match = typeof value === 'string' ? /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(value.trim()) : null
+    if (!match || Number(match[2]) > 59 || Number(match[3] ?? 0) > 59) return null
+
+    return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3] ?? 0)
+}
+
+function isCoordinatePair(value) {
+    return Array.isArray(value) && value.length === 2 && value.every(Number.isFinite)
+}
+
+// Departure date, time and optional stop scenario shared by the routing endpoints
+function formatIsoServiceDate(serviceDate) {
+    return `${serviceDate.slice(0, 4)}-${serviceDate.slice(4, 6)}-${serviceDate.slice(6, 8)}`
+}
+
+function readRoutingRequest(feed, { date, time = '08:00', scenario } = {}) {
+    const serviceDate = date ? String(date).replace(/-/g, '') : feed.serviceDates.weekday
+    const departureSeconds = parseClockTime(time)
+
+    if (!serviceDate) return { error: 'A date is required because the GTFS feed has no weekday service' }
+    if (!isValidServiceDate(serviceDate)) return { error: 'date must be a valid YYYY-MM-DD date' }
+
+    const serviceDateRange = getServiceDateRange(feed)
+
+    if (!serviceDateRange) return { error: 'The GTFS feed has no service calendar' }
+
+    if (serviceDate < serviceDateRange.start || serviceDate > serviceDateRange.end) {
+        const [start, end] = [serviceDateRange.start, serviceDateRange.end].map(formatIsoServiceDate)
+        return { error: `date must be between ${start} and ${end}, the dates the GTFS feed covers` }
+    }
+
+    if (departureSeconds === null) return { error: 'time must be HH:MM' }
+
+    if (!scenario) {
+        return { value: { serviceDate, time, departureSeconds, scenario: null } }
+    }
+
+    const { value, error } = validateScenarioInput(scenario, { partial: true })
+    if (error) return { error }
+    if (!value.routeId || !value.stops) return { error: 'scenario must have a routeId and stops' }
+    if (!feed.routes.has(value.routeId)) return { error: `scenario route ${value.routeId} is not in the GTFS feed` }
+
+    const stopPenaltySeconds = Number(scenario.stopPenaltySeconds ?? 0)
+
+    if (!Number.isFinite(stopPenaltySeconds) || stopPenaltySeconds < 0) {
+        return { error: 'scenario stopPenaltySeconds must be a non-negative number' }
+    }
+
+    return {
+        value: {
+            serviceDate,
+            time,
+            departureSeconds,
+            scenario: { routeId: value.routeId, stops: value.stops, stopPenaltySeconds }
+        }
+    }
+}
+
+app.post('/api/gtfs/isochrones', (req, res) => {
+    const feed = requireGtfsFeed(res)
+    if (!feed) return
+
+    const { origin, cutoffs = DEFAULT_ISOCHRONE_CUTOFFS } = req.body ?? {}
+    const { value: request, error } = readRoutingRequest(feed, req.body ?? {})
+
+    if (!isCoordinatePair(origin)) {
+        res.status(400).json({ error: 'origin must be a [longitude, latitude] pair' })
+        return
+    }
+
+    if (error) {
+        res.status(400).json({ error })
+        return
+    }
+
+    if (
+        !Array.isArray(cutoffs) ||
+        !cutoffs.length ||
+        !cutoffs.every((minutes) => Number.isFinite(minutes) && minutes > 0 && minutes <= MAX_ISOCHRONE_MINUTES)
+    ) {
+        res.status(400).json({ error: `cutoffs must be minutes between 0 and ${MAX_ISOCHRONE_MINUTES}` })
+        return
+    }
+
+    const { serviceDate, time, departureSeconds, scenario } = request
+    const options = { origin, serviceDate, departureSeconds, cutoffs }
+
+    try {
+        res.json({
+            origin,
+            serviceDate,
+            time,
+            cutoffs,
+            settings: ROUTING_SETTINGS,
+            baseline: computeIsochrones(feed, options),
+            scenario: scenario ? computeIsochrones(feed, { ...options, scenario }) : null
+        })
+    } catch (error) {
+        console.error('Failed to compute isochrones', error)
+        res.status(500).json({ error: 'Failed to compute isochrones', details: error.message })
+    }
+})
+
+app.post('/api/gtfs/trip-plan', (req, res) => {
+    const feed = requireGtfsFeed(res)
+    if (!feed) return
+
+    const { from, to } = req.body ?? {}
+    const { value: request, error } = readRoutingRequest(feed, req.body ?? {})
+
+    if (!isCoordinatePair(from) || !isCoordinatePair(to)) {
+        res.status(400).json({ error: 'from and to must be [longitude, latitude] pairs' })
+        return
+    }
+
+    if (error) {
+        res.status(400).json({ error })
+        return
+    }
+
+    const { serviceDate, time, departureSeconds, scenario } = request
+    const options = { from, to, serviceDate, departureSeconds }
+
+    try {
+        res.json({
+            from,
+            to,
+            serviceDate,
+            time,
+            settings: ROUTING_SETTINGS,
+            baseline: planTrip(feed, options),
+            scenario: scenario ? planTrip(feed, { ...options, scenario }) : null
+        })
+    } catch (error) {
+        console.error('Failed to plan trip', error)
+        res.status(500).json({ error: 'Failed to plan trip', details: error.message })
+    }
+})
+
+if (fs.existsSync(GTFS_FEED_PATH)) {
+    reloadGtfsFeed().catch((error) => console.error('Initial GTFS feed load failed', error))
+}
+
+const SERVICE_TIME_ZONE = 'America/New_York'
+const SECONDS_PER_DAY = 24 * 60 * 60
+const ARRIVALS_PER_DIRECTION = 3
+const PREDICTION_TTL_MS = 15 * 1000
+const SCHEDULE_TTL_MS = 60 * 1000
+
+function getServiceClock(date = new Date()) {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: SERVICE_TIME_ZONE,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            hourCycle: 'h23'
+        })
+            .formatToParts(date)
+            .map((part) => [part.type, part.value])
+    )
+
+    const previousDate = new Date(Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day) - 1))
+
+    return {
+        date: `${parts.year}${parts.month}${parts.day}`,
+        previousDate: previousDate.toISOString().slice(0, 10).replace(/-/g, ''),
+        seconds: Number(parts.hour) * 3600 + Number(parts.minute) * 60 + Number(parts.second),
+        minTime: `${parts.hour}:${parts.minute}`
+    }
+}
+
+function readMbtaArrival(item, tripsById, source) {
+    const attributes = item.attributes ?? {}
+    const time = attributes.departure_time ?? attributes.arrival_time
+
+    if (!time || attributes.schedule_relationship === 'SKIPPED' || attributes.schedule_relationship === 'CANCELLED') {
+        return null
+    }
+
+    const tripId = item.relationships?.trip?.data?.id ?? ''
+
+    return {
+        routeId: item.relationships?.route?.data?.id ?? '',
+        directionId: attributes.direction_id ?? null,
+        tripId,
+        headsign: tripsById.get(tripId)?.attributes?.headsign ?? '',
+        time,
+        status: attributes.status ?? null,
+        source
+    }
+}
+
+function groupArrivals(arrivals) {
+    const groups = new Map()
+
+    for (const arrival of arrivals) {
+        const key = `${arrival.routeId}:${arrival.directionId}`
+        const group = groups.get(key) ?? {
+            routeId: arrival.routeId,
+            directionId: arrival.directionId,
+            headsign: arrival.headsign,
+            arrivals: []
+        }
+
+        if (group.arrivals.length < ARRIVALS_PER_DIRECTION) {
+            group.headsign ||= arrival.headsign
+            group.arrivals.push({
+                time: arrival.time,
+                source: arrival.source,
+                status: arrival.status,
+                tripId: arrival.tripId
+            })
+        }
+
+        groups.set(key, group)
+    }
+
+    return Array.from(groups.values()).sort(
+        (a, b) =>
+            a.routeId.localeCompare(b.routeId, undefined, { numeric: true }) ||
+            (a.directionId ?? 0) - (b.directionId ?? 0)
+    )
+}
+
+async function fetchMbtaArrivals(stopId, clock) {
+    const [predictions, schedules] = await Promise.all([
+        fetchMbtaResource(
+            'predictions',
+            { 'filter[stop]': stopId, include: 'trip', sort: 'departure_time' },
+            { ttlMs: PREDICTION_TTL_MS }
+        ),
+        fetchMbtaResource(
+            'schedules',
+            { 'filter[stop]': stopId, 'filter[min_time]': clock.minTime, include: 'trip', sort: 'departure_time' },
+            { ttlMs: SCHEDULE_TTL_MS }
+        )
+    ])
+
+    const tripsById = new Map(
+        [...predictions.included, ...schedules.included]
+            .filter((item) => item.type === 'trip')
+            .map((item) => [item.id, item])
+    )
+    const arrivals = predictions.data
+        .map((item) => readMbtaArrival(item, tripsById, 'prediction'))
+        .filter(Boolean)
+    const predictedTrips = new Set(arrivals.map((arrival) => arrival.tripId))
+
+    for (const item of schedules.data) {
+        const arrival = readMbtaArrival(item, tripsById, 'schedule')
+        if (arrival && !predictedTrips.has(arrival.tripId)) {
+            arrivals.push(arrival)
+        }
+    }
+
+    const cutoff = Date.now() - 60 * 1000
+
+    return arrivals
+        .filter((arrival) => Date.parse(arrival.time) >= cutoff)
+        .sort((a, b) => Date.parse(a.time) - Date.parse(b.time))
+}
+
+// After midnight the previous service day's trips still run, at times of 24:00:00 and later
+function getGtfsArrivals(feed, stopId, clock) {
+    const now = Date.now()
+    const departures = [
+        ...getScheduledDepartures(feed, stopId, clock.date, clock.seconds, 50).map((departure) => ({
+            ...departure,
+            secondsFromNow: departure.seconds - clock.seconds
+        })),
+        ...getScheduledDepartures(feed, stopId, clock.previousDate, clock.seconds + SECONDS_PER_DAY, 50).map(
+            (departure) => ({ ...departure, secondsFromNow: departure.seconds - SECONDS_PER_DAY - clock.seconds })
+        )
+    ]
+
+    return departures
+        .sort((a, b) => a.secondsFromNow - b.secondsFromNow)
+        .slice(0, 50)
+        .map((departure) => ({
+            routeId: departure.routeId,
+            directionId: departure.directionId,
+            tripId: departure.tripId,
+            headsign: departure.headsign,
+            time: new Date(now + departure.secondsFromNow * 1000).toISOString(),
+            status: null,
+            source: 'schedule'
+        }))
+}
+
+app.get('/api/mbta/arrivals', async (req, res) => {
+    const [stopId] = parseIdList(req.query.stop)
+
+    if (!stopId) {
+        res.status(400).json({ error: 'A stop query parameter is required' })
+        return
+    }
+
+    const clock = getServiceClock()
+
+    try {
+        const arrivals = await fetchMbtaArrivals(stopId, clock)
+        res.json({ stopId, source: 'mbta', generatedAt: new Date().toISOString(), routes: groupArrivals(arrivals) })
+    } catch (error) {
+        if (!gtfsFeed) {
+            console.error('Failed to load MBTA arrivals', error)
+            res.status(502).json({ error: 'Failed to load MBTA arrivals', details: error.message })
+            return
+        }
+
+        console.warn('MBTA arrivals unavailable, using GTFS schedule', error.message)
+        res.json({
+            stopId,
+            source: 'gtfs',
+            generatedAt: new Date().toISOString(),
+            routes: groupArrivals(getGtfsArrivals(gtfsFeed, stopId, clock))
+        })
+    }
+})
+
+const VEHICLE_SOURCE = process.env.VEHICLE_SOURCE || 'mbta'
+
+function createVehicleSource() {
+    if (VEHICLE_SOURCE === 'replay') {
+        if (!process.env.VEHICLE_REPLAY_PATH) {
+            throw new Error('VEHICLE_REPLAY_PATH is required when VEHICLE_SOURCE=replay')
+        }
+
+        return createReplayVehicleSource({
+            path: path.resolve(process.env.VEHICLE_REPLAY_PATH),
+            speed: Number(process.env.VEHICLE_REPLAY_SPEED ?? 1)
+        })
+    }
+
+    return createMbtaVehicleSource({
+        baseUrl: MBTA_API_BASE_URL,
+        apiKey: MBTA_API_KEY,
+        recordPath: process.env.VEHICLE_RECORD_PATH ? path.resolve(process.env.VEHICLE_RECORD_PATH) : ''
+    })
+}
+
+const vehicleHub = VEHICLE_SOURCE === 'off' ? null : createVehicleHub(createVehicleSource())
+
+app.get('/api/vehicles/stream', (req, res) => {
+    if (!vehicleHub) {
+        res.status(503).json({ error: 'Live vehicle positions are disabled' })
+        return
+    }
+
+    vehicleHub.addClient(req, res)
+})
+
+const GTFS_RT_POLL_INTERVAL_MS = Number(process.env.GTFS_RT_POLL_INTERVAL_MS) || 15000
+
+const realtimeFeeds = {
+    vehiclePositions: createRealtimeFeed({
+        name: 'GTFS-RT VehiclePositions',
+        url: process.env.GTFS_RT_VEHICLE_POSITIONS_URL ?? '',
+        path: process.env.GTFS_RT_VEHICLE_POSITIONS_PATH ? path.resolve(process.env.GTFS_RT_VEHICLE_POSITIONS_PATH) : '',
+        apiKey: process.env.GTFS_RT_API_KEY ?? '',
+        intervalMs: GTFS_RT_POLL_INTERVAL_MS
+    }),
+    tripUpdates: createRealtimeFeed({
+        name: 'GTFS-RT TripUpdates',
+        url: process.env.GTFS_RT_TRIP_UPDATES_URL ?? '',
+        path: process.env.GTFS_RT_TRIP_UPDATES_PATH ? path.resolve(process.env.GTFS_RT_TRIP_UPDATES_PATH) : '',
+        apiKey: process.env.GTFS_RT_API_KEY ?? '',
+        intervalMs: GTFS_RT_POLL_INTERVAL_MS
+    })
+}
+
+const protobufBody = express.raw({
+    type: ['application/x-protobuf', 'application/octet-stream'],
+    limit: '50mb'
+})
+
+function requireRealtimeFeed(res, feed) {
+    const state = feed.getState()
+    if (state.feed) return state
+
+    res.status(503).json({
+        error: `No ${feed.name} feed has been received`,
+        details: state.error ?? (feed.isConfigured ? 'Waiting for the first poll' : 'No feed URL or path is configured')
+    })
+
+    return null
+}
+
+function ingestRealtimeFeed(feed) {
+    return (req, res) => {
+        if (!Buffer.isBuffer(req.body) || !req.body.length) {
+            res.status(400).json({ error: 'Expected a protobuf request body' })
+            return
+        }
+
+        try {
+            const decoded = feed.ingest(req.body)
+            res.json({ entities: decoded.entity?.length ?? 0, receivedAt: feed.getState().receivedAt })
+        } catch (error) {
+            res.status(400).json({ error: `Failed to decode ${feed.name} feed`, details: error.message })
+        }
+    }
+}
+
+app.get('/api/realtime/status', (_req, res) => {
+    res.json(
+        Object.fromEntries(
+            Object.entries(realtimeFeeds).map(([key, feed]) => {
+                const state = feed.getState()
+
+                return [
+                    key,
+                    {
+                        configured: feed.isConfigured,
+                        receivedAt: state.receivedAt,
+                        source: state.source,
+                        feedTimestamp: state.feed?.header?.timestamp ?? null,
+                        entityCount: state.feed?.entity?.length ?? 0,
+                        error: state.error
+                    }
+                ]
+            })
+        )
+    )
+})
+
+app.get('/api/realtime/vehicle-positions', (req, res) => {
+    const state = requireRealtimeFeed(res, realtimeFeeds.vehiclePositions)
+    if (!state) return
+
+    res.json(buildVehiclePositionCollection(state.feed, { routeIds: parseIdList(req.query.route) }))
+})
+
+app.get('/api/realtime/trip-updates', (req, res) => {
+    const state = requireRealtimeFeed(res, realtimeFeeds.tripUpdates)
+    if (!state) return
+
+    res.json({
+        timestamp: state.feed.header?.timestamp ?? null,
+        receivedAt: state.receivedAt,
+        tripUpdates: buildTripUpdateList(state.feed, {
+            routeIds: parseIdList(req.query.route),
+            tripIds: parseIdList(req.query.trip)
+        })
+    })
+})
+
+app.post('/api/realtime/vehicle-positions', adminOnly, protobufBody, ingestRealtimeFeed(realtimeFeeds.vehiclePositions))
+app.post('/api/realtime/trip-updates', adminOnly, protobufBody, ingestRealtimeFeed(realtimeFeeds.tripUpdates))
+
+realtimeFeeds.vehiclePositions.start()
+realtimeFeeds.tripUpdates.start()
+
+const scenarioStore = createScenarioStore(
+    path.resolve(process.env.SCENARIO_STORE_PATH || path.join(__dirname, 'data', 'scenarios.json'))
+)
+
+app.get('/api/scenarios', async (req, res) => {
+    try {
+        const routeId = typeof req.query.route === 'string' ? req.query.route.trim() : ''
+        res.json({ scenarios: await scenarioStore.list({ routeId }) })
+    } catch (error) {
+        console.error('Failed to list scenarios', error)
+        res.status(500).json({ error: 'Failed to list scenarios', details: error.message })
+    }
+})
+
+app.get('/api/scenarios/:scenarioId', async (req, res) => {
+    try {
+        const scenario = await scenarioStore.get(req.params.scenarioId)
+
+        if (!scenario) {
+            res.status(404).json({ error: 'Scenario not found' })
+            return
+        }
+
+        res.json(scenario)
+    } catch (error) {
+        console.error('Failed to load scenario', error)
+        res.status(500).json({ error: 'Failed to load scenario', details: error.message })
+    }
+})
+
+app.post('/api/scenarios', async (req, res) => {
+    const { value, error: validationError } = validateScenarioInput(req.body)
+
+    if (validationError) {
+        res.status(400).json({ error: validationError })
+        return
+    }
+
+    try {
+        const scenario = await scenarioStore.create(value)
+
+        if (!scenario) {
+            res.status(409).json({
+                error: 'Too many saved scenarios',
+                details: `At most ${MAX_SCENARIOS} scenarios can be saved. Delete one first.`
+            })
+            return
+        }
+
+        res.status(201).json(scenario)
+    } catch (error) {
+        console.error('Failed to save scenario', error)
+        res.status(500).json({ error: 'Failed to save scenario', details: error.message })
+    }
+})
+
+app.patch('/api/scenarios/:scenarioId', async (req, res) => {
+    const { value, error: validationError } = validateScenarioInput(req.body, { partial: true })
+
+    if (validationError) {
+        res.status(400).json({ error: validationError })
+        return
+    }
+
+    try {
+        const scenario = await scenarioStore.update(req.params.scenarioId, value)
+
+        if (!scenario) {
+            res.status(404).json({ error: 'Scenario not found' })
+            return
+        }
+
+        res.json(scenario)
+    } catch (error) {
+        console.error('Failed to update scenario', error)
+        res.status(500).json({ error: 'Failed to update scenario', details: error.message })
+    }
+})
+
+app.delete('/api/scenarios/:scenarioId', async (req, res) => {
+    try {
+        const removed = await scenarioStore.remove(req.params.scenarioId)
+
+        if (!removed) {
+            res.status(404).json({ error: 'Scenario not found' })
+            return
+        }
+
+        res.status(204).end()
+    } catch (error) {
+        console.error('Failed to delete scenario', error)
+        res.status(500).json({ error: 'Failed to delete scenario', details: error.message })
+    }
+})
+
 const port = process.env.PORT || 3000
 app.listen(port, () => console.log(`Backend listening on port ${port}`))
\ No newline at end of file
@@ -0,0 +1,156 @@
+import fs from 'fs'
+import GtfsRealtimeBindings from 'gtfs-realtime-bindings'
+
+const { FeedMessage } = GtfsRealtimeBindings.transit_realtime
+
+export function decodeFeedMessage(buffer) {
+    const message = FeedMessage.decode(new Uint8Array(buffer))
+    return FeedMessage.toObject(message, { longs: Number, enums: String })
+}
+
+export function createRealtimeFeed({ name, url = '', path = '', apiKey = '', intervalMs = 15000 }) {
+    const state = { feed: null, receivedAt: null, source: null, error: null }
+    let timer = null
+
+    const store = (feed, source) => {
+        state.feed = feed
+        state.receivedAt = new Date().toISOString()
+        state.source = source
+        state.error = null
+    }
+
+    async function readFeedBuffer() {
+        if (path) {
+            return fs.promises.readFile(path)
+        }
+
+        const response = await fetch(url, {
+            headers: apiKey ? { 'x-api-key': apiKey } : {}
+        })
+
+        if (!response.ok) {
+            const message = await response.text()
+            throw new Error(`${name} request failed: ${response.status} ${message}`)
+        }
+
+        return Buffer.from(await response.arrayBuffer())
+    }
+
+    async function refresh() {
+        try {
+            store(decodeFeedMessage(await readFeedBuffer()), path || url)
+        } catch (error) {
+            state.error = error.message
+            console.error(`Failed to refresh ${name} feed`, error.message)
+        }
+    }
+
+    return {
+        name,
+        isConfigured: Boolean(url || path),
+        start() {
+            if (timer || !(url || path)) return
+
+            refresh()
+            timer = setInterval(refresh, intervalMs)
+            timer.unref()
+        },
+        ingest(buffer) {
+            const feed = decodeFeedMessage(buffer)
+            store(feed, 'upload')
+            return feed
+        },
+        getState: () => state
+    }
+}
+
+function readTripDescriptor(trip) {
+    return {
+        tripId: trip?.tripId ?? '',
+        routeId: trip?.routeId ?? '',
+        directionId: Number.isFinite(trip?.directionId) ? trip.directionId : null,
+        startDate: trip?.startDate ?? '',
+        startTime: trip?.startTime ?? '',
+        scheduleRelationship: trip?.scheduleRelationship ?? 'SCHEDULED'
+    }
+}
+
+function readStopTimeEvent(event) {
+    if (!event) return null
+
+    return {
+        time: Number.isFinite(event.time) ? event.time : null,
+        delay: Number.isFinite(event.delay) ? event.delay : null
+    }
+}
+
+export function buildVehiclePositionCollection(feed, { routeIds = [] } = {}) {
+    const routeFilter = new Set(routeIds)
+    const features = []
+
+    for (const entity of feed?.entity ?? []) {
+        const vehicle = entity.vehicle
+        const position = vehicle?.position
+        if (!vehicle || !Number.isFinite(position?.latitude) || !Number.isFinite(position?.longitude)) continue
+
+        const trip = readTripDescriptor(vehicle.trip)
+        if (routeFilter.size && !routeFilter.has(trip.routeId)) continue
+
+        const vehicleId = vehicle.vehicle?.id || entity.id
+
+        features.push({
+            type: 'Feature',
+            id: vehicleId,
+            geometry: {
+                type: 'Point',
+                coordinates: [position.longitude, position.latitude]
+            },
+            properties: {
+                vehicle_id: vehicleId,
+                label: vehicle.vehicle?.label ?? '',
+                route_id: trip.routeId,
+                trip_id: trip.tripId,
+                direction_id: trip.directionId,
+                bearing: Number.isFinite(position.bearing) ? position.bearing : null,
+                speed: Number.isFinite(position.speed) ? position.speed : null,
+                current_status: vehicle.currentStatus ?? '',
+                stop_id: vehicle.stopId ?? '',
+                timestamp: Number.isFinite(vehicle.timestamp) ? vehicle.timestamp : null
+            }
+        })
+    }
+
+    return { type: 'FeatureCollection', features }
+}
+
+export function buildTripUpdateList(feed, { routeIds = [], tripIds = [] } = {}) {
+    const routeFilter = new Set(routeIds)
+    const tripFilter = new Set(tripIds)
+    const tripUpdates = []
+
+    for (const entity of feed?.entity ?? []) {
+        const update = entity.tripUpdate
+        if (!update) continue
+
+        const trip = readTripDescriptor(update.trip)
+        if (routeFilter.size && !routeFilter.has(trip.routeId)) continue
+        if (tripFilter.size && !tripFilter.has(trip.tripId)) continue
+
+        tripUpdates.push({
+            id: entity.id,
+            ...trip,
+            vehicleId: update.vehicle?.id ?? '',
+            delay: Number.isFinite(update.delay) ? update.delay : null,
+            timestamp: Number.isFinite(update.timestamp) ? update.timestamp : null,
+            stopTimeUpdates: (update.stopTimeUpdate ?? []).map((stopTimeUpdate) => ({
+                stopId: stopTimeUpdate.stopId ?? '',
+                stopSequence: Number.isFinite(stopTimeUpdate.stopSequence) ? stopTimeUpdate.stopSequence : null,
+                arrival: readStopTimeEvent(stopTimeUpdate.arrival),
+                departure: readStopTimeEvent(stopTimeUpdate.departure),
+                scheduleRelationship: stopTimeUpdate.scheduleRelationship ?? 'SCHEDULED'
+            }))
+        })
+    }
+
+    return tripUpdates
+}
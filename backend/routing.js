@@ -0,0 +1,819 @@
+import { getActiveServiceIds } from './gtfs.js'
+
+const EARTH_RADIUS_METERS = 6371000
+const WALK_SPEED_METERS_PER_SECOND = 1.3
+const MAX_ACCESS_WALK_SECONDS = 10 * 60
+const MAX_TRANSFER_WALK_METERS = 400
+const MAX_ROUNDS = 5
+const MAX_SCENARIO_STOP_OFFSET_METERS = 150
+const MAX_KEPT_STOP_MOVE_METERS = 5
+const MAX_CACHED_NETWORKS = 4
+const ISOCHRONE_CELL_METERS = 100
+const MAX_ISOCHRONE_CELLS = 250000
+const MAX_TRIP_SECONDS = 3 * 60 * 60
+const MAX_ITINERARIES = 3
+const NEXT_DEPARTURE_OFFSET_SECONDS = 60
+
+export const ROUTING_SETTINGS = {
+    walkSpeedMetersPerSecond: WALK_SPEED_METERS_PER_SECOND,
+    maxAccessWalkMinutes: MAX_ACCESS_WALK_SECONDS / 60,
+    maxTransferWalkMeters: MAX_TRANSFER_WALK_METERS,
+    maxTransfers: MAX_ROUNDS - 1
+}
+
+// Equirectangular projection around one latitude, accurate enough across a city
+function createLocalProjection(latitude) {
+    const metersPerDegree = (Math.PI / 180) * EARTH_RADIUS_METERS
+    const longitudeScale = metersPerDegree * Math.cos((latitude * Math.PI) / 180)
+
+    return {
+        toMeters: ([longitude, latitude]) => [longitude * longitudeScale, latitude * metersPerDegree],
+        toCoordinate: ([x, y]) => [x / longitudeScale, y / metersPerDegree]
+    }
+}
+
+function getBucketKey(column, row) {
+    return `${column}:${row}`
+}
+
+function buildPointIndex(points) {
+    const buckets = new Map()
+
+    points.forEach(([x, y], index) => {
+        const key = getBucketKey(Math.floor(x / MAX_TRANSFER_WALK_METERS), Math.floor(y / MAX_TRANSFER_WALK_METERS))
+        const bucket = buckets.get(key)
+
+        if (bucket) {
+            bucket.push(index)
+        } else {
+            buckets.set(key, [index])
+        }
+    })
+
+    return buckets
+}
+
+function findStopsWithin(network, [x, y], radiusMeters) {
+    const reach = Math.ceil(radiusMeters / MAX_TRANSFER_WALK_METERS)
+    const column = Math.floor(x / MAX_TRANSFER_WALK_METERS)
+    const row = Math.floor(y / MAX_TRANSFER_WALK_METERS)
+    const matches = []
+
+    for (let dx = -reach; dx <= reach; dx += 1) {
+        for (let dy = -reach; dy <= reach; dy += 1) {
+            for (const stopIndex of network.pointIndex.get(getBucketKey(column + dx, row + dy)) ?? []) {
+                const [stopX, stopY] = network.points[stopIndex]
+                const distance = Math.hypot(stopX - x, stopY - y)
+                if (distance <= radiusMeters) matches.push({ stopIndex, distance })
+            }
+        }
+    }
+
+    return matches
+}
+
+function getServiceTrips(feed, serviceDate) {
+    const activeServices = getActiveServiceIds(feed, serviceDate)
+    const trips = []
+
+    for (const trip of feed.trips.values()) {
+        if (!activeServices.has(trip.serviceId)) continue
+
+        const stopTimes = feed.stopTimes.get(trip.id)
+        if (!stopTimes || stopTimes.stopIds.length < 2) continue
+
+        trips.push({ id: trip.id, routeId: trip.routeId, directionId: trip.directionId ?? 0, ...stopTimes })
+    }
+
+    return trips
+}
+
+// Trips with the same route and stop sequence form a pattern, the unit RAPTOR scans
+function buildRoutingNetwork(serviceDate, stops, trips) {
+    const latitude = stops.reduce((sum, stop) => sum + stop.coordinate[1], 0) / Math.max(stops.length, 1)
+    const projection = createLocalProjection(latitude)
+    const stopIndexById = new Map(stops.map((stop, index) => [stop.id, index]))
+    const points = stops.map((stop) => projection.toMeters(stop.coordinate))
+    const patternsByKey = new Map()
+
+    for (const trip of trips) {
+        const positions = trip.stopIds
+            .map((stopId, position) => (stopIndexById.has(stopId) ? position : -1))
+            .filter((position) => position !== -1)
+        if (positions.length < 2) continue
+
+        const stopIndices = positions.map((position) => stopIndexById.get(trip.stopIds[position]))
+        const key = `${trip.routeId}:${stopIndices.join(',')}`
+        const pattern = patternsByKey.get(key) ?? { routeId: trip.routeId, stops: stopIndices, trips: [] }
+
+        pattern.trips.push({
+            id: trip.id,
+            arrivals: positions.map((position) => trip.arrivals[position]),
+            departures: positions.map((position) => trip.departures[position])
+        })
+        patternsByKey.set(key, pattern)
+    }
+
+    const patterns = Array.from(patternsByKey.values())
+    const stopPatterns = stops.map(() => [])
+
+    patterns.forEach((pattern, patternIndex) => {
+        pattern.trips.sort((a, b) => a.departures[0] - b.departures[0])
+        pattern.stops.forEach((stopIndex, position) => stopPatterns[stopIndex].push({ patternIndex, position }))
+    })
+
+    const network = { serviceDate, stops, trips, stopIndexById, projection, points, patterns, stopPatterns }
+    network.pointIndex = buildPointIndex(points)
+    network.transfers = points.map((point, stopIndex) =>
+        findStopsWithin(network, point, MAX_TRANSFER_WALK_METERS)
+            .filter((match) => match.stopIndex !== stopIndex)
+            .map((match) => ({ stopIndex: match.stopIndex, seconds: match.distance / WALK_SPEED_METERS_PER_SECOND }))
+    )
+
+    return network
+}
+
+function readFeedStop(feed, stopId) {
+    const stop = feed.stops.get(stopId)
+    return stop ? { id: stop.id, name: stop.name, coordinate: [stop.longitude, stop.latitude] } : null
+}
+
+function collectTripStops(feed, trips) {
+    const stopIds = new Set(trips.flatMap((trip) => trip.stopIds))
+
+    return Array.from(stopIds)
+        .map((stopId) => readFeedStop(feed, stopId))
+        .filter(Boolean)
+}
+
+export function getRoutingNetwork(feed, serviceDate) {
+    if (!feed.routingNetworks) feed.routingNetworks = new Map()
+    if (feed.routingNetworks.has(serviceDate)) return feed.routingNetworks.get(serviceDate)
+
+    const trips = getServiceTrips(feed, serviceDate)
+    const network = buildRoutingNetwork(serviceDate, collectTripStops(feed, trips), trips)
+
+    if (feed.routingNetworks.size >= MAX_CACHED_NETWORKS) {
+        feed.routingNetworks.delete(feed.routingNetworks.keys().next().value)
+    }
+
+    feed.routingNetworks.set(serviceDate, network)
+
+    return network
+}
+
+function readScenarioStopId(feature) {
+    return String(feature.id ?? feature.properties?.stop_id ?? '')
+}
+
+function readScenarioDirectionId(feature) {
+    const value = feature.properties?.direction_id
+    return value === 0 || value === 1 || value === '0' || value === '1' ? Number(value) : null
+}
+
+function locateOnSegment([px, py], [ax, ay], [bx, by]) {
+    const dx = bx - ax
+    const dy = by - ay
+    const lengthSquared = dx * dx + dy * dy
+    const t = lengthSquared ? Math.min(1, Math.max(0, ((px - ax) * dx + (py - ay) * dy) / lengthSquared)) : 0
+
+    return { t, distance: Math.hypot(px - (ax + t * dx), py - (ay + t * dy)) }
+}
+
+// Places a new stop on the segment of the trip it lies closest to, timed in proportion to where it falls
+function insertScenarioStop(trip, tripPoints, stop, point) {
+    let best = null
+
+    for (let index = 1; index < tripPoints.length; index += 1) {
+        if (!tripPoints[index - 1] || !tripPoints[index]) continue
+
+        const located = locateOnSegment(point, tripPoints[index - 1], tripPoints[index])
+        if (!best || located.distance < best.distance) best = { ...located, index }
+    }
+
+    if (!best || best.distance > MAX_SCENARIO_STOP_OFFSET_METERS) return null
+
+    const departure = trip.departures[best.index - 1]
+    const seconds = departure + best.t * (trip.arrivals[best.index] - departure)
+
+    return {
+        order: best.index - 1 + Math.min(0.999, Math.max(0.001, best.t)),
+        stopId: stop.id,
+        arrival: seconds,
+        departure: seconds,
+        isAdded: true
+    }
+}
+
+// Rewrites the scenario route's trips to serve the scenario stops. Dropped stops are skipped and new stops are
+// timed along the segment they fall on; each stop removed or added moves the rest of the trip by the per-stop time.
+// A served stop dragged away from its GTFS position counts as removed there and added where it now stands.
+function applyStopScenario(feed, network, { routeId, stops, stopPenaltySeconds = 0 }) {
+    const { projection } = network
+    const servedStopIds = feed.routeStopIds.get(routeId) ?? new Set()
+    const keptStopIds = new Set()
+    const addedStops = []
+
+    const isAtFeedPosition = (stopId, coordinate) => {
+        const stop = feed.stops.get(stopId)
+        if (!stop) return false
+
+        const [x, y] = projection.toMeters(coordinate)
+        const [feedX, feedY] = projection.toMeters([stop.longitude, stop.latitude])
+
+        return Math.hypot(x - feedX, y - feedY) <= MAX_KEPT_STOP_MOVE_METERS
+    }
+
+    stops.features.forEach((feature, index) => {
+        const stopId = readScenarioStopId(feature)
+
+        if (servedStopIds.has(stopId) && isAtFeedPosition(stopId, feature.geometry.coordinates)) {
+            keptStopIds.add(stopId)
+            return
+        }
+
+        addedStops.push({
+            id: `scenario:${stopId || index}`,
+            name: feature.properties?.name || 'Proposed stop',
+            coordinate: feature.geometry.coordinates.slice(0, 2),
+            directionId: readScenarioDirectionId(feature)
+        })
+    })
+
+    const addedPoints = addedStops.map((stop) => projection.toMeters(stop.coordinate))
+    const trips = network.trips.map((trip) => {
+        if (trip.routeId !== routeId) return trip
+
+        const tripPoints = trip.stopIds.map((stopId) => {
+            const stop = feed.stops.get(stopId)
+            return stop ? projection.toMeters([stop.longitude, stop.latitude]) : null
+        })
+        const lastIndex = trip.stopIds.length - 1
+        const events = trip.stopIds.map((stopId, index) => ({
+            order: index,
+            stopId,
+            arrival: trip.arrivals[index],
+            departure: trip.departures[index],
+            isRemoved: !keptStopIds.has(stopId),
+            isInterior: index > 0 && index < lastIndex
+        }))
+
+        addedStops.forEach((stop, index) => {
+            if (stop.directionId !== null && stop.directionId !== trip.directionId) return
+
+            const event = insertScenarioStop(trip, tripPoints, stop, addedPoints[index])
+            if (event) events.push(event)
+        })
+
+        events.sort((a, b) => a.order - b.order)
+
+        const stopIds = []
+        const arrivals = []
+        const departures = []
+        let shift = 0
+
+        for (const event of events) {
+            if (event.isRemoved) {
+                if (event.isInterior) shift -= stopPenaltySeconds
+                continue
+            }
+
+            const previousDeparture = departures.length ? departures[departures.length - 1] : -Infinity
+            const arrival = Math.max(event.arrival + shift, previousDeparture)
+
+            stopIds.push(event.stopId)
+            arrivals.push(arrival)
+            departures.push(Math.max(event.departure + shift, arrival))
+
+            if (event.isAdded) shift += stopPenaltySeconds
+        }
+
+        return { ...trip, stopIds, arrivals, departures }
+    })
+
+    const stopsById = new Map(network.stops.map((stop) => [stop.id, stop]))
+    addedStops.forEach(({ id, name, coordinate }) => stopsById.set(id, { id, name, coordinate }))
+
+    return buildRoutingNetwork(network.serviceDate, Array.from(stopsById.values()), trips)
+}
+
+function getScenarioNetwork(feed, serviceDate, scenario) {
+    const network = getRoutingNetwork(feed, serviceDate)
+    return scenario ? applyStopScenario(feed, network, scenario) : network
+}
+
+function findAccessStops(network, point) {
+    return findStopsWithin(network, point, MAX_ACCESS_WALK_SECONDS * WALK_SPEED_METERS_PER_SECOND).map(
+        ({ stopIndex, distance }) => ({ stopIndex, walkSeconds: distance / WALK_SPEED_METERS_PER_SECOND })
+    )
+}
+
+function findEarliestTrip(pattern, position, readySeconds) {
+    return pattern.trips.find((trip) => trip.departures[position] >= readySeconds) ?? null
+}
+
+// Round-based public transit routing (RAPTOR): round k finds the earliest arrival at every stop with k bus rides,
+// followed by a walking transfer to nearby stops. Each round keeps how the stops it improved were reached, so
+// journeys can be traced back; stops a round did not improve carry over from the round before.
+function runRaptor(network, accessStops, latestArrival) {
+    const best = new Float64Array(network.stops.length).fill(Infinity)
+    let previous = new Float64Array(network.stops.length).fill(Infinity)
+    let marked = new Set()
+
+    for (const { stopIndex, seconds } of accessStops) {
+        if (seconds >= previous[stopIndex] || seconds > latestArrival) continue
+
+        previous[stopIndex] = seconds
+        best[stopIndex] = seconds
+        marked.add(stopIndex)
+    }
+
+    const rounds = [{ arrivals: previous, labels: new Map() }]
+
+    for (let round = 1; round <= MAX_ROUNDS && marked.size; round += 1) {
+        const current = Float64Array.from(previous)
+        const labels = new Map()
+        const queue = new Map()
+        const reached = new Set()
+
+        for (const stopIndex of marked) {
+            for (const { patternIndex, position } of network.stopPatterns[stopIndex]) {
+                const queued = queue.get(patternIndex)
+                if (queued === undefined || position < queued) queue.set(patternIndex, position)
+            }
+        }
+
+        for (const [patternIndex, startPosition] of queue.entries()) {
+            const pattern = network.patterns[patternIndex]
+            let trip = null
+            let boardPosition = null
+
+            for (let position = startPosition; position < pattern.stops.length; position += 1) {
+                const stopIndex = pattern.stops[position]
+
+                if (trip) {
+                    const arrival = trip.arrivals[position]
+
+                    if (arrival < best[stopIndex] && arrival <= latestArrival) {
+                        current[stopIndex] = arrival
+                        best[stopIndex] = arrival
+                        labels.set(stopIndex, { type: 'ride', pattern, trip, boardPosition, alightPosition: position })
+                        reached.add(stopIndex)
+                    }
+                }
+
+                if (previous[stopIndex] <= (trip ? trip.departures[position] : Infinity)) {
+                    const earlierTrip = findEarliestTrip(pattern, position, previous[stopIndex])
+
+                    if (earlierTrip && earlierTrip !== trip) {
+                        trip = earlierTrip
+                        boardPosition = position
+                    }
+                }
+            }
+        }
+
+        for (const stopIndex of Array.from(reached)) {
+            for (const transfer of network.transfers[stopIndex]) {
+                const arrival = current[stopIndex] + transfer.seconds
+
+                if (arrival < best[transfer.stopIndex] && arrival <= latestArrival) {
+                    current[transfer.stopIndex] = arrival
+                    best[transfer.stopIndex] = arrival
+                    labels.set(transfer.stopIndex, { type: 'transfer', fromStopIndex: stopIndex })
+                    reached.add(transfer.stopIndex)
+                }
+            }
+        }
+
+        rounds.push({ arrivals: current, labels })
+        previous = current
+        marked = reached
+    }
+
+    return { best, rounds }
+}
+
+function calculateRingArea(ring) {
+    let area = 0
+
+    for (let index = 1; index < ring.length; index += 1) {
+        area += ring[index - 1][0] * ring[index][1] - ring[index][0] * ring[index - 1][1]
+    }
+
+    return area / 2
+}
+
+function isPointInRing([x, y], ring) {
+    let inside = false
+
+    for (let index = 0, previous = ring.length - 1; index < ring.length; previous = index, index += 1) {
+        const [xi, yi] = ring[index]
+        const [xj, yj] = ring[previous]
+
+        if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+            inside = !inside
+        }
+    }
+
+    return inside
+}
+
+// Outlines the filled cells of a grid as polygons. Cell edges with a filled cell on their left and an empty one on
+// their right are chained into rings, turning left where two rings touch at a corner, so outer rings run
+// counter-clockwise and holes clockwise. Coordinates are in cell units.
+function traceGridPolygons(isFilled, columns, rows) {
+    const edgesByVertex = new Map()
+    const isCellFilled = (column, row) =>
+        column >= 0 && row >= 0 && column < columns && row < rows && isFilled(column, row)
+    const addEdge = (x0, y0, x1, y1) => {
+        const key = y0 * (columns + 1) + x0
+        const edge = { x0, y0, x1, y1, used: false }
+        const edges = edgesByVertex.get(key)
+
+        if (edges) {
+            edges.push(edge)
+        } else {
+            edgesByVertex.set(key, [edge])
+        }
+    }
+
+    for (let row = 0; row < rows; row += 1) {
+        for (let column = 0; column < columns; column += 1) {
+            if (!isFilled(column, row)) continue
+
+            if (!isCellFilled(column, row - 1)) addEdge(column, row, column + 1, row)
+            if (!isCellFilled(column + 1, row)) addEdge(column + 1, row, column + 1, row + 1)
+            if (!isCellFilled(column, row + 1)) addEdge(column + 1, row + 1, column, row + 1)
+            if (!isCellFilled(column - 1, row)) addEdge(column, row + 1, column, row)
+        }
+    }
+
+    const outerRings = []
+    const holes = []
+
+    for (const edges of edgesByVertex.values()) {
+        for (const start of edges) {
+            if (start.used) continue
+
+            const ring = []
+            let edge = start
+
+            while (!edge.used) {
+                edge.used = true
+                ring.push([edge.x0, edge.y0])
+
+                const candidates = edgesByVertex.get(edge.y1 * (columns + 1) + edge.x1)
+                const dx = edge.x1 - edge.x0
+                const dy = edge.y1 - edge.y0
+                edge =
+                    candidates.find(
+                        (candidate) => candidate.x1 - candidate.x0 === -dy && candidate.y1 - candidate.y0 === dx
+                    ) ?? candidates[0]
+            }
+
+            const simplified = ring.filter((point, index) => {
+                const before = ring[(index + ring.length - 1) % ring.length]
+                const after = ring[(index + 1) % ring.length]
+                return (point[0] - before[0]) * (after[1] - point[1]) !== (point[1] - before[1]) * (after[0] - point[0])
+            })
+            simplified.push(simplified[0])
+
+            const area = calculateRingArea(simplified)
+
+            if (area > 0) {
+                outerRings.push({ ring: simplified, area, holes: [] })
+            } else {
+                holes.push(simplified)
+            }
+        }
+    }
+
+    outerRings.sort((a, b) => a.area - b.area)
+
+    for (const hole of holes) {
+        // The cell to the left of a hole's first edge belongs to the polygon the hole is cut from
+        const [[x0, y0], [x1, y1]] = hole
+        const dx = Math.sign(x1 - x0)
+        const dy = Math.sign(y1 - y0)
+        const inside = [x0 + (dx - dy) / 2, y0 + (dy + dx) / 2]
+        const outer = outerRings.find((candidate) => isPointInRing(inside, candidate.ring))
+
+        if (outer) outer.holes.push(hole)
+    }
+
+    return outerRings.map((outer) => [outer.ring, ...outer.holes])
+}
+
+// Minutes to reach every cell of a grid around the origin: walking straight there, or riding to a stop and walking
+// the rest. Walks at either end are capped, so cells are only reached near the origin or a reached stop.
+function buildTravelTimeGrid(network, originPoint, departureSeconds, arrivals, maxSeconds) {
+    const walkRadius = (elapsedSeconds) =>
+        Math.min(maxSeconds - elapsedSeconds, MAX_ACCESS_WALK_SECONDS) * WALK_SPEED_METERS_PER_SECOND
+    const sources = [{ point: originPoint, elapsedSeconds: 0, radius: walkRadius(0) }]
+
+    arrivals.forEach((arrival, stopIndex) => {
+        const elapsedSeconds = arrival - departureSeconds
+        if (elapsedSeconds < maxSeconds) {
+            sources.push({ point: network.points[stopIndex], elapsedSeconds, radius: walkRadius(elapsedSeconds) })
+        }
+    })
+
+    const minX = Math.min(...sources.map(({ point, radius }) => point[0] - radius))
+    const minY = Math.min(...sources.map(({ point, radius }) => point[1] - radius))
+    const maxX = Math.max(...sources.map(({ point, radius }) => point[0] + radius))
+    const maxY = Math.max(...sources.map(({ point, radius }) => point[1] + radius))
+    const cellSize = Math.max(ISOCHRONE_CELL_METERS, Math.sqrt(((maxX - minX) * (maxY - minY)) / MAX_ISOCHRONE_CELLS))
+    const columns = Math.max(1, Math.ceil((maxX - minX) / cellSize))
+    const rows = Math.max(1, Math.ceil((maxY - minY) / cellSize))
+    const seconds = new Float64Array(columns * rows).fill(Infinity)
+
+    for (const { point, elapsedSeconds, radius } of sources) {
+        const firstColumn = Math.max(0, Math.floor((point[0] - radius - minX) / cellSize))
+        const lastColumn = Math.min(columns - 1, Math.floor((point[0] + radius - minX) / cellSize))
+        const firstRow = Math.max(0, Math.floor((point[1] - radius - minY) / cellSize))
+        const lastRow = Math.min(rows - 1, Math.floor((point[1] + radius - minY) / cellSize))
+
+        for (let row = firstRow; row <= lastRow; row += 1) {
+            for (let column = firstColumn; column <= lastColumn; column += 1) {
+                const distance = Math.hypot(
+                    minX + (column + 0.5) * cellSize - point[0],
+                    minY + (row + 0.5) * cellSize - point[1]
+                )
+                if (distance > radius) continue
+
+                const cellIndex = row * columns + column
+                seconds[cellIndex] = Math.min(
+                    seconds[cellIndex],
+                    elapsedSeconds + distance / WALK_SPEED_METERS_PER_SECOND
+                )
+            }
+        }
+    }
+
+    return { minX, minY, cellSize, columns, rows, seconds }
+}
+
+// Isochrones for walking plus bus from the origin, one polygon per cutoff (each contains the shorter ones).
+// With a scenario, the scenario route's trips serve the scenario stops instead of the scheduled ones.
+export function computeIsochrones(feed, { origin, serviceDate, departureSeconds, cutoffs, scenario = null }) {
+    const network = getScenarioNetwork(feed, serviceDate, scenario)
+    const originPoint = network.projection.toMeters(origin)
+    const maxSeconds = Math.max(...cutoffs) * 60
+    const accessStops = findAccessStops(network, originPoint).map(({ stopIndex, walkSeconds }) => ({
+        stopIndex,
+        seconds: departureSeconds + walkSeconds
+    }))
+    const arrivals = runRaptor(network, accessStops, departureSeconds + maxSeconds).best
+    const grid = buildTravelTimeGrid(network, originPoint, departureSeconds, arrivals, maxSeconds)
+    const toCoordinate = ([x, y]) =>
+        network.projection.toCoordinate([grid.minX + x * grid.cellSize, grid.minY + y * grid.cellSize])
+    const cellAreaSquareKm = (grid.cellSize * grid.cellSize) / 1e6
+
+    const features = [...cutoffs]
+        .sort((a, b) => b - a)
+        .map((minutes) => {
+            const cutoffSeconds = minutes * 60
+            const polygons = traceGridPolygons(
+                (column, row) => grid.seconds[row * grid.columns + column] <= cutoffSeconds,
+                grid.columns,
+                grid.rows
+            )
+
+            return {
+                type: 'Feature',
+                properties: {
+                    minutes,
+                    areaSquareKm: grid.seconds.filter((value) => value <= cutoffSeconds).length * cellAreaSquareKm,
+                    reachedStopCount: arrivals.filter((arrival) => arrival - departureSeconds <= cutoffSeconds).length
+                },
+                geometry: {
+                    type: 'MultiPolygon',
+                    coordinates: polygons.map((rings) => rings.map((ring) => ring.map(toCoordinate)))
+                }
+            }
+        })
+
+    return {
+        reachedStopCount: arrivals.filter(Number.isFinite).length,
+        isochrones: { type: 'FeatureCollection', features }
+    }
+}
+
+function findNearestVertex(coordinates, [x, y], startIndex) {
+    let nearest = startIndex
+
+    for (let index = startIndex; index < coordinates.length; index += 1) {
+        const [vx, vy] = coordinates[index]
+        const [nx, ny] = coordinates[nearest]
+        if ((vx - x) ** 2 + (vy - y) ** 2 < (nx - x) ** 2 + (ny - y) ** 2) nearest = index
+    }
+
+    return nearest
+}
+
+// The stretch of the trip's shape between two stops; straight lines between the stops passed when there is no shape
+function buildRideGeometry(feed, network, pattern, trip, boardPosition, alightPosition) {
+    const stopCoordinates = pattern.stops
+        .slice(boardPosition, alightPosition + 1)
+        .map((stopIndex) => network.stops[stopIndex].coordinate)
+    const shape = feed.shapes.get(feed.trips.get(trip.id)?.shapeId)
+
+    if (!shape || shape.length < 2) {
+        return { type: 'LineString', coordinates: stopCoordinates }
+    }
+
+    const from = stopCoordinates[0]
+    const to = stopCoordinates[stopCoordinates.length - 1]
+    const startIndex = findNearestVertex(shape, from, 0)
+    const endIndex = findNearestVertex(shape, to, startIndex)
+
+    return { type: 'LineString', coordinates: [from, ...shape.slice(startIndex + 1, endIndex), to] }
+}
+
+function describeStop(network, stopIndex) {
+    const { id, name, coordinate } = network.stops[stopIndex]
+    return { stopId: id.startsWith('scenario:') ? null : id, name, coordinate }
+}
+
+function buildWalkLeg(from, to, departureSeconds, walkSeconds) {
+    return {
+        mode: 'walk',
+        from,
+        to,
+        departureSeconds,
+        arrivalSeconds: departureSeconds + walkSeconds,
+        distanceMeters: walkSeconds * WALK_SPEED_METERS_PER_SECOND,
+        geometry: { type: 'LineString', coordinates: [from.coordinate, to.coordinate] }
+    }
+}
+
+// Follows the labels back from the stop the journey leaves the network at. The walk to the first stop is timed to
+// arrive as the bus departs.
+function traceItinerary(feed, network, raptor, round, egress, places) {
+    const rides = []
+    let currentRound = round
+    let stopIndex = egress.stopIndex
+
+    while (currentRound > 0) {
+        const label = raptor.rounds[currentRound].labels.get(stopIndex)
+
+        if (!label) {
+            currentRound -= 1
+        } else if (label.type === 'transfer') {
+            rides.unshift({ transferFrom: label.fromStopIndex, transferTo: stopIndex })
+            stopIndex = label.fromStopIndex
+        } else {
+            rides.unshift(label)
+            stopIndex = label.pattern.stops[label.boardPosition]
+            currentRound -= 1
+        }
+    }
+
+    const legs = []
+    const accessSeconds = raptor.rounds[0].arrivals[stopIndex] - raptor.departureSeconds
+    const firstRide = rides.find((ride) => ride.trip)
+    const firstDeparture = firstRide.trip.departures[firstRide.boardPosition]
+
+    legs.push(
+        buildWalkLeg(places.origin, describeStop(network, stopIndex), firstDeparture - accessSeconds, accessSeconds)
+    )
+
+    for (const ride of rides) {
+        const previousArrival = legs[legs.length - 1].arrivalSeconds
+
+        if (!ride.trip) {
+            const walkSeconds = network.transfers[ride.transferFrom].find(
+                (transfer) => transfer.stopIndex === ride.transferTo
+            ).seconds
+            legs.push(
+                buildWalkLeg(
+                    describeStop(network, ride.transferFrom),
+                    describeStop(network, ride.transferTo),
+                    previousArrival,
+                    walkSeconds
+                )
+            )
+            continue
+        }
+
+        const { pattern, trip, boardPosition, alightPosition } = ride
+        const route = feed.routes.get(pattern.routeId)
+
+        legs.push({
+            mode: 'bus',
+            routeId: pattern.routeId,
+            routeName: route?.shortName || route?.longName || pattern.routeId,
+            headsign: feed.trips.get(trip.id)?.headsign ?? '',
+            tripId: trip.id,
+            from: describeStop(network, pattern.stops[boardPosition]),
+            to: describeStop(network, pattern.stops[alightPosition]),
+            departureSeconds: trip.departures[boardPosition],
+            arrivalSeconds: trip.arrivals[alightPosition],
+            stopCount: alightPosition - boardPosition,
+            geometry: buildRideGeometry(feed, network, pattern, trip, boardPosition, alightPosition)
+        })
+    }
+
+    legs.push(
+        buildWalkLeg(
+            describeStop(network, egress.stopIndex),
+            places.destination,
+            legs[legs.length - 1].arrivalSeconds,
+            egress.walkSeconds
+        )
+    )
+
+    // Origins and destinations picked on a stop need no walk there
+    return summarizeItinerary(legs.filter((leg) => leg.mode === 'bus' || leg.distanceMeters >= 1))
+}
+
+function summarizeItinerary(legs) {
+    const departureSeconds = legs[0].departureSeconds
+    const arrivalSeconds = legs[legs.length - 1].arrivalSeconds
+    const busLegs = legs.filter((leg) => leg.mode === 'bus')
+
+    return {
+        departureSeconds,
+        arrivalSeconds,
+        durationSeconds: arrivalSeconds - departureSeconds,
+        transfers: Math.max(0, busLegs.length - 1),
+        walkMeters: legs.filter((leg) => leg.mode === 'walk').reduce((sum, leg) => sum + leg.distanceMeters, 0),
+        legs
+    }
+}
+
+// The fastest journey for each number of rides, keeping only those that arrive earlier than any with fewer rides
+function findItineraries(feed, network, originPoint, egressStops, departureSeconds, places) {
+    const accessStops = findAccessStops(network, originPoint).map(({ stopIndex, walkSeconds }) => ({
+        stopIndex,
+        seconds: departureSeconds + walkSeconds
+    }))
+    const raptor = runRaptor(network, accessStops, departureSeconds + MAX_TRIP_SECONDS)
+    const itineraries = []
+    let earliestArrival = Infinity
+
+    raptor.departureSeconds = departureSeconds
+
+    for (let round = 1; round < raptor.rounds.length; round += 1) {
+        let best = null
+
+        for (const egress of egressStops) {
+            if (!raptor.rounds[round].labels.has(egress.stopIndex)) continue
+
+            const arrival = raptor.rounds[round].arrivals[egress.stopIndex] + egress.walkSeconds
+            if (arrival < earliestArrival && (!best || arrival < best.arrival)) best = { egress, arrival }
+        }
+
+        if (!best) continue
+
+        earliestArrival = best.arrival
+        itineraries.push(traceItinerary(feed, network, raptor, round, best.egress, places))
+    }
+
+    return itineraries
+}
+
+function getItineraryKey(itinerary) {
+    return itinerary.legs.map((leg) => leg.tripId ?? leg.to.stopId ?? 'walk').join('|')
+}
+
+// Walking plus bus itineraries between two points: the best options leaving at the requested time, then the next
+// departures after them, and walking all the way when that is short enough
+export function planTrip(feed, { from, to, serviceDate, departureSeconds, scenario = null }) {
+    const network = getScenarioNetwork(feed, serviceDate, scenario)
+    const originPoint = network.projection.toMeters(from)
+    const destinationPoint = network.projection.toMeters(to)
+    const egressStops = findAccessStops(network, destinationPoint)
+    const places = {
+        origin: { stopId: null, name: 'Origin', coordinate: from },
+        destination: { stopId: null, name: 'Destination', coordinate: to }
+    }
+    const itineraries = new Map()
+    let searchSeconds = departureSeconds
+
+    while (itineraries.size < MAX_ITINERARIES) {
+        const found = findItineraries(feed, network, originPoint, egressStops, searchSeconds, places).filter(
+            (itinerary) => !itineraries.has(getItineraryKey(itinerary))
+        )
+        if (!found.length) break
+
+        found.forEach((itinerary) => itineraries.set(getItineraryKey(itinerary), itinerary))
+        searchSeconds =
+            Math.min(...found.map((itinerary) => itinerary.departureSeconds)) + NEXT_DEPARTURE_OFFSET_SECONDS
+    }
+
+    const walkSeconds =
+        Math.hypot(destinationPoint[0] - originPoint[0], destinationPoint[1] - originPoint[1]) /
+        WALK_SPEED_METERS_PER_SECOND
+    const options = Array.from(itineraries.values()).slice(0, MAX_ITINERARIES)
+
+    if (walkSeconds <= 2 * MAX_ACCESS_WALK_SECONDS) {
+        const walkLeg = buildWalkLeg(places.origin, places.destination, departureSeconds, walkSeconds)
+        options.push(summarizeItinerary([walkLeg]))
+    }
+
+    options.sort((a, b) => a.arrivalSeconds - b.arrivalSeconds || b.departureSeconds - a.departureSeconds)
+
+    return { itineraries: options }
+}
@@ -0,0 +1,208 @@
+import crypto from 'crypto'
+import fs from 'fs'
+import path from 'path'
+
+const MAX_NAME_LENGTH = 200
+const MAX_DESCRIPTION_LENGTH = 2000
+const MAX_SCENARIO_BYTES = 1024 * 1024
+export const MAX_SCENARIOS = 500
+const LINE_GEOMETRY_TYPES = new Set(['LineString', 'MultiLineString'])
+
+function isCoordinate(value) {
+    return Array.isArray(value) && value.length >= 2 && Number.isFinite(value[0]) && Number.isFinite(value[1])
+}
+
+function isPointFeature(feature) {
+    return (
+        feature?.type === 'Feature' && feature.geometry?.type === 'Point' && isCoordinate(feature.geometry.coordinates)
+    )
+}
+
+function isLineGeometry(geometry) {
+    if (!geometry || !LINE_GEOMETRY_TYPES.has(geometry.type) || !Array.isArray(geometry.coordinates)) {
+        return false
+    }
+
+    const lines = geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates
+
+    return lines.every((line) => Array.isArray(line) && line.every(isCoordinate))
+}
+
+export function validateScenarioInput(input, { partial = false } = {}) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Scenario body must be a JSON object' }
+    }
+
+    const value = {}
+
+    if (input.name !== undefined || !partial) {
+        const name = typeof input.name === 'string' ? input.name.trim() : ''
+        if (!name) return { error: 'Scenario name is required' }
+        if (name.length > MAX_NAME_LENGTH) {
+            return { error: `Scenario name must be at most ${MAX_NAME_LENGTH} characters` }
+        }
+        value.name = name
+    }
+
+    if (input.description !== undefined) {
+        if (typeof input.description !== 'string') return { error: 'Scenario description must be a string' }
+        if (input.description.length > MAX_DESCRIPTION_LENGTH) {
+            return { error: `Scenario description must be at most ${MAX_DESCRIPTION_LENGTH} characters` }
+        }
+        value.description = input.description.trim()
+    }
+
+    if (input.routeId !== undefined || !partial) {
+        const routeId = typeof input.routeId === 'string' ? input.routeId.trim() : ''
+        if (!routeId) return { error: 'Scenario routeId is required' }
+        value.routeId = routeId
+    }
+
+    if (input.stops !== undefined || !partial) {
+        const stops = input.stops
+        if (stops?.type !== 'FeatureCollection' || !Array.isArray(stops.features)) {
+            return { error: 'Scenario stops must be a GeoJSON FeatureCollection' }
+        }
+        if (!stops.features.every(isPointFeature)) {
+            return { error: 'Scenario stops must only contain Point features' }
+        }
+        value.stops = { type: 'FeatureCollection', features: stops.features }
+    }
+
+    if (input.geometry !== undefined) {
+        if (input.geometry !== null && !isLineGeometry(input.geometry)) {
+            return { error: 'Scenario geometry must be a LineString or MultiLineString' }
+        }
+        value.geometry = input.geometry
+    }
+
+    if (input.parameters !== undefined) {
+        if (!input.parameters || typeof input.parameters !== 'object' || Array.isArray(input.parameters)) {
+            return { error: 'Scenario parameters must be an object' }
+        }
+        value.parameters = input.parameters
+    }
+
+    // Scenarios are kept on the server's disk, so each one is bounded
+    if (Buffer.byteLength(JSON.stringify(value)) > MAX_SCENARIO_BYTES) {
+        return { error: `Scenario must be at most ${MAX_SCENARIO_BYTES / 1024 / 1024} MB` }
+    }
+
+    return { value }
+}
+
+function summarizeScenario(scenario) {
+    return {
+        id: scenario.id,
+        name: scenario.name,
+        description: scenario.description,
+        routeId: scenario.routeId,
+        stopCount: scenario.stops.features.length,
+        hasGeometry: Boolean(scenario.geometry),
+        createdAt: scenario.createdAt,
+        updatedAt: scenario.updatedAt
+    }
+}
+
+export function createScenarioStore(filePath) {
+    let scenarios = null
+    let loadPromise = null
+    let writeQueue = Promise.resolve()
+
+    async function readScenarios() {
+        try {
+            const contents = JSON.parse(await fs.promises.readFile(filePath, 'utf8'))
+            const items = Array.isArray(contents?.scenarios) ? contents.scenarios : []
+            scenarios = new Map(items.map((item) => [item.id, item]))
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error
+            scenarios = new Map()
+        }
+
+        return scenarios
+    }
+
+    // Requests that arrive during the first read share it, so none of them ends up with a Map the others replace
+    function load() {
+        loadPromise ??= readScenarios().catch((error) => {
+            loadPromise = null
+            throw error
+        })
+
+        return loadPromise
+    }
+
+    function persist() {
+        const snapshot = JSON.stringify({ scenarios: Array.from(scenarios.values()) }, null, 2)
+
+        writeQueue = writeQueue
+            .catch(() => {})
+            .then(async () => {
+                const temporaryPath = `${filePath}.tmp`
+                await fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+                await fs.promises.writeFile(temporaryPath, snapshot)
+                await fs.promises.rename(temporaryPath, filePath)
+            })
+
+        return writeQueue
+    }
+
+    return {
+        async list({ routeId } = {}) {
+            const items = Array.from((await load()).values())
+
+            return items
+                .filter((scenario) => !routeId || scenario.routeId === routeId)
+                .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+                .map(summarizeScenario)
+        },
+
+        async get(id) {
+            return (await load()).get(id) ?? null
+        },
+
+        // null when the store already holds MAX_SCENARIOS
+        async create(value) {
+            const items = await load()
+            if (items.size >= MAX_SCENARIOS) return null
+
+            const timestamp = new Date().toISOString()
+            const scenario = {
+                id: crypto.randomUUID(),
+                description: '',
+                geometry: null,
+                parameters: {},
+                ...value,
+                createdAt: timestamp,
+                updatedAt: timestamp
+            }
+
+            items.set(scenario.id, scenario)
+            await persist()
+
+            return scenario
+        },
+
+        async update(id, value) {
+            const items = await load()
+            const existing = items.get(id)
+            if (!existing) return null
+
+            const scenario = { ...existing, ...value, id, updatedAt: new Date().toISOString() }
+
+            items.set(id, scenario)
+            await persist()
+
+            return scenario
+        },
+
+        async remove(id) {
+            const items = await load()
+            if (!items.delete(id)) return false
+
+            await persist()
+
+            return true
+        }
+    }
+}
@@ -0,0 +1,308 @@
+import { EventEmitter } from 'events'
+import fs from 'fs'
+
+const RECONNECT_DELAY_MS = 5000
+const MAX_RECONNECT_DELAY_MS = 60000
+const KEEPALIVE_INTERVAL_MS = 25000
+const UPSTREAM_EVENT_TYPES = new Set(['reset', 'add', 'update', 'remove'])
+
+function parseServerSentEvents(buffer) {
+    const events = []
+    const blocks = buffer.split(/\r?\n\r?\n/)
+    const rest = blocks.pop() ?? ''
+
+    for (const block of blocks) {
+        let type = 'message'
+        const dataLines = []
+
+        for (const line of block.split(/\r?\n/)) {
+            if (!line || line.startsWith(':')) continue
+
+            const separatorIndex = line.indexOf(':')
+            const field = separatorIndex === -1 ? line : line.slice(0, separatorIndex)
+            const value = separatorIndex === -1 ? '' : line.slice(separatorIndex + 1).replace(/^ /, '')
+
+            if (field === 'event') type = value
+            else if (field === 'data') dataLines.push(value)
+        }
+
+        if (dataLines.length) {
+            events.push({ type, data: dataLines.join('\n') })
+        }
+    }
+
+    return { events, rest }
+}
+
+function emitUpstreamEvent(source, type, payload) {
+    if (!UPSTREAM_EVENT_TYPES.has(type)) return
+    source.emit('event', { type, payload })
+}
+
+export function createMbtaVehicleSource({ baseUrl, apiKey, routeType = '3', recordPath = '' }) {
+    const source = new EventEmitter()
+    let controller = null
+    let running = false
+    let reconnectTimer = null
+    let reconnectDelay = RECONNECT_DELAY_MS
+    let recordStream = null
+    let recordStartedAt = 0
+
+    const record = (type, payload) => {
+        if (!recordStream) return
+        recordStream.write(`${JSON.stringify({ t: Date.now() - recordStartedAt, event: type, data: payload })}\n`)
+    }
+
+    const scheduleReconnect = () => {
+        if (!running) return
+
+        reconnectTimer = setTimeout(connect, reconnectDelay)
+        reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY_MS)
+    }
+
+    // A stop and start while a connection is still closing leaves that connection with a stale controller;
+    // it then ends quietly instead of reconnecting next to the new one
+    async function connect() {
+        reconnectTimer = null
+        const localController = new AbortController()
+        controller = localController
+
+        const url = new URL(`${baseUrl}/vehicles`)
+        url.searchParams.set('filter[route_type]', routeType)
+
+        const headers = apiKey ? { accept: 'text/event-stream', 'x-api-key': apiKey } : { accept: 'text/event-stream' }
+
+        try {
+            const response = await fetch(url.toString(), { headers, signal: localController.signal })
+
+            if (!response.ok || !response.body) {
+                const message = await response.text()
+                throw new Error(`MBTA vehicles stream failed: ${response.status} ${message}`)
+            }
+
+            reconnectDelay = RECONNECT_DELAY_MS
+
+            const decoder = new TextDecoder()
+            let buffer = ''
+
+            for await (const chunk of response.body) {
+                buffer += decoder.decode(chunk, { stream: true })
+
+                const { events, rest } = parseServerSentEvents(buffer)
+                buffer = rest
+
+                for (const event of events) {
+                    let payload
+
+                    try {
+                        payload = JSON.parse(event.data)
+                    } catch {
+                        continue
+                    }
+
+                    record(event.type, payload)
+                    emitUpstreamEvent(source, event.type, payload)
+                }
+            }
+
+            if (controller !== localController) return
+
+            if (running) {
+                console.warn('MBTA vehicles stream closed, reconnecting')
+            }
+        } catch (error) {
+            if (!running || controller !== localController) return
+            console.error('MBTA vehicles stream error', error.message)
+        }
+
+        scheduleReconnect()
+    }
+
+    source.start = () => {
+        if (running) return
+        running = true
+
+        if (recordPath) {
+            recordStream = fs.createWriteStream(recordPath, { flags: 'w' })
+            recordStartedAt = Date.now()
+        }
+
+        connect()
+    }
+
+    source.stop = () => {
+        running = false
+        clearTimeout(reconnectTimer)
+        reconnectTimer = null
+        controller?.abort()
+        controller = null
+        recordStream?.end()
+        recordStream = null
+    }
+
+    return source
+}
+
+export function createReplayVehicleSource({ path, speed = 1, loop = true }) {
+    const source = new EventEmitter()
+    const playbackSpeed = Number.isFinite(speed) && speed > 0 ? speed : 1
+    let timers = []
+    let running = false
+    // Bumped on every start and stop, so a playback whose file read outlived a restart does not run twice
+    let generation = 0
+
+    const play = async (playGeneration) => {
+        const contents = await fs.promises.readFile(path, 'utf8')
+        const entries = contents
+            .split(/\r?\n/)
+            .filter((line) => line.trim())
+            .map((line) => JSON.parse(line))
+            .filter((entry) => UPSTREAM_EVENT_TYPES.has(entry.event))
+
+        if (!running || playGeneration !== generation) return
+
+        if (!entries.length) {
+            throw new Error(`Vehicle replay file ${path} contains no events`)
+        }
+
+        const duration = Math.max(...entries.map((entry) => Number(entry.t) || 0))
+
+        for (const entry of entries) {
+            const delay = (Number(entry.t) || 0) / playbackSpeed
+            timers.push(setTimeout(() => emitUpstreamEvent(source, entry.event, entry.data), delay))
+        }
+
+        if (loop) {
+            timers.push(
+                setTimeout(() => {
+                    timers = []
+                    if (running && playGeneration === generation) {
+                        play(playGeneration).catch((error) => console.error('Vehicle replay failed', error))
+                    }
+                }, duration / playbackSpeed + RECONNECT_DELAY_MS)
+            )
+        }
+    }
+
+    source.start = () => {
+        if (running) return
+        running = true
+        generation += 1
+        play(generation).catch((error) => console.error('Vehicle replay failed', error))
+    }
+
+    source.stop = () => {
+        running = false
+        generation += 1
+        timers.forEach((timer) => clearTimeout(timer))
+        timers = []
+    }
+
+    return source
+}
+
+function normalizeVehicle(item) {
+    if (!item || typeof item !== 'object' || !item.id) return null
+
+    const attributes = item.attributes ?? {}
+    const latitude = Number(attributes.latitude)
+    const longitude = Number(attributes.longitude)
+
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null
+
+    const bearing = Number(attributes.bearing)
+    const speed = Number(attributes.speed)
+
+    return {
+        id: String(item.id),
+        routeId: item.relationships?.route?.data?.id ?? '',
+        tripId: item.relationships?.trip?.data?.id ?? '',
+        label: typeof attributes.label === 'string' ? attributes.label : '',
+        latitude,
+        longitude,
+        bearing: Number.isFinite(bearing) ? bearing : 0,
+        speed: Number.isFinite(speed) ? speed : null,
+        directionId: attributes.direction_id ?? null,
+        currentStatus: attributes.current_status ?? '',
+        updatedAt: attributes.updated_at ?? null
+    }
+}
+
+export function createVehicleHub(source) {
+    const vehicles = new Map()
+    const clients = new Set()
+    let keepaliveTimer = null
+
+    const broadcast = (type, payload) => {
+        const message = `event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`
+        for (const client of clients) {
+            client.write(message)
+        }
+    }
+
+    source.on('event', ({ type, payload }) => {
+        if (type === 'reset') {
+            vehicles.clear()
+
+            for (const item of Array.isArray(payload) ? payload : []) {
+                const vehicle = normalizeVehicle(item)
+                if (vehicle) vehicles.set(vehicle.id, vehicle)
+            }
+
+            broadcast('reset', Array.from(vehicles.values()))
+            return
+        }
+
+        if (type === 'remove') {
+            const id = payload?.id ? String(payload.id) : ''
+            if (!id || !vehicles.delete(id)) return
+
+            broadcast('remove', { id })
+            return
+        }
+
+        const vehicle = normalizeVehicle(payload)
+        if (!vehicle) return
+
+        vehicles.set(vehicle.id, vehicle)
+        broadcast('update', vehicle)
+    })
+
+    const addClient = (req, res) => {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        })
+        res.flushHeaders()
+        res.write(`event: reset\ndata: ${JSON.stringify(Array.from(vehicles.values()))}\n\n`)
+
+        clients.add(res)
+
+        if (clients.size === 1) {
+            source.start()
+            keepaliveTimer = setInterval(() => {
+                for (const client of clients) {
+                    client.write(': keepalive\n\n')
+                }
+            }, KEEPALIVE_INTERVAL_MS)
+        }
+
+        req.on('close', () => {
+            clients.delete(res)
+
+            if (clients.size === 0) {
+                clearInterval(keepaliveTimer)
+                keepaliveTimer = null
+                source.stop()
+                vehicles.clear()
+            }
+        })
+    }
+
+    return {
+        addClient,
+        getVehicles: () => Array.from(vehicles.values())
+    }
+}
@@ -3,14 +3,12 @@ import maplibregl from 'maplibre-gl'
 import 'maplibre-gl/dist/maplibre-gl.css'
 
 // API
-const MBTA_API_KEY =
-    typeof import.meta.env.VITE_MBTA_API_KEY === 'string'
-        ? import.meta.env.VITE_MBTA_API_KEY.trim()
+const API_BASE_URL =
+    typeof import.meta.env.VITE_API_BASE_URL === 'string'
+        ? import.meta.env.VITE_API_BASE_URL.trim().replace(/\/+$/, '')
         : ''
 
-const MBTA_REQUEST_HEADERS = MBTA_API_KEY
-    ? { accept: 'application/vnd.api+json', 'x-api-key': MBTA_API_KEY }
-    : { accept: 'application/vnd.api+json' }
+const DATA_SOURCE = import.meta.env.VITE_DATA_SOURCE === 'gtfs' ? 'gtfs' : 'mbta'
 
 // Data
 const EMPTY_GEOJSON = { type: 'FeatureCollection', features: [] }
@@ -37,21 +35,201 @@ const STOP_LAYER = {
             9
         ],
         color: '#1f7bf6',
+        reverseDirectionColor: '#8e44ad',
+        editedColor: '#f39c12',
+        noRidershipColor: '#9aa5b1',
+        // Stops without ridership data have null boardings, which interpolate cannot take
+        ridershipRadius: [
+            'interpolate',
+            ['linear'],
+            ['coalesce', ['get', 'boardings'], 0],
+            0,
+            3,
+            50,
+            5,
+            250,
+            9,
+            1000,
+            15
+        ],
+        ridershipColor: ['interpolate', ['linear'], ['get', 'boardings'], 0, '#c6dbf7', 100, '#5b9cf0', 500, '#0b3d91'],
         opacity: 0.85,
         strokeWidth: 1.2,
         strokeColor: '#ffffff'
     }
 }
 
+const STOP_ARRIVALS_REFRESH_MS = 30 * 1000
+
+const DEFAULT_MAP_VIEW = {
+    center: [-71.0589, 42.3601], // Boston
+    zoom: 12
+}
+
+const COVERAGE_LAYER = {
+    sourceId: 'coverage-change-source',
+    layerId: 'coverage-change-layer',
+    lostColor: '#e74c3c',
+    gainedColor: '#27ae60',
+    opacity: 0.4,
+    cellSizeMeters: 50,
+    maxCells: 200000,
+    maxSamplesPerArea: 400
+}
+
+const ISOCHRONE_LAYER = {
+    sourceId: 'isochrone-source',
+    fillLayerId: 'isochrone-fill-layer',
+    outlineLayerId: 'isochrone-outline-layer',
+    originLayerId: 'isochrone-origin-layer',
+    colors: { 15: '#1a9850', 30: '#f39c12', 45: '#c0392b' },
+    opacity: 0.22
+}
+
+const TRIP_PLAN_LAYER = {
+    sourceId: 'trip-plan-source',
+    rideLayerId: 'trip-plan-ride-layer',
+    walkLayerId: 'trip-plan-walk-layer',
+    endpointLayerId: 'trip-plan-endpoint-layer',
+    walkColor: '#475569',
+    endpointColors: { from: '#27ae60', to: '#c0392b' }
+}
+
+const ROUTE_EDIT_LAYER = {
+    sourceId: 'route-edit-source',
+    draftLayerId: 'route-edit-draft',
+    midpointLayerId: 'route-edit-midpoints',
+    vertexLayerId: 'route-edit-vertices',
+    snapDistancePixels: 12,
+    historyLimit: 100
+}
+
+const ROUTE_EDIT_HINTS = {
+    vertices: 'Drag a vertex to move it, drag a midpoint to add one, right-click a vertex to delete it.',
+    reroute: 'Click where the reroute leaves the route, click any waypoints, then click where it rejoins. Esc cancels.',
+    stops: 'Drag a stop to move it along the route, click the map to add a stop, right-click a stop to delete it.'
+}
+
+const VEHICLE_LAYER = {
+    sourceId: 'bus-vehicles-source',
+    layerId: 'bus-vehicles-layer',
+    iconId: 'bus-vehicle-arrow',
+    iconSize: 32,
+    flushDelayMs: 250
+}
+
 // Constants
 const SECONDS_PER_MINUTE = 60
 const MINUTES_PER_HOUR = 60
+const SECONDS_PER_HOUR = SECONDS_PER_MINUTE * MINUTES_PER_HOUR
 const METERS_PER_MILE = 1609.34
+const METERS_PER_FOOT = 0.3048
 const AVERAGE_BUS_SPEED_MPH = 12
 const DWELL_TIME_PER_STOP_SECONDS = 30
-const EFFECTIVE_STOP_DIRECTION_FACTOR = 0.5
+const BUS_ACCELERATION_MPS2 = 1
+const BUS_DECELERATION_MPS2 = 1.3
+const DIRECTION_IDS = [0, 1]
 const AVERAGE_ROUTE_SPAN_PER_BUS_MILES = 1.8
+const MODEL_PARAMETERS_STORAGE_KEY = 'boston-buses.model-parameters'
+const MODEL_PARAMETER_SETS_STORAGE_KEY = 'boston-buses.model-parameter-sets'
+const MODEL_PARAMETER_FIELDS = [
+    { key: 'averageBusSpeedMph', label: 'Average speed', unit: 'mph', min: 1, step: '0.5' },
+    { key: 'dwellTimePerStopSeconds', label: 'Dwell per stop', unit: 's', min: 0, step: '1' },
+    { key: 'averageRouteSpanPerBusMiles', label: 'Route span per bus', unit: 'mi', min: 0.1, step: '0.1' },
+    { key: 'accelerationMps2', label: 'Acceleration', unit: 'm/s²', min: 0.1, step: '0.1' },
+    { key: 'decelerationMps2', label: 'Deceleration', unit: 'm/s²', min: 0.1, step: '0.1' },
+    { key: 'busesInService', label: 'Buses in service', unit: 'buses', min: 1, step: '1', routeOnly: true }
+]
+const SERVICE_PLAN_STORAGE_KEY = 'boston-buses.service-plan'
+const SERVICE_PLAN_FIELDS = [
+    { key: 'targetHeadwayMinutes', label: 'Target headway', unit: 'min', min: 1, step: '1' },
+    { key: 'spanHours', label: 'Span of service', unit: 'h', min: 0.5, step: '0.5' },
+    { key: 'layoverPercent', label: 'Layover', unit: '% of running', min: 0, step: '1' },
+    { key: 'minimumLayoverMinutes', label: 'Minimum layover', unit: 'min per end', min: 0, step: '1' },
+    { key: 'costPerHour', label: 'Operating cost', unit: '$/h', min: 0, step: '5' }
+]
 const MAX_ADJUSTED_STOPS = 400
+const STOP_SPACING_UNITS = { ft: METERS_PER_FOOT, mi: METERS_PER_MILE, m: 1 }
+const COVERAGE_COLUMNS = ['baseline', 'scenario', 'gained', 'lost']
+const POPULATION_PROPERTY_CANDIDATES = ['population', 'pop', 'pop100', 'p0010001', 'total_pop', 'tot_pop']
+const JOBS_PROPERTY_CANDIDATES = ['jobs', 'employment', 'emp', 'c000', 'total_jobs']
+const ISOCHRONE_CUTOFF_MINUTES = [15, 30, 45]
+const SCENARIO_VARIANTS = [
+    { id: 'baseline', label: 'Baseline' },
+    { id: 'scenario', label: 'Scenario' }
+]
+const TRIP_ENDPOINTS = [
+    { id: 'from', label: 'From' },
+    { id: 'to', label: 'To' }
+]
+const ROUTE_GROUP_FALLBACK = 'Other routes'
+const MAX_COMPARED_ROUTES = 5
+const METRIC_HEADWAY_PERIOD_ID = 'midday'
+const NETWORK_STOP_FETCH_CONCURRENCY = 4
+const ROUTE_METRIC_FIELDS = [
+    {
+        key: 'lengthMeters',
+        label: 'Length',
+        format: (meters) => `${(meters / METERS_PER_MILE).toFixed(2)} mi`,
+        exportHeader: 'length_mi',
+        exportValue: (meters) => roundMetric(meters / METERS_PER_MILE, 2)
+    },
+    {
+        key: 'stopCount',
+        label: 'Stops',
+        format: (count) => count.toLocaleString(),
+        exportHeader: 'stop_count',
+        exportValue: (count) => count
+    },
+    {
+        key: 'averageSpacingMeters',
+        label: 'Average spacing',
+        format: formatOptionalSpacing,
+        exportHeader: 'average_spacing_ft',
+        exportValue: (meters) => roundMetric(meters / METERS_PER_FOOT, 0)
+    },
+    {
+        key: 'medianSpacingMeters',
+        label: 'Median spacing',
+        format: formatOptionalSpacing,
+        exportHeader: 'median_spacing_ft',
+        exportValue: (meters) => roundMetric(meters / METERS_PER_FOOT, 0)
+    },
+    {
+        key: 'shortestSpacingMeters',
+        label: 'Shortest spacing',
+        format: formatOptionalSpacing,
+        exportHeader: 'shortest_spacing_ft',
+        exportValue: (meters) => roundMetric(meters / METERS_PER_FOOT, 0)
+    },
+    {
+        key: 'modelledFrequencyMinutes',
+        label: 'Modelled frequency',
+        format: formatFrequencyMinutes,
+        exportHeader: 'modelled_frequency_min',
+        exportValue: (minutes) => roundMetric(minutes, 1)
+    },
+    {
+        key: 'scheduledHeadwayMinutes',
+        label: 'Scheduled headway',
+        format: formatFrequencyMinutes,
+        exportHeader: 'scheduled_midday_headway_min',
+        exportValue: (minutes) => roundMetric(minutes, 1)
+    },
+    {
+        key: 'accessibleShare',
+        label: 'Accessible stops',
+        format: formatShare,
+        exportHeader: 'accessible_share',
+        exportValue: (share) => roundMetric(share, 3)
+    }
+]
+const ROUTE_FIT_PADDING_PX = 48
+const INFO_PANEL_WIDTH_PX = 384
+const STOP_SPACING_PRESETS = [
+    { label: '800 ft', value: '800', unit: 'ft' },
+    { label: '¼ mi', value: '0.25', unit: 'mi' }
+]
 
 // Colors
 const COLOR_PALETTE = [
@@ -107,84 +285,6 @@ function extractRouteId(candidate) {
     return ''
 }
 
-function getRouteIdFromShape(shape) {
-    if (!shape || typeof shape !== 'object') {
-        return ''
-    }
-
-    const relationship = shape.relationships?.route?.data
-
-    if (Array.isArray(relationship)) {
-        for (const item of relationship) {
-            const extracted = extractRouteId(item)
-            if (extracted) {
-                return extracted
-            }
-        }
-    } else {
-        const extracted = extractRouteId(relationship)
-        if (extracted) {
-            return extracted
-        }
-    }
-
-    const attributesRouteId = shape.attributes?.route_id ?? shape.attributes?.routeId
-
-    if (attributesRouteId !== undefined && attributesRouteId !== null) {
-        const extracted = extractRouteId(attributesRouteId)
-        if (extracted) {
-            return extracted
-        }
-    }
-
-    return ''
-}
-
-function normalizeRouteFeature(feature, index) {
-    if (!feature || !feature.geometry) return null
-
-    const properties = feature.properties ?? {}
-
-    const routeNumberSource =
-        properties.route_num !== undefined && properties.route_num !== null
-            ? properties.route_num
-            : properties.route_id
-    const routeNameSource =
-        properties.route_desc !== undefined && properties.route_desc !== null
-            ? properties.route_desc
-            : properties.name
-
-    const routeNumber =
-        routeNumberSource !== undefined && routeNumberSource !== null
-            ? String(routeNumberSource).trim()
-            : ''
-    const routeName =
-        routeNameSource !== undefined && routeNameSource !== null
-            ? String(routeNameSource).trim()
-            : ''
-
-    const fallbackIdParts = []
-    if (routeNumber) {
-        fallbackIdParts.push(routeNumber)
-    }
-
-    const fallbackId = fallbackIdParts.join('-') || feature.id || properties.FID || `route-${index}`
-    const featureId = feature.id ?? properties.SHAPE_ID ?? properties.FID ?? fallbackId
-    const routeId = routeNumber || fallbackId
-    const displayName = routeName || (routeNumber ? `Route ${routeNumber}` : 'MBTA Bus Route')
-
-    return {
-        ...feature,
-        id: featureId,
-        properties: {
-            ...properties,
-            route_id: routeId,
-            name: displayName,
-            color: getRouteColor(routeId)
-        }
-    }
-}
-
 function normalizeStopFeature(stop, index) {
     if (!stop) return null
 
@@ -198,85 +298,79 @@ function normalizeStopFeature(stop, index) {
 
     const trimmedName = typeof attributes.name === 'string' ? attributes.name.trim() : ''
     const fallbackName = trimmedName || 'MBTA Stop'
+    const stopId = String(stop.id ?? `stop-${index}`)
 
     return {
         type: 'Feature',
-        id: stop.id ?? `stop-${index}`,
+        id: stopId,
         geometry: {
             type: 'Point',
             coordinates: [longitude, latitude]
         },
         properties: {
+            stop_id: stopId,
             name: fallbackName,
             description: typeof attributes.description === 'string' ? attributes.description.trim() : '',
             municipality: typeof attributes.municipality === 'string' ? attributes.municipality.trim() : '',
             wheelchair_boarding: attributes.wheelchair_boarding,
             platform_code: typeof attributes.platform_code === 'string' ? attributes.platform_code.trim() : '',
             on_street: typeof attributes.on_street === 'string' ? attributes.on_street.trim() : '',
-            at_street: typeof attributes.at_street === 'string' ? attributes.at_street.trim() : ''
+            at_street: typeof attributes.at_street === 'string' ? attributes.at_street.trim() : '',
+            parent_station: stop.relationships?.parent_station?.data?.id ?? ''
         }
     }
 }
 
-function getErrorMessage(error, fallbackMessage) {
-    if (error instanceof Error) return error.message
-    if (typeof error === 'string' && error.trim() !== '') return error
-    return fallbackMessage
-}
+function buildApiUrl(path, params = {}) {
+    const url = new URL(`${API_BASE_URL}${path}`, window.location.origin)
 
-function decodePolyline(encoded) {
-    if (typeof encoded !== 'string' || encoded.length === 0) {
-        return []
+    for (const [key, value] of Object.entries(params)) {
+        url.searchParams.set(key, value)
     }
 
-    const coordinates = []
-    let index = 0
-    let latitude = 0
-    let longitude = 0
-
-    while (index < encoded.length) {
-        let result = 0
-        let shift = 0
-        let byte
-
-        do {
-            if (index >= encoded.length) {
-                return coordinates
-            }
+    return url.toString()
+}
 
-            byte = encoded.charCodeAt(index++) - 63
-            result |= (byte & 0x1f) << shift
-            shift += 5
-        } while (byte >= 0x20)
+async function readApiResponse(response) {
+    if (!response.ok) {
+        const message = await response.text()
+        let details = message
 
-        const deltaLat = (result & 1) !== 0 ? ~(result >> 1) : result >> 1
-        latitude += deltaLat
+        try {
+            details = JSON.parse(message)?.error || message
+        } catch {
+            // Non-JSON error bodies are reported verbatim.
+        }
 
-        result = 0
-        shift = 0
+        throw new Error(`request failed with status ${response.status}: ${details}`)
+    }
 
-        do {
-            if (index >= encoded.length) {
-                return coordinates
-            }
+    if (response.status === 204) {
+        return null
+    }
 
-            byte = encoded.charCodeAt(index++) - 63
-            result |= (byte & 0x1f) << shift
-            shift += 5
-        } while (byte >= 0x20)
+    return response.json()
+}
 
-        const deltaLng = (result & 1) !== 0 ? ~(result >> 1) : result >> 1
-        longitude += deltaLng
+async function fetchApiJson(path, params) {
+    const response = await fetch(buildApiUrl(path, params), { cache: 'no-cache' })
+    return readApiResponse(response)
+}
 
-        const lat = latitude / 1e5
-        const lng = longitude / 1e5
+async function sendApiJson(method, path, body) {
+    const response = await fetch(buildApiUrl(path), {
+        method,
+        headers: body === undefined ? undefined : { 'content-type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    })
 
-        if (Number.isFinite(lat) && Number.isFinite(lng)) {
-            coordinates.push([lng, lat])
-        }
-    }
+    return readApiResponse(response)
+}
 
-    return coordinates
+function getErrorMessage(error, fallbackMessage) {
+    if (error instanceof Error) return error.message
+    if (typeof error === 'string' && error.trim() !== '') return error
+    return fallbackMessage
 }
 
 function haversineDistanceMeters(a, b) {
@@ -349,33 +443,346 @@ function calculateRepresentativeRouteLengthInMeters(geometry) {
     return 0
 }
 
-function calculateEstimatedFrequencyMinutes(routeLengthMeters, stopCount) {
+// Rendered features carry the route id as a property; routesData holds the full, unclipped geometry
+function findRouteFeature(features, routeId) {
+    if (routeId === null || routeId === undefined) return null
+
+    return features.find((feature) => String(feature.id) === String(routeId)) ?? null
+}
+
+function getRenderedRouteId(feature) {
+    return feature?.properties?.mbta_route_id ?? (feature?.id === undefined ? null : String(feature.id))
+}
+
+function getGeometryAnchor(geometry) {
+    const longest = getGeometryLines(geometry)
+        .filter((line) => Array.isArray(line) && line.length)
+        .sort((a, b) => calculateLineDistanceInMeters(b) - calculateLineDistanceInMeters(a))[0]
+
+    return longest ? longest[Math.floor(longest.length / 2)] : null
+}
+
+// Routes without a value sort last in either direction
+function sortNetworkMetricRows(rows, { key, direction }) {
+    const readValue = (row) => (key === 'code' ? row.item.code : row.metrics[key])
+    const isMissing = (value) => value === null || value === undefined || Number.isNaN(value)
+
+    return rows.slice().sort((a, b) => {
+        const aValue = readValue(a)
+        const bValue = readValue(b)
+
+        if (isMissing(aValue) || isMissing(bValue)) return isMissing(aValue) - isMissing(bValue)
+
+        const order =
+            typeof aValue === 'string'
+                ? aValue.localeCompare(bValue, undefined, { numeric: true, sensitivity: 'base' })
+                : aValue - bValue
+
+        return order * direction
+    })
+}
+
+function toggleComparedRouteId(routeIds, routeId) {
+    if (routeIds.includes(routeId)) return routeIds.filter((id) => id !== routeId)
+
+    return routeIds.length < MAX_COMPARED_ROUTES ? [...routeIds, routeId] : routeIds
+}
+
+function getGeometryBounds(geometry) {
+    const coordinates = getGeometryLines(geometry).flat()
+    if (!coordinates.length) return null
+
+    const longitudes = coordinates.map(([longitude]) => longitude)
+    const latitudes = coordinates.map(([, latitude]) => latitude)
+
+    return [
+        [Math.min(...longitudes), Math.min(...latitudes)],
+        [Math.max(...longitudes), Math.max(...latitudes)]
+    ]
+}
+
+// Route numbers match from the start so "1" does not pull in every route containing a 1; names and towns anywhere
+function matchLegendItem(item, query) {
+    if (!query) return { matches: true, municipalities: [] }
+
+    const municipalities = item.municipalities.filter((name) => name.toLowerCase().includes(query))
+    const matches =
+        String(item.code ?? '').toLowerCase().startsWith(query) ||
+        String(item.name ?? '').toLowerCase().includes(query) ||
+        municipalities.length > 0
+
+    return { matches, municipalities }
+}
+
+function readUrlState(search) {
+    const params = new URLSearchParams(search)
+    const [zoom, latitude, longitude] = (params.get('map') ?? '').split('/').map((value) => Number(value || NaN))
+    const factor = Number(params.get('stops'))
+
+    return {
+        view: [zoom, latitude, longitude].every(Number.isFinite)
+            ? { center: [longitude, latitude], zoom }
+            : null,
+        routeId: params.get('route'),
+        factor: Number.isFinite(factor) && factor > 0 ? factor : 1,
+        stopId: params.get('stop'),
+        scenarioId: params.get('scenario'),
+        showVehicles: params.get('vehicles') !== 'off'
+    }
+}
+
+function buildUrlSearch({ view, routeId, factor, stopId, scenarioId, showVehicles }) {
+    const params = new URLSearchParams()
+
+    if (view) {
+        const [longitude, latitude] = view.center
+        params.set('map', `${view.zoom.toFixed(2)}/${latitude.toFixed(5)}/${longitude.toFixed(5)}`)
+    }
+
+    if (scenarioId) params.set('scenario', scenarioId)
+
+    if (routeId !== null && routeId !== undefined) {
+        params.set('route', String(routeId))
+
+        if (Number.isFinite(factor) && Math.abs(factor - 1) > 0.001) {
+            params.set('stops', factor.toFixed(3))
+        }
+    }
+
+    if (stopId) params.set('stop', String(stopId))
+    if (!showVehicles) params.set('vehicles', 'off')
+
+    const search = params.toString().replace(/%2F/g, '/')
+    return search ? `?${search}` : ''
+}
+
+function readModelParameterValue(field, rawValue) {
+    if (rawValue === undefined || rawValue === null || rawValue === '') return null
+
+    const value = Number(rawValue)
+    return Number.isFinite(value) && value >= field.min ? value : null
+}
+
+// Route overrides win over global overrides, which win over the built-in defaults. Route-only fields such as
+// the fleet size have no global value.
+function resolveModelParameters(settings, routeId) {
+    const routeLayer = routeId !== null && routeId !== undefined ? settings?.routes?.[routeId] : null
+
+    return MODEL_PARAMETER_FIELDS.reduce(
+        (parameters, field) => {
+            for (const layer of field.routeOnly ? [routeLayer] : [settings?.global, routeLayer]) {
+                const value = readModelParameterValue(field, layer?.[field.key])
+                if (value !== null) parameters[field.key] = value
+            }
+
+            return parameters
+        },
+        { ...DEFAULT_MODEL_PARAMETERS }
+    )
+}
+
+// Stored the way the panel's inputs hold them, so a scenario's parameters can be edited like any route override
+function buildModelParameterOverrides(parameters) {
+    return MODEL_PARAMETER_FIELDS.reduce((overrides, field) => {
+        const value = readModelParameterValue(field, parameters?.[field.key])
+        if (value !== null) overrides[field.key] = String(value)
+        return overrides
+    }, {})
+}
+
+function readServicePlan(inputs) {
+    return SERVICE_PLAN_FIELDS.reduce(
+        (plan, field) => {
+            const value = readModelParameterValue(field, inputs?.[field.key])
+            if (value !== null) plan[field.key] = value
+            return plan
+        },
+        { ...DEFAULT_SERVICE_PLAN }
+    )
+}
+
+function readStoredServicePlanInputs() {
+    try {
+        const stored = JSON.parse(window.localStorage.getItem(SERVICE_PLAN_STORAGE_KEY) ?? 'null')
+        return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {}
+    } catch {
+        return {}
+    }
+}
+
+function normalizeModelSettings(stored) {
+    const global = stored?.global && typeof stored.global === 'object' ? { ...stored.global } : {}
+    MODEL_PARAMETER_FIELDS.filter((field) => field.routeOnly).forEach((field) => delete global[field.key])
+
+    return {
+        global,
+        routes: stored?.routes && typeof stored.routes === 'object' ? stored.routes : {}
+    }
+}
+
+function readStoredModelSettings() {
+    try {
+        return normalizeModelSettings(JSON.parse(window.localStorage.getItem(MODEL_PARAMETERS_STORAGE_KEY) ?? 'null'))
+    } catch {
+        return normalizeModelSettings(null)
+    }
+}
+
+function readStoredModelParameterSets() {
+    try {
+        const stored = JSON.parse(window.localStorage.getItem(MODEL_PARAMETER_SETS_STORAGE_KEY) ?? 'null')
+        const sets =
+            stored?.sets && typeof stored.sets === 'object' && !Array.isArray(stored.sets)
+                ? Object.fromEntries(
+                      Object.entries(stored.sets).map(([name, settings]) => [name, normalizeModelSettings(settings)])
+                  )
+                : {}
+
+        return { activeName: sets[stored?.activeName] ? stored.activeName : '', sets }
+    } catch {
+        return { activeName: '', sets: {} }
+    }
+}
+
+function convertMphToMetersPerSecond(speedMph) {
+    return (speedMph * METERS_PER_MILE) / SECONDS_PER_HOUR
+}
+
+// Time lost braking from cruise speed to a stop and accelerating back, compared with running through it
+function calculateStopPenaltySeconds(speedMetersPerSecond, parameters = DEFAULT_MODEL_PARAMETERS) {
+    return (
+        speedMetersPerSecond / (2 * parameters.decelerationMps2) +
+        speedMetersPerSecond / (2 * parameters.accelerationMps2)
+    )
+}
+
+function calculateDirectionRuntimeMinutes(routeLengthMeters, stopCount, parameters = DEFAULT_MODEL_PARAMETERS) {
     const length = Number(routeLengthMeters)
-    const stopsRaw = Number.isFinite(stopCount) ? stopCount : 0
-    const effectiveStops = Math.max(0, stopsRaw * EFFECTIVE_STOP_DIRECTION_FACTOR)
+    const stops = Number.isFinite(stopCount) ? Math.max(0, stopCount) : 0
 
-    const speedMetersPerMinute = (AVERAGE_BUS_SPEED_MPH * METERS_PER_MILE) / MINUTES_PER_HOUR
+    const speedMetersPerMinute = (parameters.averageBusSpeedMph * METERS_PER_MILE) / MINUTES_PER_HOUR
     const travelMinutes = Number.isFinite(length) && length > 0 ? length / speedMetersPerMinute : 0
-    const dwellMinutes = effectiveStops * (DWELL_TIME_PER_STOP_SECONDS / SECONDS_PER_MINUTE)
-    const cycleMinutes = travelMinutes + dwellMinutes
+    const dwellMinutes = stops * (parameters.dwellTimePerStopSeconds / SECONDS_PER_MINUTE)
+    const averageSpeed = convertMphToMetersPerSecond(parameters.averageBusSpeedMph)
+    const accelerationMinutes = stops * (calculateStopPenaltySeconds(averageSpeed, parameters) / SECONDS_PER_MINUTE)
+
+    return travelMinutes + dwellMinutes + accelerationMinutes
+}
+
+// Stops without a direction_id (older saved scenarios) are split evenly between the two directions
+function countStopsByDirection(features) {
+    const counts = DIRECTION_IDS.map(() => 0)
+
+    for (const feature of Array.isArray(features) ? features : []) {
+        const directionIndex = DIRECTION_IDS.indexOf(feature?.properties?.direction_id)
+
+        if (directionIndex === -1) {
+            DIRECTION_IDS.forEach((_, index) => {
+                counts[index] += 1 / DIRECTION_IDS.length
+            })
+        } else {
+            counts[directionIndex] += 1
+        }
+    }
+
+    return counts
+}
 
-    if (!Number.isFinite(cycleMinutes) || cycleMinutes <= 0) {
-        return dwellMinutes > 0 ? dwellMinutes : null
+// An explicit fleet size wins; otherwise one bus is assumed per route span of the round trip
+function estimateBusesInService(routeLengthMeters, parameters = DEFAULT_MODEL_PARAMETERS) {
+    if (parameters.busesInService) {
+        return Math.max(1, Math.round(parameters.busesInService))
     }
 
-    const routeLengthMiles = length / METERS_PER_MILE
-    const estimatedBusesInService = Math.max(
-        1,
-        Math.round(routeLengthMiles / AVERAGE_ROUTE_SPAN_PER_BUS_MILES) || 1
-    )
+    const length = Number(routeLengthMeters)
+    const roundTripMiles = (DIRECTION_IDS.length * (Number.isFinite(length) ? length : 0)) / METERS_PER_MILE
+
+    return Math.max(1, Math.round(roundTripMiles / parameters.averageRouteSpanPerBusMiles) || 1)
+}
 
-    const frequencyMinutes = cycleMinutes / estimatedBusesInService
+// A bus runs a full cycle through both directions; a direction without stops is assumed to mirror the other one
+function calculateCycleRunningMinutes(routeLengthMeters, directionStopCounts, parameters = DEFAULT_MODEL_PARAMETERS) {
+    const servedCounts = directionStopCounts.filter((count) => count > 0)
+    const counts = servedCounts.length === 1 ? [servedCounts[0], servedCounts[0]] : directionStopCounts
+    const runtimes = counts.map((count) => calculateDirectionRuntimeMinutes(routeLengthMeters, count, parameters))
+    const cycleMinutes = runtimes.reduce((sum, minutes) => sum + minutes, 0)
+
+    return Number.isFinite(cycleMinutes) && cycleMinutes > 0 ? cycleMinutes : null
+}
+
+function calculateEstimatedFrequencyMinutes(
+    routeLengthMeters,
+    directionStopCounts,
+    parameters = DEFAULT_MODEL_PARAMETERS
+) {
+    const length = Number(routeLengthMeters)
+    const cycleMinutes = calculateCycleRunningMinutes(length, directionStopCounts, parameters)
+
+    if (cycleMinutes === null) {
+        return null
+    }
+
+    const frequencyMinutes = cycleMinutes / estimateBusesInService(length, parameters)
+
+    return Number.isFinite(frequencyMinutes) && frequencyMinutes > 0 ? frequencyMinutes : null
+}
+
+// Works back from a target headway: the scheduled cycle is the running time plus layover,
+// rounded up to a whole number of headways so every bus departs on the pattern
+function planServiceForHeadway(routeLengthMeters, directionStopCounts, parameters, plan) {
+    const runningMinutes = calculateCycleRunningMinutes(routeLengthMeters, directionStopCounts, parameters)
+    const headway = Number(plan.targetHeadwayMinutes)
+
+    if (runningMinutes === null || !Number.isFinite(headway) || headway <= 0) {
+        return null
+    }
+
+    const plannedLayoverMinutes = Math.max(
+        (runningMinutes * plan.layoverPercent) / 100,
+        plan.minimumLayoverMinutes * DIRECTION_IDS.length
+    )
+    const busesRequired = Math.max(1, Math.ceil((runningMinutes + plannedLayoverMinutes) / headway))
+    const cycleMinutes = busesRequired * headway
+    const revenueVehicleHours = busesRequired * plan.spanHours
 
-    if (!Number.isFinite(frequencyMinutes) || frequencyMinutes <= 0) {
-        return dwellMinutes > 0 ? dwellMinutes : null
+    return {
+        runningMinutes,
+        layoverMinutes: cycleMinutes - runningMinutes,
+        plannedLayoverMinutes,
+        cycleMinutes,
+        busesRequired,
+        tripsPerDirection: Math.floor((plan.spanHours * MINUTES_PER_HOUR) / headway),
+        revenueVehicleHours,
+        dailyCost: revenueVehicleHours * plan.costPerHour
     }
+}
+
+function buildStopScenario(
+    routeLengthMeters,
+    baseFeatures,
+    adjustedFeatures,
+    factor,
+    parameters = DEFAULT_MODEL_PARAMETERS
+) {
+    const baseCounts = countStopsByDirection(baseFeatures)
+    const adjustedCounts = countStopsByDirection(adjustedFeatures)
+    const baseCount = baseFeatures.length
+    const adjustedCount = adjustedFeatures.length
 
-    return frequencyMinutes
+    return {
+        baseCount,
+        adjustedCount,
+        factor: factor ?? (baseCount > 0 ? adjustedCount / baseCount : 1),
+        baseFrequencyMinutes: calculateEstimatedFrequencyMinutes(routeLengthMeters, baseCounts, parameters),
+        adjustedFrequencyMinutes: calculateEstimatedFrequencyMinutes(routeLengthMeters, adjustedCounts, parameters),
+        busesInService: estimateBusesInService(routeLengthMeters, parameters),
+        directions: DIRECTION_IDS.map((directionId, index) => ({
+            directionId,
+            baseCount: Math.round(baseCounts[index]),
+            adjustedCount: Math.round(adjustedCounts[index]),
+            runtimeMinutes: calculateDirectionRuntimeMinutes(routeLengthMeters, adjustedCounts[index], parameters)
+        }))
+    }
 }
 
 function interpolateCoordinate(start, end, t) {
@@ -474,775 +881,3618 @@ function sampleCoordinatesAlongGeometry(geometry, count) {
     return coordinates
 }
 
-function selectEvenlySpacedStops(features, targetCount) {
-    if (!Array.isArray(features) || !features.length || targetCount <= 0) {
-        return []
-    }
+// Cumulative distance in meters at each vertex of every line part, used to linearly reference stops
+function buildLinearReference(geometry) {
+    return getGeometryLines(geometry)
+        .filter((line) => Array.isArray(line) && line.length >= 2)
+        .map((coordinates) => {
+            const distances = [0]
 
-    if (targetCount >= features.length) {
-        return features.slice()
-    }
+            for (let index = 1; index < coordinates.length; index += 1) {
+                const length = haversineDistanceMeters(coordinates[index - 1], coordinates[index])
+                distances.push(distances[index - 1] + length)
+            }
 
-    if (targetCount === 1) {
-        return [features[0]]
-    }
+            return { coordinates, distances }
+        })
+}
 
-    const result = []
-    const interval = (features.length - 1) / (targetCount - 1)
+function locateAlongReference(reference, coordinate) {
+    const nearest = findNearestPointOnGeometry(
+        { type: 'MultiLineString', coordinates: reference.map((line) => line.coordinates) },
+        coordinate
+    )
 
-    for (let index = 0; index < targetCount; index += 1) {
-        const position = index * interval
-        const sourceIndex = Math.min(Math.round(position), features.length - 1)
-        const feature = features[sourceIndex]
+    if (!nearest) return null
 
-        if (feature) {
-            result.push(feature)
-        }
-    }
+    const { distances } = reference[nearest.lineIndex]
+    const segmentStart = distances[nearest.segmentIndex]
+    const segmentLength = distances[nearest.segmentIndex + 1] - segmentStart
 
-    return result
+    return { part: nearest.lineIndex, distance: segmentStart + segmentLength * nearest.t }
 }
 
-function createGeneratedStopFeature(coordinate, index, name) {
-    if (!Array.isArray(coordinate) || coordinate.length !== 2) {
-        return null
-    }
+function coordinateAtDistance({ coordinates, distances }, distance) {
+    let index = 1
 
-    return {
-        type: 'Feature',
-        id: `generated-stop-${index}`,
-        geometry: {
-            type: 'Point',
-            coordinates: [...coordinate]
-        },
-        properties: {
-            name: name || `Proposed Stop ${index + 1}`,
-            description: 'Synthetic stop for frequency scenario testing.',
-            isSynthetic: true
-        }
+    while (index < distances.length - 1 && distances[index] < distance) {
+        index += 1
     }
+
+    const segmentLength = distances[index] - distances[index - 1]
+    const ratio = segmentLength > 0 ? (distance - distances[index - 1]) / segmentLength : 0
+
+    return interpolateCoordinate(coordinates[index - 1], coordinates[index], ratio)
 }
 
-function buildAdjustedStopCollection(baseCollection, geometry, targetCount) {
-    const count = Math.max(0, Math.floor(targetCount))
+function getStopDirectionId(feature) {
+    return DIRECTION_IDS.includes(feature?.properties?.direction_id) ? feature.properties.direction_id : -1
+}
 
-    if (count <= 0) {
-        return { type: 'FeatureCollection', features: [] }
+// Consecutive stops in the same direction and on the same line part are neighbours along the route
+function isSameStopRun(a, b) {
+    return (
+        Boolean(a && b) &&
+        getStopDirectionId(a) === getStopDirectionId(b) &&
+        a.properties?.route_part === b.properties?.route_part
+    )
+}
+
+// Stops are grouped by direction and by the line part they project onto (parts are typically shape
+// variants) and ordered by distance along it
+function orderStopsAlongRoute(features, reference) {
+    if (!reference.length) {
+        return features.slice()
     }
 
-    const baseFeatures = Array.isArray(baseCollection?.features)
-        ? baseCollection.features.filter((feature) => feature?.geometry?.type === 'Point')
+    return features
+        .map((feature, index) => ({
+            feature,
+            index,
+            location: locateAlongReference(reference, feature.geometry.coordinates)
+        }))
+        .sort(
+            (a, b) =>
+                getStopDirectionId(a.feature) - getStopDirectionId(b.feature) ||
+                a.location.part - b.location.part ||
+                a.location.distance - b.location.distance ||
+                a.index - b.index
+        )
+        .map(({ feature, location }) => ({
+            ...feature,
+            properties: {
+                ...feature.properties,
+                route_part: location.part,
+                route_distance_m: Math.round(location.distance)
+            }
+        }))
+}
+
+function orderStopCollectionAlongGeometry(collection, geometry) {
+    const features = Array.isArray(collection?.features)
+        ? collection.features.filter((feature) => feature?.geometry?.type === 'Point')
         : []
-    const baseCount = baseFeatures.length
 
-    if (baseCount === 0) {
-        const generatedCoordinates = sampleCoordinatesAlongGeometry(geometry, count)
-        const generatedFeatures = generatedCoordinates
-            .map((coordinate, index) => createGeneratedStopFeature(coordinate, index, `Proposed Stop ${index + 1}`))
-            .filter(Boolean)
+    return { type: 'FeatureCollection', features: orderStopsAlongRoute(features, buildLinearReference(geometry)) }
+}
 
-        return { type: 'FeatureCollection', features: generatedFeatures.slice(0, count) }
-    }
+const ALL_DAY_PERIOD = { id: 'all', label: 'All day' }
 
-    if (count <= baseCount) {
-        const reduced = selectEvenlySpacedStops(baseFeatures, count)
-        return { type: 'FeatureCollection', features: reduced }
+function buildSpeedProfileFromSegmentTimes(payload) {
+    return {
+        source: 'gtfs',
+        label: 'Scheduled speeds from GTFS',
+        periods: [ALL_DAY_PERIOD, ...(payload.periods ?? [])],
+        segments: (payload.segments ?? []).filter((segment) => segment.from && segment.to)
     }
+}
 
-    const additionalNeeded = count - baseCount
+// CSV rows give from_stop_id, to_stop_id and speed_mph, optionally with a period and a direction_id.
+// Stop positions are taken from the route's stops, so rows for stops the route does not serve are skipped.
+function buildSpeedProfileFromCsv(text, stopFeatures, fileName) {
+    const coordinatesByStopId = new Map(
+        stopFeatures.map((feature) => [String(feature.id ?? feature.properties?.stop_id), feature.geometry.coordinates])
+    )
+    const segments = new Map()
+    const periodIds = new Set()
+    let skipped = 0
 
-    if (baseCount < 2) {
-        const coordinates = sampleCoordinatesAlongGeometry(geometry, additionalNeeded)
-        const generated = coordinates
-            .map((coordinate, index) =>
-                createGeneratedStopFeature(coordinate, baseCount + index, `Proposed Stop ${baseCount + index + 1}`)
-            )
-            .filter(Boolean)
+    for (const row of parseCsv(text)) {
+        const from = coordinatesByStopId.get(row.from_stop_id)
+        const to = coordinatesByStopId.get(row.to_stop_id)
+        const speedMph = Number(row.speed_mph)
 
-        const combined = [...baseFeatures, ...generated]
-        return { type: 'FeatureCollection', features: combined.slice(0, count) }
-    }
+        if (!from || !to || !Number.isFinite(speedMph) || speedMph <= 0) {
+            skipped += 1
+            continue
+        }
 
-    const segments = []
+        const periodId = row.period || ALL_DAY_PERIOD.id
+        const directionId =
+            row.direction_id && DIRECTION_IDS.includes(Number(row.direction_id)) ? Number(row.direction_id) : -1
+        const key = `${directionId}:${row.from_stop_id}:${row.to_stop_id}`
+        const segment = segments.get(key) ?? {
+            directionId,
+            fromStopId: row.from_stop_id,
+            toStopId: row.to_stop_id,
+            from,
+            to,
+            periods: {}
+        }
 
-    for (let index = 1; index < baseCount; index += 1) {
-        const previous = baseFeatures[index - 1]?.geometry?.coordinates
-        const current = baseFeatures[index]?.geometry?.coordinates
+        segment.periods[periodId] = { speedMph }
+        periodIds.add(periodId)
+        segments.set(key, segment)
+    }
 
-        if (!previous || !current) continue
+    periodIds.delete(ALL_DAY_PERIOD.id)
 
-        const length = haversineDistanceMeters(previous, current)
-        segments.push({ start: previous, end: current, length })
+    return {
+        profile: {
+            source: 'csv',
+            label: `Speeds from ${fileName}`,
+            periods: [ALL_DAY_PERIOD, ...Array.from(periodIds, (id) => ({ id, label: id }))],
+            segments: Array.from(segments.values())
+        },
+        skipped
     }
+}
 
-    const allocations = new Array(segments.length).fill(0)
+// Scheduled times include acceleration, braking and dwell. Solving
+// time = dwell + distance / speed + speed * (1 / 2a + 1 / 2d) for speed recovers the cruise speed.
+function calculateCruiseSpeedFromSegmentTime(distanceMeters, seconds, parameters) {
+    const movingSeconds = seconds - parameters.dwellTimePerStopSeconds
+    const penaltyPerSpeed = calculateStopPenaltySeconds(1, parameters)
 
-    if (segments.length) {
-        const totalLength = segments.reduce((sum, segment) => sum + (segment.length || 0), 0)
+    if (!(distanceMeters > 0) || !(movingSeconds > 0)) return null
 
-        if (totalLength > 0) {
-            const remainders = []
-            let allocated = 0
+    const discriminant = movingSeconds * movingSeconds - 4 * penaltyPerSpeed * distanceMeters
 
-            for (let index = 0; index < segments.length; index += 1) {
-                const segment = segments[index]
-                const exactShare = (segment.length / totalLength) * additionalNeeded
-                const floorShare = Math.floor(exactShare)
-                allocations[index] = floorShare
-                allocated += floorShare
-                remainders.push({ index, remainder: exactShare - floorShare })
-            }
+    return discriminant >= 0
+        ? (movingSeconds - Math.sqrt(discriminant)) / (2 * penaltyPerSpeed)
+        : movingSeconds / (2 * penaltyPerSpeed)
+}
 
-            let remaining = additionalNeeded - allocated
+function buildSpeedIntervals(profile, reference, periodId, parameters) {
+    return profile.segments.flatMap((segment) => {
+        const from = locateAlongReference(reference, segment.from)
+        const to = locateAlongReference(reference, segment.to)
+        if (!from || !to || from.part !== to.part) return []
 
-            const sortedRemainders = remainders.sort((a, b) => b.remainder - a.remainder)
+        const start = Math.min(from.distance, to.distance)
+        const end = Math.max(from.distance, to.distance)
+        const period = segment.periods[periodId] ?? segment.periods[ALL_DAY_PERIOD.id]
+        const speedMetersPerSecond = period?.speedMph
+            ? convertMphToMetersPerSecond(period.speedMph)
+            : calculateCruiseSpeedFromSegmentTime(end - start, period?.meanSeconds, parameters)
 
-            for (const item of sortedRemainders) {
-                if (remaining <= 0) {
-                    break
-                }
+        if (!speedMetersPerSecond) return []
 
-                allocations[item.index] += 1
-                remaining -= 1
-            }
+        return [{ directionId: segment.directionId, part: from.part, start, end, speedMetersPerSecond }]
+    })
+}
 
-            let cycleIndex = 0
+// Runtime between each pair of consecutive stops: cruise time at the profile speed where one covers the
+// stretch (the average speed elsewhere), the acceleration penalty and the dwell at the departing stop
+function buildRuntimeBreakdown(stopFeatures, geometry, profile, periodId, parameters) {
+    const reference = buildLinearReference(geometry)
+    if (!reference.length) return null
 
-            while (remaining > 0) {
-                const target = allocations.length ? cycleIndex % allocations.length : 0
-                allocations[target] += 1
-                remaining -= 1
-                cycleIndex += 1
-            }
-        } else {
-            let assigned = 0
-            while (assigned < additionalNeeded) {
-                const target = assigned % allocations.length
-                allocations[target] += 1
-                assigned += 1
-            }
+    const stops = orderStopsAlongRoute(stopFeatures, reference)
+    const intervals = (profile ? buildSpeedIntervals(profile, reference, periodId, parameters) : []).sort(
+        (a, b) => a.start - b.start
+    )
+    const averageSpeed = convertMphToMetersPerSecond(parameters.averageBusSpeedMph)
+    const directions = new Map()
+
+    for (let index = 1; index < stops.length; index += 1) {
+        const from = stops[index - 1]
+        const to = stops[index]
+        if (!isSameStopRun(from, to)) continue
+
+        const directionId = getStopDirectionId(to)
+        const part = to.properties.route_part
+        const start = Math.min(from.properties.route_distance_m, to.properties.route_distance_m)
+        const end = Math.max(from.properties.route_distance_m, to.properties.route_distance_m)
+        let cursor = start
+        let profiledDistance = 0
+        let cruiseSeconds = 0
+
+        for (const interval of intervals) {
+            if (interval.part !== part) continue
+            if (interval.directionId !== -1 && directionId !== -1 && interval.directionId !== directionId) continue
+
+            const overlapStart = Math.max(cursor, interval.start)
+            const overlapEnd = Math.min(end, interval.end)
+            if (overlapEnd <= overlapStart) continue
+
+            cruiseSeconds += (overlapEnd - overlapStart) / interval.speedMetersPerSecond
+            profiledDistance += overlapEnd - overlapStart
+            cursor = overlapEnd
         }
-    }
-
-    const generatedStops = []
-    const orderedFeatures = []
-
-    if (baseCount > 0) {
-        orderedFeatures.push(baseFeatures[0])
-
-        for (let index = 1; index < baseCount; index += 1) {
-            const allocation = allocations[index - 1] ?? 0
-            const segment = segments[index - 1]
-
-            if (allocation > 0 && segment) {
-                for (let step = 1; step <= allocation; step += 1) {
-                    const ratio = step / (allocation + 1)
-                    const coordinate = interpolateCoordinate(segment.start, segment.end, ratio)
-                    const feature = createGeneratedStopFeature(
-                        coordinate,
-                        baseCount + generatedStops.length,
-                        `Proposed Stop ${baseCount + generatedStops.length + 1}`
-                    )
-
-                    if (feature) {
-                        generatedStops.push(feature)
-                        orderedFeatures.push(feature)
-                    }
-                }
-            }
 
-            orderedFeatures.push(baseFeatures[index])
+        const distanceMeters = end - start
+        cruiseSeconds += (distanceMeters - profiledDistance) / averageSpeed
+
+        const cruiseSpeed = cruiseSeconds > 0 ? distanceMeters / cruiseSeconds : averageSpeed
+        const accelerationSeconds = calculateStopPenaltySeconds(cruiseSpeed, parameters)
+        const dwellSeconds = parameters.dwellTimePerStopSeconds
+        const direction = directions.get(directionId) ?? {
+            directionId,
+            segments: [],
+            distanceMeters: 0,
+            totalSeconds: 0
         }
+
+        direction.segments.push({
+            fromName: from.properties?.name ?? '',
+            toName: to.properties?.name ?? '',
+            distanceMeters,
+            speedMph: (cruiseSpeed * SECONDS_PER_HOUR) / METERS_PER_MILE,
+            cruiseSeconds,
+            accelerationSeconds,
+            dwellSeconds,
+            totalSeconds: cruiseSeconds + accelerationSeconds + dwellSeconds,
+            profiledShare: distanceMeters > 0 ? profiledDistance / distanceMeters : 0
+        })
+        direction.distanceMeters += distanceMeters
+        direction.totalSeconds += cruiseSeconds + accelerationSeconds + dwellSeconds
+        directions.set(directionId, direction)
     }
 
-    if (generatedStops.length < additionalNeeded) {
-        const fallbackCoordinates = sampleCoordinatesAlongGeometry(geometry, additionalNeeded - generatedStops.length)
+    return Array.from(directions.values()).sort((a, b) => a.directionId - b.directionId)
+}
 
-        for (const coordinate of fallbackCoordinates) {
-            const feature = createGeneratedStopFeature(
-                coordinate,
-                baseCount + generatedStops.length,
-                `Proposed Stop ${baseCount + generatedStops.length + 1}`
-            )
+// Stop-level ridership rows: stop_id, route_id, boardings, alightings and a time period.
+// Rows without a route_id apply to every route serving the stop.
+function buildRidershipTable(text, fileName) {
+    const rows = parseCsv(text)
+    const periodIds = new Set()
+    const records = []
+    let skipped = 0
 
-            if (!feature) continue
+    if (rows.length && !('stop_id' in rows[0] && 'boardings' in rows[0])) {
+        throw new Error(`${fileName} needs stop_id and boardings columns`)
+    }
 
-            generatedStops.push(feature)
-            orderedFeatures.push(feature)
+    for (const row of rows) {
+        const boardings = Number(row.boardings)
+        const alightings = row.alightings ? Number(row.alightings) : 0
 
-            if (generatedStops.length >= additionalNeeded) {
-                break
-            }
+        if (!row.stop_id || !Number.isFinite(boardings) || !Number.isFinite(alightings)) {
+            skipped += 1
+            continue
         }
-    }
-
-    const combined = orderedFeatures.length ? orderedFeatures : [...baseFeatures, ...generatedStops]
 
-    return { type: 'FeatureCollection', features: combined.slice(0, count) }
-}
+        const periodId = row.time_period || row.period || ''
+        if (periodId) periodIds.add(periodId)
 
-function escapeHtml(value) {
-    if (typeof value !== 'string') {
-        return ''
+        records.push({ stopId: row.stop_id, routeId: row.route_id ?? '', periodId, boardings, alightings })
     }
 
-    return value
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&#039;')
+    return { fileName, periods: Array.from(periodIds), records, skipped }
 }
 
-function formatFrequencyMinutes(minutes) {
-    if (!Number.isFinite(minutes) || minutes <= 0) {
-        return '—'
-    }
+function summarizeRidership(ridership, routeId, periodId) {
+    const totals = new Map()
 
-    if (minutes < 1) {
-        return `${minutes.toFixed(2)} min`
-    }
+    for (const record of ridership?.records ?? []) {
+        if (record.routeId && record.routeId !== String(routeId)) continue
+        if (periodId !== ALL_DAY_PERIOD.id && record.periodId !== periodId) continue
 
-    if (minutes < 10) {
-        return `${minutes.toFixed(1)} min`
+        const total = totals.get(record.stopId) ?? { boardings: 0, alightings: 0 }
+        total.boardings += record.boardings
+        total.alightings += record.alightings
+        totals.set(record.stopId, total)
     }
 
-    return `${minutes.toFixed(0)} min`
+    return totals
 }
 
-// Defaults
-const DEFAULT_STOP_SCENARIO = {
-    baseCount: 0,
-    adjustedCount: 0,
-    factor: 1,
-    baseFrequencyMinutes: null,
-    adjustedFrequencyMinutes: null
-}
+const EARTH_RADIUS_METERS = 6371000
 
-// Async Functions
-async function fetchMbtaRouteMetadata() {
-    const routes = new Map()
-    const url = new URL('https://api-v3.mbta.com/routes')
-    const pageLimit = 200
-    let pageOffset = 0
+// Equirectangular projection around one latitude, accurate enough at walking distances
+function createLocalProjection(latitude) {
+    const metersPerDegree = (Math.PI / 180) * EARTH_RADIUS_METERS
+    const longitudeScale = metersPerDegree * Math.cos((latitude * Math.PI) / 180)
 
-    while (true) {
-        url.searchParams.set('filter[type]', '3')
-        url.searchParams.set('page[limit]', String(pageLimit))
-        url.searchParams.set('page[offset]', String(pageOffset))
-        url.searchParams.set('sort', 'short_name')
-
-        const response = await fetch(url.toString(), {
-            cache: 'no-cache',
-            headers: MBTA_REQUEST_HEADERS
-        })
+    return {
+        toMeters: ([longitude, latitude]) => [longitude * longitudeScale, latitude * metersPerDegree],
+        toCoordinate: ([x, y]) => [x / longitudeScale, y / metersPerDegree]
+    }
+}
 
-        if (!response.ok) {
-            const message = await response.text()
-            throw new Error(`request failed with status ${response.status}: ${message}`)
-        }
+// Answers "is this point within the radius of any stop" with a grid of radius-sized buckets
+function buildStopCoverageIndex(features, radiusMeters, projection) {
+    const buckets = new Map()
+    const bucketKey = (column, row) => `${column}:${row}`
 
-        const payload = await response.json()
+    for (const feature of features) {
+        const [x, y] = projection.toMeters(feature.geometry.coordinates)
+        const key = bucketKey(Math.floor(x / radiusMeters), Math.floor(y / radiusMeters))
+        const bucket = buckets.get(key)
 
-        if (!payload || !Array.isArray(payload.data)) {
-            throw new Error('unexpected response format from MBTA routes API')
+        if (bucket) {
+            bucket.push([x, y])
+        } else {
+            buckets.set(key, [[x, y]])
         }
+    }
 
-        for (const item of payload.data) {
-            if (!item || typeof item !== 'object') continue
-
-            const routeId = item.id
-            if (!routeId) continue
+    const radiusSquared = radiusMeters * radiusMeters
 
-            const attributes = item.attributes ?? {}
-            const shortName =
-                typeof attributes.short_name === 'string' ? attributes.short_name.trim() : ''
-            const longName =
-                typeof attributes.long_name === 'string' ? attributes.long_name.trim() : ''
-            const description =
-                typeof attributes.description === 'string' ? attributes.description.trim() : ''
+    return ([x, y]) => {
+        const column = Math.floor(x / radiusMeters)
+        const row = Math.floor(y / radiusMeters)
 
-            routes.set(routeId, {
-                id: routeId,
-                shortName,
-                longName,
-                description
-            })
+        for (let dx = -1; dx <= 1; dx += 1) {
+            for (let dy = -1; dy <= 1; dy += 1) {
+                for (const [stopX, stopY] of buckets.get(bucketKey(column + dx, row + dy)) ?? []) {
+                    if ((stopX - x) ** 2 + (stopY - y) ** 2 <= radiusSquared) return true
+                }
+            }
         }
 
-        const hasNextPage = Boolean(payload.links?.next)
+        return false
+    }
+}
 
-        if (!hasNextPage || payload.data.length < pageLimit) {
-            break
-        }
+function getPolygonRings(geometry) {
+    if (geometry?.type === 'Polygon') return [geometry.coordinates]
+    if (geometry?.type === 'MultiPolygon') return geometry.coordinates
+    return []
+}
+
+// Even-odd test over every ring, so holes are excluded
+function isPointInRings([x, y], rings) {
+    let isInside = false
 
-        pageOffset += pageLimit
+    for (const ring of rings) {
+        for (let index = 0, previous = ring.length - 1; index < ring.length; previous = index, index += 1) {
+            const [x1, y1] = ring[index]
+            const [x2, y2] = ring[previous]
 
-        if (pageOffset > 10000) {
-            throw new Error('pagination limit exceeded while loading MBTA routes')
+            if (y1 > y !== y2 > y && x < ((x2 - x1) * (y - y1)) / (y2 - y1) + x1) {
+                isInside = !isInside
+            }
         }
     }
 
-    return routes
+    return isInside
 }
 
-async function fetchMbtaRouteShapes(routeIds, shapesByRoute, routeMetadata) {
-    if (!Array.isArray(routeIds) || !routeIds.length) {
-        return
+// A loop rather than Math.min(...values), which overflows the call stack on large polygons
+function getPointExtent(points) {
+    const extent = { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity }
+
+    for (const [x, y] of points) {
+        if (x < extent.minX) extent.minX = x
+        if (x > extent.maxX) extent.maxX = x
+        if (y < extent.minY) extent.minY = y
+        if (y > extent.maxY) extent.maxY = y
     }
 
-    const validRouteIds = routeIds
-        .map((routeId) => (typeof routeId === 'string' ? routeId.trim() : ''))
-        .filter(Boolean)
+    return extent
+}
 
-    if (!validRouteIds.length) {
-        return
-    }
+function isPointInBounds([x, y], bounds) {
+    return x >= bounds.minX && x <= bounds.maxX && y >= bounds.minY && y <= bounds.maxY
+}
 
-    for (const routeId of validRouteIds) {
-        if (!routeId) {
-            return
-        }
+// Points spread evenly over an area feature; each carries an equal share of the area's population and jobs.
+// Point features are a single sample. Areas entirely outside the bounds are not sampled.
+function sampleAreaFeature(feature, projection, bounds) {
+    if (feature.geometry?.type === 'Point') {
+        return [projection.toMeters(feature.geometry.coordinates)]
+    }
 
-        const url = new URL('https://api-v3.mbta.com/shapes')
-        url.searchParams.set('filter[route]', routeId)
-        url.searchParams.set('include', 'route')
+    const rings = getPolygonRings(feature.geometry).flatMap((polygon) =>
+        polygon.map((ring) => ring.map((coordinate) => projection.toMeters(coordinate)))
+    )
+    const points = rings.flat()
+    if (!points.length) return []
 
-        const pageLimit = 500
-        let pageOffset = 0
+    const { minX, maxX, minY, maxY } = getPointExtent(points)
+    if (minX > bounds.maxX || maxX < bounds.minX || minY > bounds.maxY || maxY < bounds.minY) return []
 
-        while (true) {
-            url.searchParams.set('page[limit]', String(pageLimit))
-            url.searchParams.set('page[offset]', String(pageOffset))
+    const spacing = Math.max(
+        COVERAGE_LAYER.cellSizeMeters,
+        Math.sqrt(((maxX - minX) * (maxY - minY)) / COVERAGE_LAYER.maxSamplesPerArea)
+    )
+    const samples = []
 
-            const response = await fetch(url.toString(), {
-                cache: 'no-cache',
-                headers: MBTA_REQUEST_HEADERS
-            })
+    for (let x = minX + spacing / 2; x < maxX; x += spacing) {
+        for (let y = minY + spacing / 2; y < maxY; y += spacing) {
+            if (isPointInRings([x, y], rings)) samples.push([x, y])
+        }
+    }
 
-            if (!response.ok) {
-                const message = await response.text()
-                throw new Error(`request failed with status ${response.status}: ${message}`)
-            }
+    // Areas smaller than one sample spacing fall back to the mean of their vertices
+    const mean = (index) => points.reduce((sum, point) => sum + point[index], 0) / points.length
+    return samples.length ? samples : [[mean(0), mean(1)]]
+}
 
-            const payload = await response.json()
+function findNumericPropertyKeys(features) {
+    const keys = new Set()
 
-            if (!payload || !Array.isArray(payload.data)) {
-                throw new Error('unexpected response format from MBTA shapes API')
-            }
+    for (const feature of features.slice(0, 50)) {
+        for (const [key, value] of Object.entries(feature.properties ?? {})) {
+            if (value !== '' && value !== null && Number.isFinite(Number(value))) keys.add(key)
+        }
+    }
 
-            for (const item of payload.data) {
-                if (!item || typeof item !== 'object') continue
+    return Array.from(keys).sort()
+}
 
-                const resolvedRouteId = getRouteIdFromShape(item) || routeId
-                if (!resolvedRouteId) continue
+function guessPropertyKey(keys, candidates) {
+    return keys.find((key) => candidates.includes(key.toLowerCase())) ?? ''
+}
 
-                const attributes = item.attributes ?? {}
-                const polyline = typeof attributes.polyline === 'string' ? attributes.polyline : ''
-                if (!polyline) continue
+// Compares walk access to the baseline and scenario stops. Population and jobs are counted as covered
+// where their sample points fall within the walk radius; the change is also returned as grid cells for the map.
+function analyzeWalkCoverage({ areas, baselineStops, scenarioStops, radiusMeters, populationKey, jobsKey }) {
+    const stops = [...baselineStops, ...scenarioStops]
+    if (!stops.length || !(radiusMeters > 0)) return null
+
+    const stopCoordinates = stops.map((feature) => feature.geometry.coordinates)
+    const { minY: minLatitude, maxY: maxLatitude } = getPointExtent(stopCoordinates)
+    const projection = createLocalProjection((minLatitude + maxLatitude) / 2)
+    const isBaselineCovered = buildStopCoverageIndex(baselineStops, radiusMeters, projection)
+    const isScenarioCovered = buildStopCoverageIndex(scenarioStops, radiusMeters, projection)
+    const stopPoints = stops.map((feature) => projection.toMeters(feature.geometry.coordinates))
+    const stopExtent = getPointExtent(stopPoints)
+    const bounds = {
+        minX: stopExtent.minX - radiusMeters,
+        maxX: stopExtent.maxX + radiusMeters,
+        minY: stopExtent.minY - radiusMeters,
+        maxY: stopExtent.maxY + radiusMeters
+    }
+    const createTotals = () => ({ baseline: 0, scenario: 0, gained: 0, lost: 0 })
+    const totals = { population: createTotals(), jobs: createTotals() }
+    let areaCount = 0
+
+    for (const area of areas) {
+        const allSamples = sampleAreaFeature(area, projection, bounds)
+        const samples = allSamples.filter((sample) => isPointInBounds(sample, bounds))
+        if (!samples.length) continue
+
+        const values = {
+            population: populationKey ? Number(area.properties?.[populationKey]) || 0 : 0,
+            jobs: jobsKey ? Number(area.properties?.[jobsKey]) || 0 : 0
+        }
+        let countedArea = false
 
-                const coordinates = decodePolyline(polyline)
-                if (coordinates.length < 2) continue
+        for (const sample of samples) {
+            const inBaseline = isBaselineCovered(sample)
+            const inScenario = isScenarioCovered(sample)
+            if (!inBaseline && !inScenario) continue
 
-                const existing = shapesByRoute.get(resolvedRouteId)
+            countedArea = true
 
-                if (existing) {
-                    existing.push(coordinates)
-                } else {
-                    shapesByRoute.set(resolvedRouteId, [coordinates])
-                }
+            for (const metric of ['population', 'jobs']) {
+                const share = values[metric] / allSamples.length
+                if (inBaseline) totals[metric].baseline += share
+                if (inScenario) totals[metric].scenario += share
+                if (inScenario && !inBaseline) totals[metric].gained += share
+                if (inBaseline && !inScenario) totals[metric].lost += share
             }
+        }
 
-            if (Array.isArray(payload.included)) {
-                for (const includedItem of payload.included) {
-                    if (!includedItem || includedItem.type !== 'route') continue
+        if (countedArea) areaCount += 1
+    }
 
-                    const includedRouteId = includedItem.id
-                    if (!includedRouteId || routeMetadata.has(includedRouteId)) continue
+    const cellSize = Math.max(
+        COVERAGE_LAYER.cellSizeMeters,
+        Math.sqrt(((bounds.maxX - bounds.minX) * (bounds.maxY - bounds.minY)) / COVERAGE_LAYER.maxCells)
+    )
+    const changeCells = []
+
+    for (let x = bounds.minX; x < bounds.maxX; x += cellSize) {
+        for (let y = bounds.minY; y < bounds.maxY; y += cellSize) {
+            const center = [x + cellSize / 2, y + cellSize / 2]
+            const inBaseline = isBaselineCovered(center)
+            if (inBaseline === isScenarioCovered(center)) continue
+
+            const corners = [
+                [x, y],
+                [x + cellSize, y],
+                [x + cellSize, y + cellSize],
+                [x, y + cellSize],
+                [x, y]
+            ]
+
+            changeCells.push({
+                type: 'Feature',
+                geometry: { type: 'Polygon', coordinates: [corners.map(projection.toCoordinate)] },
+                properties: { change: inBaseline ? 'lost' : 'gained' }
+            })
+        }
+    }
 
-                    const attributes = includedItem.attributes ?? {}
-                    const shortName =
-                        typeof attributes.short_name === 'string' ? attributes.short_name.trim() : ''
-                    const longName =
-                        typeof attributes.long_name === 'string' ? attributes.long_name.trim() : ''
-                    const description =
-                        typeof attributes.description === 'string' ? attributes.description.trim() : ''
+    return { ...totals, areaCount, changeCells: { type: 'FeatureCollection', features: changeCells } }
+}
 
-                    routeMetadata.set(includedRouteId, {
-                        id: includedRouteId,
-                        shortName,
-                        longName,
-                        description
-                    })
-                }
+// The shown variant is filled; with a scenario the other one is outlined for comparison
+function buildIsochroneCollection(origin, result, shownVariantId) {
+    const features = SCENARIO_VARIANTS.filter((variant) => result?.[variant.id]).flatMap((variant) =>
+        result[variant.id].isochrones.features.map((feature) => ({
+            ...feature,
+            properties: {
+                ...feature.properties,
+                variant: variant.id,
+                role: variant.id === shownVariantId ? 'fill' : 'outline'
             }
+        }))
+    )
+
+    if (origin) {
+        features.push({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: origin },
+            properties: { role: 'origin' }
+        })
+    }
 
-            const hasNextPage = Boolean(payload.links?.next)
+    return { type: 'FeatureCollection', features }
+}
 
-            if (!hasNextPage || payload.data.length < pageLimit) {
-                break
-            }
+function formatAreaSquareKm(value) {
+    return Number.isFinite(value) ? `${value.toFixed(1)} km²` : '—'
+}
 
-            pageOffset += pageLimit
+function formatClockSeconds(seconds) {
+    const minutes = Math.round(seconds / SECONDS_PER_MINUTE)
+    const hours = Math.floor(minutes / MINUTES_PER_HOUR) % 24
 
-            if (pageOffset > 100000) {
-                throw new Error('pagination limit exceeded while loading MBTA shapes')
-            }
+    return `${hours}:${String(minutes % MINUTES_PER_HOUR).padStart(2, '0')}`
+}
+
+function formatCoordinateLabel([longitude, latitude]) {
+    return `${latitude.toFixed(5)}, ${longitude.toFixed(5)}`
+}
+
+// Rides are drawn in their route's colour, walks dashed, and the endpoints as green and red dots
+function buildTripPlanCollection(endpoints, itinerary, routeFeatures) {
+    const legFeatures = (itinerary?.legs ?? []).map((leg) => ({
+        type: 'Feature',
+        geometry: leg.geometry,
+        properties: {
+            mode: leg.mode,
+            color:
+                leg.mode === 'bus'
+                    ? routeFeatures.find((feature) => feature.id === leg.routeId)?.properties?.color ??
+                      getRouteColor(leg.routeName)
+                    : TRIP_PLAN_LAYER.walkColor
         }
-    }
+    }))
+    const endpointFeatures = TRIP_ENDPOINTS.filter((endpoint) => endpoints[endpoint.id]).map((endpoint) => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: endpoints[endpoint.id].coordinate },
+        properties: { endpoint: endpoint.id }
+    }))
+
+    return { type: 'FeatureCollection', features: [...legFeatures, ...endpointFeatures] }
 }
 
-async function fetchMbtaRoutes() {
-    const routeMetadata = await fetchMbtaRouteMetadata()
-    const routeIds = Array.from(routeMetadata.keys())
+function describeItinerary(itinerary) {
+    const minutes = Math.round(itinerary.durationSeconds / SECONDS_PER_MINUTE)
+    const rides = itinerary.legs.filter((leg) => leg.mode === 'bus').length
+    const transfers =
+        rides === 0 ? 'walk only' : itinerary.transfers === 1 ? '1 transfer' : `${itinerary.transfers} transfers`
 
-    if (!routeIds.length) {
-        throw new Error('no bus routes returned from the MBTA API')
-    }
+    const departure = formatClockSeconds(itinerary.departureSeconds)
+    const arrival = formatClockSeconds(itinerary.arrivalSeconds)
 
-    const shapesByRoute = new Map()
-    const batchSize = 25
+    return `${departure} → ${arrival} · ${minutes} min · ${transfers}`
+}
 
-    for (let index = 0; index < routeIds.length; index += batchSize) {
-        const batch = routeIds.slice(index, index + batchSize)
-        await fetchMbtaRouteShapes(batch, shapesByRoute, routeMetadata)
+function describeItineraryLeg(leg) {
+    if (leg.mode === 'walk') {
+        return `Walk ${formatSpacing(leg.distanceMeters)} to ${leg.to.name}`
     }
 
-    if (!shapesByRoute.size) {
-        throw new Error('no bus route shapes returned from the MBTA API')
-    }
+    const headsign = leg.headsign ? ` toward ${leg.headsign}` : ''
+    const stops = leg.stopCount === 1 ? '1 stop' : `${leg.stopCount} stops`
 
-    const features = []
-    let index = 0
+    const boarding = `${formatClockSeconds(leg.departureSeconds)} ${leg.from.name}`
+    const alighting = `${formatClockSeconds(leg.arrivalSeconds)} ${leg.to.name}`
 
-    for (const [routeId, segments] of shapesByRoute.entries()) {
-        const cleanedSegments = segments
-            .map((segment) => {
-                if (!Array.isArray(segment)) return []
+    return `Route ${leg.routeName}${headsign}: ${boarding} → ${alighting} (${stops})`
+}
 
-                const cleaned = []
+// Edited stops stay orange; the rest are coloured by direction, or by boardings once ridership is loaded
+function buildStopCircleColor(circleOptions, { showRidership = false } = {}) {
+    const fillColor = showRidership
+        ? ['case', ['==', ['get', 'boardings'], null], circleOptions.noRidershipColor, circleOptions.ridershipColor]
+        : [
+              'case',
+              ['==', ['get', 'direction_id'], 1],
+              circleOptions.reverseDirectionColor ?? '#8e44ad',
+              circleOptions.color ?? '#1f7bf6'
+          ]
+
+    return ['case', ['boolean', ['get', 'isEdited'], false], circleOptions.editedColor ?? '#f39c12', fillColor]
+}
 
-                for (const coordinate of segment) {
-                    if (!Array.isArray(coordinate) || coordinate.length !== 2) continue
+function getRidershipStopKey(feature) {
+    return String(feature.id ?? feature.properties?.stop_id ?? '')
+}
 
-                    const [lng, lat] = coordinate
+function formatSpacing(meters) {
+    const feet = meters / METERS_PER_FOOT
+    return feet < 1000 ? `${Math.round(feet)} ft` : `${(meters / METERS_PER_MILE).toFixed(2)} mi`
+}
 
-                    if (!Number.isFinite(lng) || !Number.isFinite(lat)) continue
+function formatOptionalSpacing(meters) {
+    return Number.isFinite(meters) ? formatSpacing(meters) : '—'
+}
 
-                    if (cleaned.length) {
-                        const [prevLng, prevLat] = cleaned[cleaned.length - 1]
+function roundMetric(value, digits) {
+    return Number.isFinite(value) ? Number(value.toFixed(digits)) : null
+}
 
-                        if (prevLng === lng && prevLat === lat) {
-                            continue
-                        }
-                    }
+function formatShare(value) {
+    return Number.isFinite(value) ? `${Math.round(value * 100)}%` : '—'
+}
 
-                    cleaned.push([lng, lat])
-                }
+// Gaps along the route between consecutive stops in each direction; stops on different line parts are not adjacent
+function calculateStopSpacings(features) {
+    const spacings = []
 
-                return cleaned
-            })
-            .filter((segment) => segment.length >= 2)
+    for (let index = 1; index < features.length; index += 1) {
+        const previous = features[index - 1]
+        const current = features[index]
+        if (!isSameStopRun(previous, current)) continue
 
-        if (!cleanedSegments.length) continue
+        const gap = current.properties.route_distance_m - previous.properties.route_distance_m
+        if (Number.isFinite(gap) && gap > 0) spacings.push(gap)
+    }
 
-        const geometry =
-            cleanedSegments.length === 1
-                ? { type: 'LineString', coordinates: cleanedSegments[0] }
-                : { type: 'MultiLineString', coordinates: cleanedSegments }
+    return spacings
+}
 
-        const metadata = routeMetadata.get(routeId) ?? {}
-        const routeNumber = metadata.shortName || routeId
-        const routeName =
-            metadata.longName ||
-            metadata.description ||
-            (routeNumber && routeNumber !== routeId ? `Route ${routeNumber}` : `Route ${routeId}`)
+function calculateMedian(values) {
+    if (!values.length) return null
 
-        const normalized = normalizeRouteFeature(
-            {
-                type: 'Feature',
-                id: routeId,
-                geometry,
-                properties: {
-                    route_num: routeNumber,
-                    route_desc: routeName,
-                    mbta_route_id: routeId
-                }
-            },
-            index
-        )
+    const sorted = values.slice().sort((a, b) => a - b)
+    const middle = Math.floor(sorted.length / 2)
 
-        if (normalized) {
-            features.push(normalized)
-            index += 1
-        }
-    }
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+}
 
-    if (!features.length) {
-        throw new Error('no usable bus routes returned from the MBTA API')
-    }
+// Scheduled headway in a period, averaged over the directions that run in it
+function getScheduledHeadwayMinutes(headways, periodId) {
+    const values = (Array.isArray(headways?.directions) ? headways.directions : [])
+        .map((direction) => direction.periods?.[periodId]?.headwayMinutes)
+        .filter((value) => Number.isFinite(value))
 
-    return { type: 'FeatureCollection', features }
+    return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null
 }
 
-async function fetchMbtaStopsForRoute(routeId) {
+function summarizeRouteMetrics(routeFeature, stopFeatures, parameters, headways = null) {
+    const lengthMeters = calculateRepresentativeRouteLengthInMeters(routeFeature?.geometry)
+    const spacings = calculateStopSpacings(stopFeatures)
+    const accessibleCount = stopFeatures.filter(
+        (feature) => Number(feature.properties?.wheelchair_boarding) === 1
+    ).length
+
+    return {
+        lengthMeters,
+        stopCount: stopFeatures.length,
+        averageSpacingMeters: spacings.length ? spacings.reduce((sum, gap) => sum + gap, 0) / spacings.length : null,
+        medianSpacingMeters: calculateMedian(spacings),
+        shortestSpacingMeters: spacings.length ? Math.min(...spacings) : null,
+        modelledFrequencyMinutes: calculateEstimatedFrequencyMinutes(
+            lengthMeters,
+            countStopsByDirection(stopFeatures),
+            parameters
+        ),
+        scheduledHeadwayMinutes: getScheduledHeadwayMinutes(headways, METRIC_HEADWAY_PERIOD_ID),
+        accessibleShare: stopFeatures.length ? accessibleCount / stopFeatures.length : null
+    }
+}
+
+// Repeatedly removes the least important stop among those closer than the target spacing to a neighbour.
+// Terminals are never removed; transfer points outrank accessible stops, which outrank the rest.
+function consolidateStopsBySpacing(
+    features,
+    geometry,
+    minSpacingMeters,
+    ridershipByStopId = new Map()
+) {
+    const ordered = orderStopsAlongRoute(features, buildLinearReference(geometry))
+    const getStopKey = getRidershipStopKey
+    const isTransfer = (feature) =>
+        (feature.properties?.route_ids?.length ?? 0) > 1 ||
+        Boolean(feature.properties?.parent_station)
+    const isAccessible = (feature) => Number(feature.properties?.wheelchair_boarding) === 1
+
+    const stops = ordered.map((feature, index) => {
+        const isTerminal =
+            feature.properties?.route_part === undefined ||
+            !isSameStopRun(ordered[index - 1], feature) ||
+            !isSameStopRun(ordered[index + 1], feature)
+
+        return {
+            feature,
+            isTerminal,
+            priority: isTransfer(feature) ? 2 : isAccessible(feature) ? 1 : 0,
+            riders: ridershipByStopId.get(getStopKey(feature)) ?? null,
+            kept: true
+        }
+    })
+
+    const findKeptNeighbour = (index, step) => {
+        for (let candidate = index + step; candidate >= 0 && candidate < stops.length; candidate += step) {
+            if (!isSameStopRun(stops[candidate].feature, stops[index].feature)) {
+                return null
+            }
+
+            if (stops[candidate].kept) return stops[candidate]
+        }
+
+        return null
+    }
+
+    const removed = []
+
+    while (true) {
+        let candidate = null
+
+        stops.forEach((stop, index) => {
+            if (!stop.kept || stop.isTerminal) return
+
+            const previous = findKeptNeighbour(index, -1)
+            const next = findKeptNeighbour(index, 1)
+            const previousGap = previous
+                ? stop.feature.properties.route_distance_m - previous.feature.properties.route_distance_m
+                : Infinity
+            const nextGap = next
+                ? next.feature.properties.route_distance_m - stop.feature.properties.route_distance_m
+                : Infinity
+            const gap = Math.min(previousGap, nextGap)
+
+            if (gap >= minSpacingMeters) return
+
+            const crowding = previousGap + nextGap
+
+            // With ridership loaded, the least used stop goes first among stops of equal priority
+            const usage = stop.riders ? stop.riders.boardings + stop.riders.alightings : 0
+            const isLessUsed = usage < candidate?.usage
+            const isSameUsage = usage === candidate?.usage
+
+            if (
+                !candidate ||
+                stop.priority < candidate.stop.priority ||
+                (stop.priority === candidate.stop.priority &&
+                    (isLessUsed || (isSameUsage && crowding < candidate.crowding)))
+            ) {
+                candidate = { stop, gap, crowding, usage, neighbour: previousGap <= nextGap ? previous : next }
+            }
+        })
+
+        if (!candidate) break
+
+        candidate.stop.kept = false
+
+        const neighbourName = candidate.neighbour.feature.properties?.name ?? 'the next stop'
+        const caveat = ['', ' Removed even though it is accessible.', ' Removed even though it is a transfer point.']
+        const spacingText = `${formatSpacing(candidate.gap)} from ${neighbourName}`
+        const ridersText = candidate.stop.riders
+            ? ` ${candidate.stop.riders.boardings.toLocaleString()} boardings,` +
+              ` ${candidate.stop.riders.alightings.toLocaleString()} alightings.`
+            : ''
+
+        removed.push({
+            id: getStopKey(candidate.stop.feature),
+            name: candidate.stop.feature.properties?.name ?? 'Unnamed stop',
+            reason: `${spacingText}, under the ${formatSpacing(minSpacingMeters)} minimum.${
+                caveat[candidate.stop.priority]
+            }${ridersText}`
+        })
+    }
+
+    return {
+        features: stops.filter((stop) => stop.kept).map((stop) => stop.feature),
+        removed
+    }
+}
+
+function selectEvenlySpacedStops(features, targetCount) {
+    if (!Array.isArray(features) || !features.length || targetCount <= 0) {
+        return []
+    }
+
+    if (targetCount >= features.length) {
+        return features.slice()
+    }
+
+    if (targetCount === 1) {
+        return [features[0]]
+    }
+
+    const result = []
+    const interval = (features.length - 1) / (targetCount - 1)
+
+    for (let index = 0; index < targetCount; index += 1) {
+        const position = index * interval
+        const sourceIndex = Math.min(Math.round(position), features.length - 1)
+        const feature = features[sourceIndex]
+
+        if (feature) {
+            result.push(feature)
+        }
+    }
+
+    return result
+}
+
+function createGeneratedStopFeature(coordinate, index, name) {
+    if (!Array.isArray(coordinate) || coordinate.length !== 2) {
+        return null
+    }
+
+    return {
+        type: 'Feature',
+        id: `generated-stop-${index}`,
+        geometry: {
+            type: 'Point',
+            coordinates: [...coordinate]
+        },
+        properties: {
+            name: name || `Proposed Stop ${index + 1}`,
+            description: 'Synthetic stop for frequency scenario testing.',
+            isSynthetic: true
+        }
+    }
+}
+
+function buildAdjustedStopCollection(baseCollection, geometry, targetCount) {
+    const count = Math.max(0, Math.floor(targetCount))
+
+    if (count <= 0) {
+        return { type: 'FeatureCollection', features: [] }
+    }
+
+    const allFeatures = Array.isArray(baseCollection?.features) ? baseCollection.features : []
+    const directionGroups = DIRECTION_IDS.map((directionId) => ({
+        directionId,
+        features: allFeatures.filter((feature) => getStopDirectionId(feature) === directionId)
+    })).filter((group) => group.features.length)
+
+    // Each direction is adjusted on its own, sharing the target in proportion to its current stop count
+    if (directionGroups.length > 1 && allFeatures.every((feature) => getStopDirectionId(feature) !== -1)) {
+        const exactTargets = directionGroups.map((group) => (count * group.features.length) / allFeatures.length)
+        const targets = exactTargets.map((target) => Math.max(1, Math.floor(target)))
+        let remaining = count - targets.reduce((sum, target) => sum + target, 0)
+
+        exactTargets
+            .map((target, index) => ({ index, remainder: target - Math.floor(target) }))
+            .sort((a, b) => b.remainder - a.remainder)
+            .forEach(({ index }) => {
+                if (remaining <= 0) return
+                targets[index] += 1
+                remaining -= 1
+            })
+
+        const features = directionGroups.flatMap((group, index) =>
+            buildAdjustedStopCollection({ features: group.features }, geometry, targets[index]).features.map(
+                (feature) =>
+                    getStopDirectionId(feature) === -1
+                        ? {
+                              ...feature,
+                              id: `${feature.id}-${group.directionId}`,
+                              properties: { ...feature.properties, direction_id: group.directionId }
+                          }
+                        : feature
+            )
+        )
+
+        return { type: 'FeatureCollection', features }
+    }
+
+    const reference = buildLinearReference(geometry)
+    const baseFeatures = orderStopCollectionAlongGeometry(baseCollection, geometry).features
+    const baseCount = baseFeatures.length
+
+    if (baseCount === 0) {
+        const generatedCoordinates = sampleCoordinatesAlongGeometry(geometry, count)
+        const generatedFeatures = generatedCoordinates
+            .map((coordinate, index) => createGeneratedStopFeature(coordinate, index, `Proposed Stop ${index + 1}`))
+            .filter(Boolean)
+
+        return { type: 'FeatureCollection', features: generatedFeatures.slice(0, count) }
+    }
+
+    if (count <= baseCount) {
+        const reduced = selectEvenlySpacedStops(baseFeatures, count)
+        return { type: 'FeatureCollection', features: reduced }
+    }
+
+    const additionalNeeded = count - baseCount
+
+    if (baseCount < 2) {
+        const coordinates = sampleCoordinatesAlongGeometry(geometry, additionalNeeded)
+        const generated = coordinates
+            .map((coordinate, index) =>
+                createGeneratedStopFeature(coordinate, baseCount + index, `Proposed Stop ${baseCount + index + 1}`)
+            )
+            .filter(Boolean)
+
+        const combined = [...baseFeatures, ...generated]
+        return { type: 'FeatureCollection', features: combined.slice(0, count) }
+    }
+
+    const segments = []
+
+    // Gaps between consecutive stops follow the route; stops on different line parts are not adjacent
+    for (let index = 1; index < baseCount; index += 1) {
+        const previous = baseFeatures[index - 1]
+        const current = baseFeatures[index]
+
+        if (!reference.length) {
+            const start = previous.geometry.coordinates
+            const end = current.geometry.coordinates
+            segments.push({ start, end, length: haversineDistanceMeters(start, end) })
+        } else if (isSameStopRun(previous, current)) {
+            const startDistance = previous.properties.route_distance_m
+            const length = current.properties.route_distance_m - startDistance
+            segments.push({ part: previous.properties.route_part, startDistance, length })
+        } else {
+            segments.push({ length: 0 })
+        }
+    }
+
+    const allocations = new Array(segments.length).fill(0)
+
+    if (segments.length) {
+        const totalLength = segments.reduce((sum, segment) => sum + (segment.length || 0), 0)
+
+        if (totalLength > 0) {
+            const remainders = []
+            let allocated = 0
+
+            for (let index = 0; index < segments.length; index += 1) {
+                const segment = segments[index]
+                const exactShare = (segment.length / totalLength) * additionalNeeded
+                const floorShare = Math.floor(exactShare)
+                allocations[index] = floorShare
+                allocated += floorShare
+                remainders.push({ index, remainder: exactShare - floorShare })
+            }
+
+            let remaining = additionalNeeded - allocated
+
+            const sortedRemainders = remainders.sort((a, b) => b.remainder - a.remainder)
+
+            for (const item of sortedRemainders) {
+                if (remaining <= 0) {
+                    break
+                }
+
+                allocations[item.index] += 1
+                remaining -= 1
+            }
+
+            let cycleIndex = 0
+
+            while (remaining > 0) {
+                const target = allocations.length ? cycleIndex % allocations.length : 0
+                allocations[target] += 1
+                remaining -= 1
+                cycleIndex += 1
+            }
+        } else {
+            let assigned = 0
+            while (assigned < additionalNeeded) {
+                const target = assigned % allocations.length
+                allocations[target] += 1
+                assigned += 1
+            }
+        }
+    }
+
+    const generatedStops = []
+    const orderedFeatures = []
+
+    if (baseCount > 0) {
+        orderedFeatures.push(baseFeatures[0])
+
+        for (let index = 1; index < baseCount; index += 1) {
+            const allocation = allocations[index - 1] ?? 0
+            const segment = segments[index - 1]
+
+            if (allocation > 0 && segment) {
+                for (let step = 1; step <= allocation; step += 1) {
+                    const ratio = step / (allocation + 1)
+                    const coordinate =
+                        segment.part === undefined
+                            ? interpolateCoordinate(segment.start, segment.end, ratio)
+                            : coordinateAtDistance(
+                                  reference[segment.part],
+                                  segment.startDistance + segment.length * ratio
+                              )
+                    const feature = createGeneratedStopFeature(
+                        coordinate,
+                        baseCount + generatedStops.length,
+                        `Proposed Stop ${baseCount + generatedStops.length + 1}`
+                    )
+
+                    if (feature) {
+                        generatedStops.push(feature)
+                        orderedFeatures.push(feature)
+                    }
+                }
+            }
+
+            orderedFeatures.push(baseFeatures[index])
+        }
+    }
+
+    if (generatedStops.length < additionalNeeded) {
+        const fallbackCoordinates = sampleCoordinatesAlongGeometry(geometry, additionalNeeded - generatedStops.length)
+
+        for (const coordinate of fallbackCoordinates) {
+            const feature = createGeneratedStopFeature(
+                coordinate,
+                baseCount + generatedStops.length,
+                `Proposed Stop ${baseCount + generatedStops.length + 1}`
+            )
+
+            if (!feature) continue
+
+            generatedStops.push(feature)
+            orderedFeatures.push(feature)
+
+            if (generatedStops.length >= additionalNeeded) {
+                break
+            }
+        }
+    }
+
+    const combined = orderedFeatures.length ? orderedFeatures : [...baseFeatures, ...generatedStops]
+
+    return { type: 'FeatureCollection', features: combined.slice(0, count) }
+}
+
+function escapeHtml(value) {
+    if (typeof value !== 'string') {
+        return ''
+    }
+
+    return value
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;')
+}
+
+function formatFrequencyMinutes(minutes) {
+    if (!Number.isFinite(minutes) || minutes <= 0) {
+        return '—'
+    }
+
+    if (minutes < 1) {
+        return `${minutes.toFixed(2)} min`
+    }
+
+    if (minutes < 10) {
+        return `${minutes.toFixed(1)} min`
+    }
+
+    return `${minutes.toFixed(0)} min`
+}
+
+function formatDurationSeconds(seconds) {
+    if (!Number.isFinite(seconds) || seconds < 0) {
+        return '—'
+    }
+
+    const rounded = Math.round(seconds)
+    const minutes = Math.floor(rounded / SECONDS_PER_MINUTE)
+
+    return `${minutes}:${String(rounded % SECONDS_PER_MINUTE).padStart(2, '0')}`
+}
+
+function createVehicleArrowImage(size) {
+    const canvas = document.createElement('canvas')
+    canvas.width = size
+    canvas.height = size
+
+    const context = canvas.getContext('2d')
+    const center = size / 2
+
+    context.fillStyle = '#000000'
+    context.beginPath()
+    context.arc(center, center + size * 0.08, size * 0.28, 0, Math.PI * 2)
+    context.fill()
+    context.beginPath()
+    context.moveTo(center, size * 0.04)
+    context.lineTo(center + size * 0.22, size * 0.36)
+    context.lineTo(center - size * 0.22, size * 0.36)
+    context.closePath()
+    context.fill()
+
+    return context.getImageData(0, 0, size, size)
+}
+
+// Vehicles take the colour of their route as drawn on the map, like trip plan rides
+function buildVehicleFeatureCollection(vehicles, routeFeatures) {
+    const routeColors = new Map(routeFeatures.map((feature) => [String(feature.id), feature.properties?.color]))
+    const features = []
+
+    for (const vehicle of vehicles) {
+        if (!Number.isFinite(vehicle?.longitude) || !Number.isFinite(vehicle?.latitude)) continue
+
+        features.push({
+            type: 'Feature',
+            id: vehicle.id,
+            geometry: {
+                type: 'Point',
+                coordinates: [vehicle.longitude, vehicle.latitude]
+            },
+            properties: {
+                vehicle_id: vehicle.id,
+                route_id: vehicle.routeId ?? '',
+                label: vehicle.label ?? '',
+                bearing: Number.isFinite(vehicle.bearing) ? vehicle.bearing : 0,
+                direction_id: vehicle.directionId,
+                color: routeColors.get(String(vehicle.routeId)) ?? getRouteColor(vehicle.routeId)
+            }
+        })
+    }
+
+    return { type: 'FeatureCollection', features }
+}
+
+function formatWheelchairBoarding(value) {
+    const numeric = Number(value)
+
+    if (numeric === 1) return 'Wheelchair accessible'
+    if (numeric === 2) return 'Not wheelchair accessible'
+
+    return 'Accessibility unknown'
+}
+
+function formatArrivalTime(isoTime, now) {
+    const timestamp = Date.parse(isoTime)
+
+    if (!Number.isFinite(timestamp)) {
+        return '—'
+    }
+
+    const minutes = Math.round((timestamp - now) / (SECONDS_PER_MINUTE * 1000))
+
+    if (minutes <= 0) return 'Now'
+    if (minutes < MINUTES_PER_HOUR) return `${minutes} min`
+
+    return new Date(timestamp).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })
+}
+
+function buildArrivalsHtml(arrivalData, routeCodes, now) {
+    const groups = Array.isArray(arrivalData?.routes) ? arrivalData.routes : []
+
+    if (!groups.length) {
+        return '<p class="popup-note">No upcoming departures.</p>'
+    }
+
+    const rows = groups
+        .map((group) => {
+            const routeLabel = routeCodes.get(group.routeId) || group.routeId
+            const headsign = group.headsign || `Direction ${group.directionId}`
+            const times = group.arrivals
+                .map((arrival) => {
+                    const isScheduled = arrival.source !== 'prediction'
+                    const label = escapeHtml(formatArrivalTime(arrival.time, now))
+
+                    return isScheduled
+                        ? `<span class="popup-arrival-scheduled" title="Scheduled">${label}*</span>`
+                        : `<span title="Live prediction">${label}</span>`
+                })
+                .join(', ')
+
+            return `
+                <tr>
+                    <th scope="row">${escapeHtml(routeLabel)}</th>
+                    <td class="popup-arrival-headsign">${escapeHtml(headsign)}</td>
+                    <td>${times}</td>
+                </tr>
+            `
+        })
+        .join('')
+
+    const hasScheduled = groups.some((group) => group.arrivals.some((arrival) => arrival.source !== 'prediction'))
+
+    return `
+        <table class="popup-arrivals-table">
+            <tbody>${rows}</tbody>
+        </table>
+        ${hasScheduled ? '<p class="popup-note">* Scheduled time, no live prediction.</p>' : ''}
+    `
+}
+
+function formatMinutesDelta(minutes) {
+    if (!Number.isFinite(minutes)) {
+        return '—'
+    }
+
+    const sign = minutes > 0 ? '+' : minutes < 0 ? '−' : '±'
+    return `${sign}${Math.abs(minutes).toFixed(1)} min`
+}
+
+function formatServiceDate(value) {
+    if (typeof value !== 'string' || !/^\d{8}$/.test(value)) {
+        return ''
+    }
+
+    return `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`
+}
+
+function buildHeadwayTableHtml(headways, modelMinutes) {
+    const periods = Array.isArray(headways?.periods) ? headways.periods : []
+    const directions = Array.isArray(headways?.directions) ? headways.directions : []
+
+    if (!periods.length || !directions.length) {
+        return '<p class="popup-note">No scheduled trips found for this route in the GTFS feed.</p>'
+    }
+
+    const headerCells = directions
+        .map((direction) => {
+            const label = direction.headsign || `Direction ${direction.directionId}`
+            return `<th scope="col" title="${escapeHtml(label)}">${escapeHtml(label)}</th>`
+        })
+        .join('')
+
+    const rows = periods
+        .map((period) => {
+            const values = directions.map((direction) => direction.periods?.[period.id]?.headwayMinutes)
+            const scheduled = values.filter((value) => Number.isFinite(value))
+            const averageScheduled = scheduled.length
+                ? scheduled.reduce((sum, value) => sum + value, 0) / scheduled.length
+                : null
+            const delta =
+                Number.isFinite(modelMinutes) && Number.isFinite(averageScheduled)
+                    ? modelMinutes - averageScheduled
+                    : null
+
+            const valueCells = values
+                .map((value) => `<td>${escapeHtml(formatFrequencyMinutes(value))}</td>`)
+                .join('')
+
+            return `
+                <tr>
+                    <th scope="row">${escapeHtml(period.label)}</th>
+                    ${valueCells}
+                    <td class="popup-headway-delta">${escapeHtml(formatMinutesDelta(delta))}</td>
+                </tr>
+            `
+        })
+        .join('')
+
+    const weekdayDate = formatServiceDate(headways.serviceDates?.weekday)
+    const weekendDate = formatServiceDate(headways.serviceDates?.weekend)
+    const serviceNote = [weekdayDate && `weekday ${weekdayDate}`, weekendDate && `weekend ${weekendDate}`]
+        .filter(Boolean)
+        .join(', ')
+
+    return `
+        <table class="popup-headway-table">
+            <thead>
+                <tr>
+                    <th scope="col">Period</th>
+                    ${headerCells}
+                    <th scope="col">Model Δ</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+        ${serviceNote ? `<p class="popup-note">GTFS service: ${escapeHtml(serviceNote)}.</p>` : ''}
+    `
+}
+
+function getGeometryLines(geometry) {
+    if (geometry?.type === 'LineString') return [geometry.coordinates]
+    if (geometry?.type === 'MultiLineString') return geometry.coordinates
+    return []
+}
+
+function formatCsvValue(value) {
+    const text = value === null || value === undefined ? '' : String(value)
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+function buildCsv(header, rows) {
+    return [header, ...rows].map((row) => row.map(formatCsvValue).join(',')).join('\r\n') + '\r\n'
+}
+
+function parseCsv(text) {
+    const rows = []
+    let row = []
+    let value = ''
+    let inQuotes = false
+
+    for (let index = 0; index < text.length; index += 1) {
+        const character = text[index]
+
+        if (inQuotes) {
+            if (character === '"' && text[index + 1] === '"') {
+                value += '"'
+                index += 1
+            } else if (character === '"') {
+                inQuotes = false
+            } else {
+                value += character
+            }
+        } else if (character === '"') {
+            inQuotes = true
+        } else if (character === ',') {
+            row.push(value)
+            value = ''
+        } else if (character === '\n' || character === '\r') {
+            if (character === '\r' && text[index + 1] === '\n') index += 1
+            row.push(value)
+            rows.push(row)
+            row = []
+            value = ''
+        } else {
+            value += character
+        }
+    }
+
+    if (value || row.length) {
+        row.push(value)
+        rows.push(row)
+    }
+
+    const [header = [], ...records] = rows.filter((cells) => cells.some((cell) => cell.trim()))
+    const keys = header.map((key) => key.trim().replace(/^\uFEFF/, '').toLowerCase())
+
+    return records.map((cells) => Object.fromEntries(keys.map((key, index) => [key, (cells[index] ?? '').trim()])))
+}
+
+function getExportStopId(feature, routeId, index) {
+    if (feature.properties?.isSynthetic || feature.id === undefined || feature.id === null) {
+        return `${routeId}-proposed-${index + 1}`
+    }
+
+    return String(feature.id)
+}
+
+function buildRouteExportGeoJson(routeFeature, stopCollection) {
+    const routeProperties = { ...routeFeature.properties, feature_type: 'route' }
+    delete routeProperties.is_edited
+
+    return {
+        type: 'FeatureCollection',
+        features: [
+            { type: 'Feature', id: routeFeature.id, geometry: routeFeature.geometry, properties: routeProperties },
+            ...stopCollection.features.map((feature) => ({
+                type: 'Feature',
+                id: feature.id,
+                geometry: feature.geometry,
+                properties: {
+                    ...feature.properties,
+                    feature_type: 'stop',
+                    isSynthetic: Boolean(feature.properties?.isSynthetic)
+                }
+            }))
+        ]
+    }
+}
+
+function buildStopsCsv(stopCollection, routeId) {
+    return buildCsv(
+        ['stop_id', 'name', 'lat', 'lon', 'direction_id', 'isSynthetic'],
+        stopCollection.features.map((feature, index) => {
+            const [longitude, latitude] = feature.geometry.coordinates
+            return [
+                getExportStopId(feature, routeId, index),
+                feature.properties?.name ?? '',
+                latitude.toFixed(6),
+                longitude.toFixed(6),
+                feature.properties?.direction_id ?? '',
+                feature.properties?.isSynthetic ? 'true' : 'false'
+            ]
+        })
+    )
+}
+
+function buildRouteKml(routeFeature, stopCollection, title) {
+    const formatCoordinates = (coordinates) =>
+        coordinates.map(([longitude, latitude]) => `${longitude.toFixed(6)},${latitude.toFixed(6)}`).join(' ')
+    const lineStrings = getGeometryLines(routeFeature.geometry)
+        .map((line) => `<LineString><coordinates>${formatCoordinates(line)}</coordinates></LineString>`)
+        .join('')
+    const routeColor = (routeFeature.properties?.color ?? '#0f3d91').replace('#', '')
+    // KML colours are aabbggrr
+    const kmlColor = `ff${routeColor.slice(4, 6)}${routeColor.slice(2, 4)}${routeColor.slice(0, 2)}`
+
+    const stopPlacemarks = stopCollection.features
+        .map(
+            (feature) => `
+    <Placemark>
+      <name>${escapeHtml(feature.properties?.name ?? '')}</name>
+      <description>${feature.properties?.isSynthetic ? 'Proposed stop' : 'Existing stop'}</description>
+      <Point><coordinates>${formatCoordinates([feature.geometry.coordinates])}</coordinates></Point>
+    </Placemark>`
+        )
+        .join('')
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeHtml(title)}</name>
+    <Style id="route"><LineStyle><color>${kmlColor}</color><width>4</width></LineStyle></Style>
+    <Placemark>
+      <name>${escapeHtml(title)}</name>
+      <styleUrl>#route</styleUrl>
+      <MultiGeometry>${lineStrings}</MultiGeometry>
+    </Placemark>
+    <Folder>
+      <name>Stops</name>${stopPlacemarks}
+    </Folder>
+  </Document>
+</kml>
+`
+}
+
+function buildGtfsStopsTxt(stopCollection, routeId) {
+    // A stop served in both directions is listed once
+    const stopsById = new Map()
+
+    stopCollection.features.forEach((feature, index) => {
+        const stopId = getExportStopId(feature, routeId, index)
+        if (!stopsById.has(stopId)) stopsById.set(stopId, feature)
+    })
+
+    return buildCsv(
+        ['stop_id', 'stop_name', 'stop_desc', 'stop_lat', 'stop_lon', 'wheelchair_boarding'],
+        Array.from(stopsById, ([stopId, feature]) => {
+            const properties = feature.properties ?? {}
+            const [longitude, latitude] = feature.geometry.coordinates
+            return [
+                stopId,
+                properties.name ?? '',
+                properties.description ?? '',
+                latitude.toFixed(6),
+                longitude.toFixed(6),
+                Number.isFinite(Number(properties.wheelchair_boarding)) ? Number(properties.wheelchair_boarding) : ''
+            ]
+        })
+    )
+}
+
+function buildGtfsShapesTxt(geometry, routeId) {
+    const rows = []
+    const lines = getGeometryLines(geometry).filter((line) => line.length >= 2)
+
+    lines.forEach((line, lineIndex) => {
+        const shapeId = lines.length > 1 ? `${routeId}-scenario-${lineIndex + 1}` : `${routeId}-scenario`
+        let distanceMeters = 0
+
+        line.forEach((coordinate, index) => {
+            if (index > 0) distanceMeters += haversineDistanceMeters(line[index - 1], coordinate)
+            rows.push([
+                shapeId,
+                coordinate[1].toFixed(6),
+                coordinate[0].toFixed(6),
+                index + 1,
+                distanceMeters.toFixed(1)
+            ])
+        })
+    })
+
+    return buildCsv(['shape_id', 'shape_pt_lat', 'shape_pt_lon', 'shape_pt_sequence', 'shape_dist_traveled'], rows)
+}
+
+function downloadTextFile(fileName, contents, mimeType) {
+    const url = URL.createObjectURL(new Blob([contents], { type: mimeType }))
+    const link = document.createElement('a')
+    link.href = url
+    link.download = fileName
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+const CRC32_TABLE = Uint32Array.from({ length: 256 }, (_, index) => {
+    let value = index
+
+    for (let bit = 0; bit < 8; bit += 1) {
+        value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1
+    }
+
+    return value >>> 0
+})
+
+function calculateCrc32(bytes) {
+    let crc = 0xffffffff
+
+    for (const byte of bytes) {
+        crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8)
+    }
+
+    return (crc ^ 0xffffffff) >>> 0
+}
+
+// Entries are stored uncompressed, which every zip reader accepts and is plenty for a few XML parts.
+// All timestamps are 1980-01-01, the earliest DOS date.
+function buildZipArchive(files, mimeType) {
+    const encoder = new TextEncoder()
+    const localParts = []
+    const centralParts = []
+    let offset = 0
+
+    for (const file of files) {
+        const name = encoder.encode(file.name)
+        const data = encoder.encode(file.contents)
+        const crc = calculateCrc32(data)
+        const local = new DataView(new ArrayBuffer(30))
+        const central = new DataView(new ArrayBuffer(46))
+
+        local.setUint32(0, 0x04034b50, true)
+        local.setUint16(4, 20, true)
+        local.setUint16(6, 0x0800, true)
+        local.setUint16(12, 0x21, true)
+        local.setUint32(14, crc, true)
+        local.setUint32(18, data.length, true)
+        local.setUint32(22, data.length, true)
+        local.setUint16(26, name.length, true)
+
+        central.setUint32(0, 0x02014b50, true)
+        central.setUint16(4, 20, true)
+        central.setUint16(6, 20, true)
+        central.setUint16(8, 0x0800, true)
+        central.setUint16(14, 0x21, true)
+        central.setUint32(16, crc, true)
+        central.setUint32(20, data.length, true)
+        central.setUint32(24, data.length, true)
+        central.setUint16(28, name.length, true)
+        central.setUint32(42, offset, true)
+
+        localParts.push(local, name, data)
+        centralParts.push(central, name)
+        offset += 30 + name.length + data.length
+    }
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.byteLength, 0)
+    const end = new DataView(new ArrayBuffer(22))
+
+    end.setUint32(0, 0x06054b50, true)
+    end.setUint16(8, files.length, true)
+    end.setUint16(10, files.length, true)
+    end.setUint32(12, centralSize, true)
+    end.setUint32(16, offset, true)
+
+    return new Blob([...localParts, ...centralParts, end], { type: mimeType })
+}
+
+function getSpreadsheetColumnName(index) {
+    let name = ''
+
+    for (let remaining = index + 1; remaining > 0; remaining = Math.floor((remaining - 1) / 26)) {
+        name = String.fromCharCode(65 + ((remaining - 1) % 26)) + name
+    }
+
+    return name
+}
+
+// A single-sheet workbook with inline strings, so it needs no shared string table or styles part
+function buildXlsxWorkbook(sheetName, header, rows) {
+    const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    const mainNamespace = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main'
+    const relationshipNamespace = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships'
+    const packageNamespace = 'http://schemas.openxmlformats.org/package/2006/relationships'
+    const contentTypePrefix = 'application/vnd.openxmlformats-officedocument.spreadsheetml'
+    const buildRelationships = (type, target) =>
+        `${xmlHeader}<Relationships xmlns="${packageNamespace}">` +
+        `<Relationship Id="rId1" Type="${relationshipNamespace}/${type}" Target="${target}"/></Relationships>`
+
+    const sheetRows = [header, ...rows]
+        .map((row, rowIndex) => {
+            const cells = row
+                .map((value, columnIndex) => {
+                    const reference = `${getSpreadsheetColumnName(columnIndex)}${rowIndex + 1}`
+
+                    if (typeof value === 'number') {
+                        return Number.isFinite(value) ? `<c r="${reference}"><v>${value}</v></c>` : ''
+                    }
+
+                    if (value === null || value === undefined || value === '') return ''
+
+                    return `<c r="${reference}" t="inlineStr"><is><t>${escapeHtml(String(value))}</t></is></c>`
+                })
+                .join('')
+
+            return `<row r="${rowIndex + 1}">${cells}</row>`
+        })
+        .join('')
+
+    return buildZipArchive(
+        [
+            {
+                name: '[Content_Types].xml',
+                contents:
+                    `${xmlHeader}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+                    '<Default Extension="rels" ' +
+                    'ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                    '<Default Extension="xml" ContentType="application/xml"/>' +
+                    `<Override PartName="/xl/workbook.xml" ContentType="${contentTypePrefix}.sheet.main+xml"/>` +
+                    '<Override PartName="/xl/worksheets/sheet1.xml" ' +
+                    `ContentType="${contentTypePrefix}.worksheet+xml"/></Types>`
+            },
+            {
+                name: '_rels/.rels',
+                contents: buildRelationships('officeDocument', 'xl/workbook.xml')
+            },
+            {
+                name: 'xl/workbook.xml',
+                contents:
+                    `${xmlHeader}<workbook xmlns="${mainNamespace}" xmlns:r="${relationshipNamespace}"><sheets>` +
+                    `<sheet name="${escapeHtml(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`
+            },
+            {
+                name: 'xl/_rels/workbook.xml.rels',
+                contents: buildRelationships('worksheet', 'worksheets/sheet1.xml')
+            },
+            {
+                name: 'xl/worksheets/sheet1.xml',
+                contents:
+                    `${xmlHeader}<worksheet xmlns="${mainNamespace}">` +
+                    `<sheetData>${sheetRows}</sheetData></worksheet>`
+            }
+        ],
+        `${contentTypePrefix}.sheet`
+    )
+}
+
+function updateGeometryLine(geometry, lineIndex, updateLine) {
+    if (geometry.type === 'LineString') {
+        return { ...geometry, coordinates: updateLine(geometry.coordinates) }
+    }
+
+    return {
+        ...geometry,
+        coordinates: geometry.coordinates.map((line, index) => (index === lineIndex ? updateLine(line) : line))
+    }
+}
+
+function appendCoordinateToGeometry(geometry, coordinate) {
+    const lastLineIndex = geometry.type === 'MultiLineString' ? Math.max(0, geometry.coordinates.length - 1) : 0
+    return updateGeometryLine(geometry, lastLineIndex, (line) => [...line, coordinate])
+}
+
+function moveGeometryVertex(geometry, lineIndex, vertexIndex, coordinate) {
+    return updateGeometryLine(geometry, lineIndex, (line) =>
+        line.map((current, index) => (index === vertexIndex ? coordinate : current))
+    )
+}
+
+function insertGeometryVertex(geometry, lineIndex, vertexIndex, coordinate) {
+    return updateGeometryLine(geometry, lineIndex, (line) => [
+        ...line.slice(0, vertexIndex),
+        coordinate,
+        ...line.slice(vertexIndex)
+    ])
+}
+
+function removeGeometryVertex(geometry, lineIndex, vertexIndex) {
+    if ((getGeometryLines(geometry)[lineIndex]?.length ?? 0) <= 2) {
+        return null
+    }
+
+    return updateGeometryLine(geometry, lineIndex, (line) => line.filter((_, index) => index !== vertexIndex))
+}
+
+// Nearest point on the geometry using an equirectangular projection, which is accurate enough at city scale
+function findNearestPointOnGeometry(geometry, target) {
+    const longitudeScale = Math.cos((target[1] * Math.PI) / 180)
+    let nearest = null
+
+    getGeometryLines(geometry).forEach((line, lineIndex) => {
+        for (let index = 1; index < line.length; index += 1) {
+            const start = line[index - 1]
+            const end = line[index]
+            const dx = (end[0] - start[0]) * longitudeScale
+            const dy = end[1] - start[1]
+            const px = (target[0] - start[0]) * longitudeScale
+            const py = target[1] - start[1]
+            const lengthSquared = dx * dx + dy * dy
+            const t = lengthSquared > 0 ? Math.min(1, Math.max(0, (px * dx + py * dy) / lengthSquared)) : 0
+            const distanceSquared = (px - t * dx) ** 2 + (py - t * dy) ** 2
+
+            if (!nearest || distanceSquared < nearest.distanceSquared) {
+                nearest = {
+                    lineIndex,
+                    segmentIndex: index - 1,
+                    t,
+                    coordinate: interpolateCoordinate(start, end, t),
+                    distanceSquared
+                }
+            }
+        }
+    })
+
+    return nearest
+}
+
+function rerouteGeometry(geometry, start, end, waypoints) {
+    if (start.lineIndex !== end.lineIndex) {
+        return null
+    }
+
+    const isForward = start.segmentIndex + start.t <= end.segmentIndex + end.t
+    const [from, to] = isForward ? [start, end] : [end, start]
+    const path = isForward ? waypoints : [...waypoints].reverse()
+
+    return updateGeometryLine(geometry, from.lineIndex, (line) => [
+        ...line.slice(0, from.segmentIndex + 1),
+        from.coordinate,
+        ...path,
+        to.coordinate,
+        ...line.slice(to.segmentIndex + 1)
+    ])
+}
+
+function findNearestStopIndex(features, coordinate) {
+    let nearestIndex = -1
+    let nearestDistance = Infinity
+
+    features.forEach((feature, index) => {
+        const distance = haversineDistanceMeters(feature.geometry.coordinates, coordinate)
+
+        if (distance < nearestDistance) {
+            nearestDistance = distance
+            nearestIndex = index
+        }
+    })
+
+    return nearestIndex
+}
+
+function buildRouteEditHandles(geometry, draftCoordinates) {
+    const features = []
+
+    getGeometryLines(geometry).forEach((line, lineIndex) => {
+        line.forEach((coordinate, index) => {
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: coordinate },
+                properties: { kind: 'vertex', line: lineIndex, index }
+            })
+
+            if (index > 0) {
+                features.push({
+                    type: 'Feature',
+                    geometry: { type: 'Point', coordinates: interpolateCoordinate(line[index - 1], coordinate, 0.5) },
+                    properties: { kind: 'midpoint', line: lineIndex, index }
+                })
+            }
+        })
+    })
+
+    if (draftCoordinates?.length >= 2) {
+        features.push({
+            type: 'Feature',
+            geometry: { type: 'LineString', coordinates: draftCoordinates },
+            properties: { kind: 'draft' }
+        })
+    }
+
+    return { type: 'FeatureCollection', features }
+}
+
+// Defaults
+const DEFAULT_STOP_SCENARIO = {
+    baseCount: 0,
+    adjustedCount: 0,
+    factor: 1,
+    baseFrequencyMinutes: null,
+    adjustedFrequencyMinutes: null,
+    busesInService: null,
+    directions: []
+}
+
+const DEFAULT_MODEL_PARAMETERS = {
+    averageBusSpeedMph: AVERAGE_BUS_SPEED_MPH,
+    dwellTimePerStopSeconds: DWELL_TIME_PER_STOP_SECONDS,
+    averageRouteSpanPerBusMiles: AVERAGE_ROUTE_SPAN_PER_BUS_MILES,
+    accelerationMps2: BUS_ACCELERATION_MPS2,
+    decelerationMps2: BUS_DECELERATION_MPS2,
+    busesInService: null
+}
+
+const DEFAULT_SERVICE_PLAN = {
+    targetHeadwayMinutes: 15,
+    spanHours: 18,
+    layoverPercent: 10,
+    minimumLayoverMinutes: 5,
+    costPerHour: 180
+}
+
+// Async Functions
+async function fetchMbtaRoutes() {
+    const payload = await fetchApiJson(DATA_SOURCE === 'gtfs' ? '/api/gtfs/routes' : '/api/network/bus-routes')
+
+    if (!payload || !Array.isArray(payload.features)) {
+        throw new Error('unexpected response format from the bus route network API')
+    }
+
+    const features = payload.features
+        .filter((feature) => feature && feature.geometry)
+        .map((feature) => {
+            const properties = feature.properties ?? {}
+
+            return {
+                ...feature,
+                properties: {
+                    ...properties,
+                    mbta_route_id: String(feature.id),
+                    color: properties.color || getRouteColor(properties.route_id)
+                }
+            }
+        })
+
+    if (!features.length) {
+        throw new Error('no usable bus routes returned from the MBTA API')
+    }
+
+    return { type: 'FeatureCollection', features }
+}
+
+async function fetchStopsForDirection(routeId, directionId) {
+    if (DATA_SOURCE === 'gtfs') {
+        const collection = await fetchApiJson('/api/gtfs/stops', { route: routeId, direction: directionId })
+
+        if (!collection || !Array.isArray(collection.features)) {
+            throw new Error('unexpected response format from GTFS stops API')
+        }
+
+        return collection.features
+    }
+
+    const payload = await fetchApiJson('/api/mbta/stops', { route: routeId, direction: directionId })
+
+    if (!payload || !Array.isArray(payload.data)) {
+        throw new Error('unexpected response format from MBTA stops API')
+    }
+
+    return payload.data.map((item, index) => normalizeStopFeature(item, index)).filter(Boolean)
+}
+
+async function fetchMbtaStopsForRoute(routeId) {
+    const normalizedRouteId = extractRouteId(routeId)
+
+    if (!normalizedRouteId) {
+        throw new Error('A valid route ID is required to load bus stops.')
+    }
+
+    const featuresByDirection = await Promise.all(
+        DIRECTION_IDS.map((directionId) => fetchStopsForDirection(normalizedRouteId, directionId))
+    )
+
+    const stops = DIRECTION_IDS.flatMap((directionId, index) =>
+        featuresByDirection[index].map((feature) => ({
+            ...feature,
+            properties: { ...feature.properties, direction_id: directionId }
+        }))
+    )
+
+    return { type: 'FeatureCollection', features: stops }
+}
+
+async function fetchStopRouteIds(stopIds) {
+    const payload = await fetchApiJson('/api/mbta/stop-routes', { stop: stopIds.join(',') })
+
+    if (!payload?.routeIds || typeof payload.routeIds !== 'object') {
+        throw new Error('unexpected response format from MBTA stop routes API')
+    }
+
+    return payload.routeIds
+}
+
+// GTFS stops list their routes already; MBTA stops get them from the API. Proposed stops serve no other route.
+async function addStopRouteIds(features) {
+    const stopIds = features
+        .filter((feature) => !feature.properties?.isSynthetic && !Array.isArray(feature.properties?.route_ids))
+        .map(getRidershipStopKey)
+
+    if (!stopIds.length) return features
+
+    const routeIds = await fetchStopRouteIds(Array.from(new Set(stopIds)))
+
+    return features.map((feature) => {
+        const stopRouteIds = routeIds[getRidershipStopKey(feature)]
+        return stopRouteIds ? { ...feature, properties: { ...feature.properties, route_ids: stopRouteIds } } : feature
+    })
+}
+
+async function fetchScheduledHeadways(routeId) {
+    const normalizedRouteId = extractRouteId(routeId)
+
+    if (!normalizedRouteId) {
+        throw new Error('A valid route ID is required to load scheduled headways.')
+    }
+
+    const payload = await fetchApiJson('/api/gtfs/headways', { route: normalizedRouteId })
+
+    if (!payload || !Array.isArray(payload.directions)) {
+        throw new Error('unexpected response format from GTFS headways API')
+    }
+
+    return payload
+}
+
+async function fetchSegmentRunTimes(routeId) {
     const normalizedRouteId = extractRouteId(routeId)
 
-    if (!normalizedRouteId) {
-        throw new Error('A valid route ID is required to load bus stops.')
-    }
+    if (!normalizedRouteId) {
+        throw new Error('A valid route ID is required to load segment run times.')
+    }
+
+    const payload = await fetchApiJson('/api/gtfs/segment-times', { route: normalizedRouteId })
+
+    if (!payload || !Array.isArray(payload.segments)) {
+        throw new Error('unexpected response format from GTFS segment times API')
+    }
+
+    return payload
+}
+
+async function fetchStopArrivals(stopId) {
+    const normalizedStopId = stopId === null || stopId === undefined ? '' : String(stopId).trim()
+
+    if (!normalizedStopId) {
+        throw new Error('A valid stop ID is required to load arrivals.')
+    }
+
+    const payload = await fetchApiJson('/api/mbta/arrivals', { stop: normalizedStopId })
+
+    if (!payload || !Array.isArray(payload.routes)) {
+        throw new Error('unexpected response format from arrivals API')
+    }
+
+    return payload
+}
+
+async function fetchScenarios() {
+    const payload = await fetchApiJson('/api/scenarios')
+
+    if (!payload || !Array.isArray(payload.scenarios)) {
+        throw new Error('unexpected response format from scenarios API')
+    }
+
+    return payload.scenarios
+}
+
+async function fetchScenario(scenarioId) {
+    return fetchApiJson(`/api/scenarios/${encodeURIComponent(scenarioId)}`)
+}
+
+async function createScenario(scenario) {
+    return sendApiJson('POST', '/api/scenarios', scenario)
+}
+
+async function updateScenario(scenarioId, changes) {
+    return sendApiJson('PATCH', `/api/scenarios/${encodeURIComponent(scenarioId)}`, changes)
+}
+
+async function deleteScenario(scenarioId) {
+    return sendApiJson('DELETE', `/api/scenarios/${encodeURIComponent(scenarioId)}`)
+}
+
+async function searchGtfsStops(query) {
+    const collection = await fetchApiJson('/api/gtfs/stops/search', { q: query })
+
+    if (!collection || !Array.isArray(collection.features)) {
+        throw new Error('unexpected response format from GTFS stop search API')
+    }
+
+    return collection.features
+}
+
+async function fetchTripPlan(request) {
+    const payload = await sendApiJson('POST', '/api/gtfs/trip-plan', request)
+
+    if (!payload || !Array.isArray(payload.baseline?.itineraries)) {
+        throw new Error('unexpected response format from GTFS trip plan API')
+    }
+
+    return payload
+}
+
+async function fetchIsochrones(request) {
+    const payload = await sendApiJson('POST', '/api/gtfs/isochrones', request)
+
+    if (!payload || !Array.isArray(payload.baseline?.isochrones?.features)) {
+        throw new Error('unexpected response format from GTFS isochrones API')
+    }
+
+    return payload
+}
+
+// Component
+export default function App() {
+    // Refs
+    const mapContainer = useRef(null)
+    const mapRef = useRef(null)
+    const popupRef = useRef(null)
+    const stopPopupRef = useRef(null)
+    const hoveredRouteRef = useRef(null)
+    const mapReadyRef = useRef(false)
+    const selectedRouteIdRef = useRef(null)
+    const selectedRouteFeatureRef = useRef(null)
+    const selectedRouteLengthRef = useRef(0)
+    const stopCacheRef = useRef(new Map())
+    const headwayCacheRef = useRef(new Map())
+    const vehiclesRef = useRef(new Map())
+    const vehicleFlushTimerRef = useRef(null)
+    const baseStopCollectionRef = useRef(EMPTY_GEOJSON)
+    const stopScenarioRef = useRef({ ...DEFAULT_STOP_SCENARIO })
+    const routesDataRef = useRef(EMPTY_GEOJSON)
+    const stopDisplayCollectionRef = useRef(EMPTY_GEOJSON)
+    const isEditingRouteRef = useRef(false)
+    const routeEditToolRef = useRef('vertices')
+    const routeEditHistoryRef = useRef({ past: [], future: [] })
+    const routeEditDragRef = useRef(null)
+    const rerouteDraftRef = useRef(null)
+    const stopDragRef = useRef(null)
+    const addedStopCountRef = useRef(0)
+    const pendingScenarioRef = useRef(null)
+    const initialUrlStateRef = useRef(readUrlState(window.location.search))
+    const historyModeRef = useRef('replace')
+    const modelParametersRef = useRef(DEFAULT_MODEL_PARAMETERS)
+    const ridershipByStopIdRef = useRef(null)
+    const mapPickTargetRef = useRef(null)
+    const networkLoadRef = useRef(null)
+
+    // States
+    const [routesData, setRoutesData] = useState(EMPTY_GEOJSON)
+    const [selectedRouteId, setSelectedRouteId] = useState(null)
+    const [legendQuery, setLegendQuery] = useState('')
+    const [hiddenRouteGroups, setHiddenRouteGroups] = useState([])
+    const [comparedRouteIds, setComparedRouteIds] = useState([])
+    const [routeMetricDetails, setRouteMetricDetails] = useState({})
+    const [isDashboardOpen, setIsDashboardOpen] = useState(false)
+    const [dashboardFilter, setDashboardFilter] = useState({ query: '', group: '' })
+    const [dashboardSort, setDashboardSort] = useState({ key: 'code', direction: 1 })
+    const [isLoadingNetworkStops, setIsLoadingNetworkStops] = useState(false)
+    const [networkLoadError, setNetworkLoadError] = useState(null)
+    const [mapIsReady, setMapIsReady] = useState(false)
+    const [isFetchingData, setIsFetchingData] = useState(false)
+    const [isFetchingStops, setIsFetchingStops] = useState(false)
+    const [dataError, setDataError] = useState(null)
+    const [stopDataError, setStopDataError] = useState(null)
+    //const [visibleStopCount, setVisibleStopCount] = useState(0)
+    const [baseStopCollection, setBaseStopCollection] = useState(EMPTY_GEOJSON)
+    const [stopDisplayCollection, setStopDisplayCollection] = useState(EMPTY_GEOJSON)
+    const [stopScenarioState, setStopScenarioState] = useState({ ...DEFAULT_STOP_SCENARIO })
+    const [scheduledHeadways, setScheduledHeadways] = useState(null)
+    const [isFetchingHeadways, setIsFetchingHeadways] = useState(false)
+    const [headwayError, setHeadwayError] = useState(null)
+    const [selectedStop, setSelectedStop] = useState(null)
+    const [stopArrivals, setStopArrivals] = useState(null)
+    const [isFetchingArrivals, setIsFetchingArrivals] = useState(false)
+    const [arrivalsError, setArrivalsError] = useState(null)
+    const [showVehicles, setShowVehicles] = useState(initialUrlStateRef.current.showVehicles)
+    const [vehicleStreamStatus, setVehicleStreamStatus] = useState('idle')
+    const [vehicleCount, setVehicleCount] = useState(0)
+    const [savedScenarios, setSavedScenarios] = useState([])
+    const [activeScenario, setActiveScenario] = useState(null)
+    const [scenarioDraft, setScenarioDraft] = useState({ name: '', description: '' })
+    const [renamingScenario, setRenamingScenario] = useState(null)
+    const [isSavingScenario, setIsSavingScenario] = useState(false)
+    const [scenarioError, setScenarioError] = useState(null)
+    const [mapView, setMapView] = useState(initialUrlStateRef.current.view ?? DEFAULT_MAP_VIEW)
+    const [pendingUrlSelection, setPendingUrlSelection] = useState(null)
+    const [isUrlStateRestored, setIsUrlStateRestored] = useState(false)
+    const [isEditingRoute, setIsEditingRoute] = useState(false)
+    const [routeEditTool, setRouteEditTool] = useState('vertices')
+    const [routeEditHistory, setRouteEditHistory] = useState({ undo: 0, redo: 0 })
+    const [routeEditNote, setRouteEditNote] = useState(null)
+    const [stopSpacing, setStopSpacing] = useState({ value: '800', unit: 'ft' })
+    const [consolidationReport, setConsolidationReport] = useState(null)
+    const [consolidationError, setConsolidationError] = useState(null)
+    const [isConsolidatingStops, setIsConsolidatingStops] = useState(false)
+    const [modelSettings, setModelSettings] = useState(readStoredModelSettings)
+    const [modelParameterScope, setModelParameterScope] = useState('global')
+    const [modelParameterSets, setModelParameterSets] = useState(readStoredModelParameterSets)
+    const [parameterSetName, setParameterSetName] = useState(() => modelParameterSets.activeName)
+    const [servicePlanInputs, setServicePlanInputs] = useState(readStoredServicePlanInputs)
+    const [speedProfile, setSpeedProfile] = useState(null)
+    const [ridership, setRidership] = useState(null)
+    const [ridershipPeriodId, setRidershipPeriodId] = useState(ALL_DAY_PERIOD.id)
+    const [ridershipError, setRidershipError] = useState(null)
+    const [coverageAreas, setCoverageAreas] = useState(null)
+    const [coverageKeys, setCoverageKeys] = useState({ population: '', jobs: '' })
+    const [walkRadius, setWalkRadius] = useState({ value: '0.25', unit: 'mi' })
+    const [coverageResult, setCoverageResult] = useState(null)
+    const [coverageError, setCoverageError] = useState(null)
+    const [mapPickTarget, setMapPickTarget] = useState(null)
+    const [isochroneOrigin, setIsochroneOrigin] = useState(null)
+    const [isochroneRequest, setIsochroneRequest] = useState({ date: '', time: '08:00', compareScenario: true })
+    const [isochroneResult, setIsochroneResult] = useState(null)
+    const [isochroneVariantId, setIsochroneVariantId] = useState('baseline')
+    const [isComputingIsochrones, setIsComputingIsochrones] = useState(false)
+    const [isochroneError, setIsochroneError] = useState(null)
+    const [tripEndpoints, setTripEndpoints] = useState({ from: null, to: null })
+    const [tripStopSearch, setTripStopSearch] = useState({ query: '', matches: null })
+    const [tripPlanRequest, setTripPlanRequest] = useState({ date: '', time: '08:00', compareScenario: true })
+    const [tripPlan, setTripPlan] = useState(null)
+    const [tripPlanVariantId, setTripPlanVariantId] = useState('baseline')
+    const [selectedItineraryIndex, setSelectedItineraryIndex] = useState(0)
+    const [isPlanningTrip, setIsPlanningTrip] = useState(false)
+    const [tripPlanError, setTripPlanError] = useState(null)
+    const [runtimePeriodId, setRuntimePeriodId] = useState(ALL_DAY_PERIOD.id)
+    const [isLoadingSpeedProfile, setIsLoadingSpeedProfile] = useState(false)
+    const [speedProfileNote, setSpeedProfileNote] = useState(null)
+    const [speedProfileError, setSpeedProfileError] = useState(null)
+
+    // Callbacks
+    const updateStopScenario = useCallback((scenario) => {
+        const merged = { ...DEFAULT_STOP_SCENARIO, ...scenario }
+        stopScenarioRef.current = merged
+        setStopScenarioState(merged)
+    }, [])
+
+    const clearRouteSelection = useCallback(() => {
+        selectedRouteIdRef.current = null
+        selectedRouteFeatureRef.current = null
+        selectedRouteLengthRef.current = 0
+        baseStopCollectionRef.current = EMPTY_GEOJSON
+        setBaseStopCollection(EMPTY_GEOJSON)
+        popupRef.current?.remove()
+        setSelectedRouteId(null)
+        setStopDisplayCollection(EMPTY_GEOJSON)
+        setIsFetchingStops(false)
+        setStopDataError(null)
+        updateStopScenario(DEFAULT_STOP_SCENARIO)
+    }, [updateStopScenario])
+
+    const handlePopupClose = useCallback(() => {
+        clearRouteSelection()
+    }, [clearRouteSelection])
+
+    const applyStopCollection = useCallback(
+        (collection) => {
+            baseStopCollectionRef.current = collection
+            setBaseStopCollection(collection)
+
+            const routeLength = selectedRouteLengthRef.current
+            const baseFeatures = Array.isArray(collection?.features) ? collection.features : []
+            const pendingScenario = pendingScenarioRef.current
+
+            if (pendingScenario && pendingScenario.routeId === String(selectedRouteIdRef.current)) {
+                pendingScenarioRef.current = null
+
+                setStopDisplayCollection(pendingScenario.stops)
+                updateStopScenario(
+                    buildStopScenario(
+                        routeLength,
+                        baseFeatures,
+                        pendingScenario.stops.features,
+                        undefined,
+                        modelParametersRef.current
+                    )
+                )
+                return
+            }
+
+            setStopDisplayCollection(collection)
+            updateStopScenario(
+                buildStopScenario(routeLength, baseFeatures, baseFeatures, 1, modelParametersRef.current)
+            )
+        },
+        [updateStopScenario]
+    )
+
+    const selectRouteFeature = useCallback(
+        (feature, lngLat) => {
+            const featureId = feature?.id
+
+            if (featureId === undefined || featureId === null) return
+
+            selectedRouteIdRef.current = featureId
+            selectedRouteFeatureRef.current = feature
+
+            const geometryLength = calculateRepresentativeRouteLengthInMeters(feature.geometry)
+            selectedRouteLengthRef.current = Number.isFinite(geometryLength) ? geometryLength : 0
+
+            setSelectedRouteId(featureId)
+
+            const cachedCollection = stopCacheRef.current.get(featureId)
+
+            if (cachedCollection) {
+                applyStopCollection(cachedCollection)
+            } else {
+                baseStopCollectionRef.current = EMPTY_GEOJSON
+                setBaseStopCollection(EMPTY_GEOJSON)
+                setStopDisplayCollection(EMPTY_GEOJSON)
+                updateStopScenario(DEFAULT_STOP_SCENARIO)
+            }
+
+            const anchor = lngLat ?? getGeometryAnchor(feature.geometry)
+
+            if (anchor && mapRef.current) {
+                popupRef.current
+                    ?.setLngLat(anchor)
+                    .setHTML('<p class="popup-note">Loading route details…</p>')
+                    .addTo(mapRef.current)
+            }
+        },
+        [applyStopCollection, updateStopScenario]
+    )
+
+    const getSelectedRouteGeometry = useCallback(() => {
+        const routeId = selectedRouteIdRef.current
+        const routeFeature = routesDataRef.current.features.find((feature) => feature.id === routeId)
+        return routeFeature?.geometry ?? null
+    }, [])
+
+    const refreshRouteEditHandles = useCallback(() => {
+        const source = mapRef.current?.getSource(ROUTE_EDIT_LAYER.sourceId)
+        if (!source) return
+
+        const geometry = getSelectedRouteGeometry()
+
+        if (!isEditingRouteRef.current || !geometry) {
+            source.setData(EMPTY_GEOJSON)
+            return
+        }
+
+        const draft = rerouteDraftRef.current
+        const draftCoordinates = draft
+            ? [draft.start.coordinate, ...draft.waypoints, ...(draft.cursor ? [draft.cursor] : [])]
+            : null
+
+        source.setData(buildRouteEditHandles(geometry, draftCoordinates))
+    }, [getSelectedRouteGeometry])
+
+    // Redraws an in-progress edit straight on the map without going through React state
+    const previewRouteGeometry = useCallback(
+        (geometry) => {
+            const routeId = selectedRouteIdRef.current
+
+            routesDataRef.current = {
+                ...routesDataRef.current,
+                features: routesDataRef.current.features.map((feature) =>
+                    feature.id === routeId
+                        ? { ...feature, properties: { ...feature.properties, is_edited: true }, geometry }
+                        : feature
+                )
+            }
+
+            mapRef.current?.getSource('bus-routes')?.setData(routesDataRef.current)
+            refreshRouteEditHandles()
+        },
+        [refreshRouteEditHandles]
+    )
+
+    const applyRouteGeometry = useCallback(
+        (geometry) => {
+            previewRouteGeometry(geometry)
+            setRoutesData(routesDataRef.current)
+
+            const routeId = selectedRouteIdRef.current
+            selectedRouteFeatureRef.current =
+                routesDataRef.current.features.find((feature) => feature.id === routeId) ?? null
+
+            const routeLength = calculateRepresentativeRouteLengthInMeters(geometry)
+            selectedRouteLengthRef.current = Number.isFinite(routeLength) ? routeLength : 0
+
+            updateStopScenario(
+                buildStopScenario(
+                    routeLength,
+                    baseStopCollectionRef.current.features,
+                    stopDisplayCollectionRef.current.features,
+                    stopScenarioRef.current.factor,
+                    modelParametersRef.current
+                )
+            )
+        },
+        [previewRouteGeometry, updateStopScenario]
+    )
+
+    const syncRouteEditHistory = useCallback(() => {
+        const { past, future } = routeEditHistoryRef.current
+        setRouteEditHistory({ undo: past.length, redo: future.length })
+    }, [])
+
+    const commitRouteGeometry = useCallback(
+        (geometry, previousGeometry) => {
+            const history = routeEditHistoryRef.current
+            history.past = [...history.past, previousGeometry].slice(-ROUTE_EDIT_LAYER.historyLimit)
+            history.future = []
+
+            setRouteEditNote(null)
+            applyRouteGeometry(geometry)
+            syncRouteEditHistory()
+        },
+        [applyRouteGeometry, syncRouteEditHistory]
+    )
+
+    const handleUndoRouteEdit = useCallback(() => {
+        const history = routeEditHistoryRef.current
+        const geometry = getSelectedRouteGeometry()
+        if (!history.past.length || !geometry) return
+
+        history.future = [geometry, ...history.future]
+        applyRouteGeometry(history.past[history.past.length - 1])
+        history.past = history.past.slice(0, -1)
+        syncRouteEditHistory()
+    }, [applyRouteGeometry, getSelectedRouteGeometry, syncRouteEditHistory])
+
+    const handleRedoRouteEdit = useCallback(() => {
+        const history = routeEditHistoryRef.current
+        const geometry = getSelectedRouteGeometry()
+        if (!history.future.length || !geometry) return
+
+        history.past = [...history.past, geometry]
+        applyRouteGeometry(history.future[0])
+        history.future = history.future.slice(1)
+        syncRouteEditHistory()
+    }, [applyRouteGeometry, getSelectedRouteGeometry, syncRouteEditHistory])
+
+    const cancelReroute = useCallback(() => {
+        rerouteDraftRef.current = null
+        refreshRouteEditHandles()
+    }, [refreshRouteEditHandles])
+
+    const snapToSelectedRoute = useCallback(
+        (coordinate) => {
+            const geometry = getSelectedRouteGeometry()
+            return (geometry && findNearestPointOnGeometry(geometry, coordinate)?.coordinate) ?? coordinate
+        },
+        [getSelectedRouteGeometry]
+    )
+
+    const applyStopEdit = useCallback(
+        (features) => {
+            const collection = { type: 'FeatureCollection', features }
+
+            stopDisplayCollectionRef.current = collection
+            setStopDisplayCollection(collection)
+            updateStopScenario(
+                buildStopScenario(
+                    selectedRouteLengthRef.current,
+                    baseStopCollectionRef.current.features,
+                    features,
+                    undefined,
+                    modelParametersRef.current
+                )
+            )
+        },
+        [updateStopScenario]
+    )
+
+    const handleConsolidateStops = useCallback(
+        async (event) => {
+            event.preventDefault()
+
+            const geometry = getSelectedRouteGeometry()
+            const minSpacingMeters = Number(stopSpacing.value) * STOP_SPACING_UNITS[stopSpacing.unit]
+            const routeId = selectedRouteIdRef.current
+            const currentFeatures = stopDisplayCollectionRef.current.features
+
+            if (!geometry || !(minSpacingMeters > 0)) return
+
+            setIsConsolidatingStops(true)
+            setConsolidationError(null)
+
+            try {
+                // Stops served by other routes are transfer points, so every stop's routes are needed first
+                const features = await addStopRouteIds(currentFeatures)
+                const isStale =
+                    selectedRouteIdRef.current !== routeId ||
+                    stopDisplayCollectionRef.current.features !== currentFeatures
+                if (isStale) return
+
+                const result = consolidateStopsBySpacing(
+                    features,
+                    geometry,
+                    minSpacingMeters,
+                    ridershipByStopIdRef.current ?? new Map()
+                )
+
+                applyStopEdit(result.features)
+                setConsolidationReport({ minSpacingMeters, removed: result.removed })
+            } catch (error) {
+                setConsolidationError(getErrorMessage(error, 'Failed to look up the routes serving each stop.'))
+            } finally {
+                setIsConsolidatingStops(false)
+            }
+        },
+        [applyStopEdit, getSelectedRouteGeometry, stopSpacing]
+    )
+
+    const handleRouteEditClick = useCallback(
+        (event, { isOnStop = false } = {}) => {
+            const geometry = getSelectedRouteGeometry()
+            if (!geometry) return
+
+            if (routeEditToolRef.current === 'stops') {
+                if (isOnStop) return
+
+                addedStopCountRef.current += 1
+                const stopNumber = addedStopCountRef.current
+                const coordinate = snapToSelectedRoute(event.lngLat.toArray())
+                const currentFeatures = stopDisplayCollectionRef.current.features
+                const nearestStop = currentFeatures[findNearestStopIndex(currentFeatures, coordinate)]
+                const stop = createGeneratedStopFeature(coordinate, stopNumber, `Added Stop ${stopNumber}`)
+
+                applyStopEdit([
+                    ...currentFeatures,
+                    {
+                        ...stop,
+                        id: `added-stop-${stopNumber}`,
+                        properties: {
+                            ...stop.properties,
+                            description: 'Stop added by hand.',
+                            direction_id: nearestStop?.properties?.direction_id ?? null,
+                            isEdited: true
+                        }
+                    }
+                ])
+                return
+            }
+
+            if (routeEditToolRef.current !== 'reroute') return
+
+            const coordinate = event.lngLat.toArray()
+            const nearest = findNearestPointOnGeometry(geometry, coordinate)
+            const isOnRoute =
+                nearest &&
+                mapRef.current.project(nearest.coordinate).dist(event.point) <= ROUTE_EDIT_LAYER.snapDistancePixels
+            const draft = rerouteDraftRef.current
+
+            if (!draft) {
+                if (isOnRoute) {
+                    rerouteDraftRef.current = { start: nearest, waypoints: [], cursor: null }
+                    setRouteEditNote(null)
+                    refreshRouteEditHandles()
+                } else {
+                    setRouteEditNote('Start a reroute by clicking on the selected route.')
+                }
+                return
+            }
+
+            if (!isOnRoute) {
+                draft.waypoints.push(coordinate)
+                refreshRouteEditHandles()
+                return
+            }
+
+            const rerouted = rerouteGeometry(geometry, draft.start, nearest, draft.waypoints)
+            rerouteDraftRef.current = null
+
+            if (!rerouted) {
+                setRouteEditNote('A reroute has to leave and rejoin the same part of the route.')
+                refreshRouteEditHandles()
+                return
+            }
+
+            commitRouteGeometry(rerouted, geometry)
+        },
+        [applyStopEdit, commitRouteGeometry, getSelectedRouteGeometry, refreshRouteEditHandles, snapToSelectedRoute]
+    )
+
+    const adjustStopsByPercentage = useCallback(
+        (change) => {
+            const routeFeature = selectedRouteFeatureRef.current
+            const geometry = routeFeature?.geometry
+
+            if (!geometry) return
+
+            const baseCollection = baseStopCollectionRef.current
+            const baseFeatures = Array.isArray(baseCollection?.features)
+                ? baseCollection.features.filter((feature) => feature?.geometry?.type === 'Point')
+                : []
+            const baseCount = baseFeatures.length
+
+            const currentScenario = stopScenarioRef.current
+            const currentAdjustedCount = currentScenario.adjustedCount || baseCount || 1
+
+            const maxCount = MAX_ADJUSTED_STOPS
+            let targetCount
+            let nextFactor
+
+            if (baseCount > 0) {
+                const currentFactor = currentScenario.factor || currentAdjustedCount / baseCount || 1
+                const proposedFactor = currentFactor * (1 + change)
+                const minFactor = 1 / baseCount
+                const maxFactor = maxCount / baseCount
+                const boundedFactor = Math.min(Math.max(proposedFactor, minFactor), maxFactor)
+                targetCount = Math.max(1, Math.round(baseCount * boundedFactor))
+
+                if (targetCount === currentAdjustedCount) {
+                    if (change > 0 && targetCount < maxCount) {
+                        targetCount += 1
+                    } else if (change < 0 && targetCount > 1) {
+                        targetCount -= 1
+                    }
+                }
+
+                nextFactor = targetCount / baseCount
+            } else {
+                const proposedCount = Math.round(currentAdjustedCount * (1 + change))
+                targetCount = Math.max(1, Math.min(maxCount, proposedCount || 1))
+
+                if (targetCount === currentAdjustedCount) {
+                    if (change > 0 && targetCount < maxCount) {
+                        targetCount += 1
+                    } else if (change < 0 && targetCount > 1) {
+                        targetCount -= 1
+                    }
+                }
+
+                nextFactor = currentScenario.factor || 1
+            }
+
+            targetCount = Math.max(1, Math.min(maxCount, targetCount))
+
+            if (!Number.isFinite(targetCount) || targetCount <= 0) {
+                return
+            }
+
+            const routeLength =
+                selectedRouteLengthRef.current || calculateRepresentativeRouteLengthInMeters(geometry)
+
+            if (Number.isFinite(routeLength)) {
+                selectedRouteLengthRef.current = routeLength
+            }
+
+            const adjustedCollection = buildAdjustedStopCollection(baseCollection, geometry, targetCount)
+            setStopDisplayCollection(adjustedCollection)
+
+            updateStopScenario(
+                buildStopScenario(
+                    routeLength,
+                    baseFeatures,
+                    adjustedCollection.features,
+                    nextFactor,
+                    modelParametersRef.current
+                )
+            )
+        },
+        [updateStopScenario]
+    )
+
+    const handleIncreaseStops = useCallback(
+        (event) => {
+            if (event && typeof event.preventDefault === 'function') {
+                event.preventDefault()
+            }
+            adjustStopsByPercentage(0.25)
+        },
+        [adjustStopsByPercentage]
+    )
+
+    const handleDecreaseStops = useCallback(
+        (event) => {
+            if (event && typeof event.preventDefault === 'function') {
+                event.preventDefault()
+            }
+            adjustStopsByPercentage(-0.25)
+        },
+        [adjustStopsByPercentage]
+    )
+
+    const handleExportRoute = useCallback((format) => {
+        const routeId = selectedRouteIdRef.current
+        const routeFeature =
+            routesDataRef.current.features.find((feature) => feature.id === routeId) ?? selectedRouteFeatureRef.current
+
+        if (!routeFeature?.geometry) return
+
+        const stops = stopDisplayCollectionRef.current
+        const exportRouteId = String(routeFeature.properties?.route_id ?? routeId)
+        const title = routeFeature.properties?.name || `Route ${exportRouteId}`
+        const fileBase = `route-${exportRouteId.replace(/[^\w-]+/g, '_')}`
+
+        if (format === 'geojson') {
+            const collection = buildRouteExportGeoJson(routeFeature, stops)
+            downloadTextFile(`${fileBase}.geojson`, JSON.stringify(collection, null, 2), 'application/geo+json')
+        } else if (format === 'csv') {
+            downloadTextFile(`${fileBase}-stops.csv`, buildStopsCsv(stops, exportRouteId), 'text/csv')
+        } else if (format === 'kml') {
+            const kml = buildRouteKml(routeFeature, stops, title)
+            downloadTextFile(`${fileBase}.kml`, kml, 'application/vnd.google-earth.kml+xml')
+        } else if (format === 'gtfs-stops') {
+            downloadTextFile('stops.txt', buildGtfsStopsTxt(stops, exportRouteId), 'text/csv')
+        } else if (format === 'gtfs-shapes') {
+            downloadTextFile('shapes.txt', buildGtfsShapesTxt(routeFeature.geometry, exportRouteId), 'text/csv')
+        }
+    }, [])
+
+    // Memos
+    const legendItems = useMemo(
+        () =>
+            routesData.features
+                .slice()
+                .sort((a, b) => {
+                    const aCode = a.properties?.route_id || ''
+                    const bCode = b.properties?.route_id || ''
+                    return aCode.localeCompare(bCode, undefined, { numeric: true, sensitivity: 'base' })
+                })
+                .map((feature) => ({
+                id: feature.id,
+                code: feature.properties.route_id,
+                name: feature.properties.name,
+                color: feature.properties.color,
+                group: feature.properties.route_group || ROUTE_GROUP_FALLBACK,
+                municipalities: Array.isArray(feature.properties.municipalities)
+                    ? feature.properties.municipalities
+                    : [],
+                isSelected: feature.id === selectedRouteId,
+            })),
+        [routesData, selectedRouteId]
+    )
+
+    const routeGroups = useMemo(() => {
+        const counts = new Map()
+        legendItems.forEach((item) => counts.set(item.group, (counts.get(item.group) ?? 0) + 1))
+
+        return Array.from(counts, ([name, count]) => ({ name, count })).sort(
+            (a, b) =>
+                (a.name === ROUTE_GROUP_FALLBACK) - (b.name === ROUTE_GROUP_FALLBACK) || a.name.localeCompare(b.name)
+        )
+    }, [legendItems])
+
+    // Routes from the MBTA API carry no towns (only the GTFS feed lists them), so town search is offered only then
+    const routeSearchPlaceholder = useMemo(
+        () =>
+            legendItems.some((item) => item.municipalities.length)
+                ? 'Route number, name or town'
+                : 'Route number or name',
+        [legendItems]
+    )
+
+    // Rows in hidden groups drop out of the legend too, except the selected and compared routes
+    const visibleLegendItems = useMemo(() => {
+        const query = legendQuery.trim().toLowerCase()
+
+        return legendItems
+            .map((item) => ({ ...item, isCompared: comparedRouteIds.includes(item.id) }))
+            .filter((item) => item.isSelected || item.isCompared || !hiddenRouteGroups.includes(item.group))
+            .map((item) => ({ ...item, match: matchLegendItem(item, query) }))
+            .filter((item) => item.match.matches)
+    }, [comparedRouteIds, hiddenRouteGroups, legendItems, legendQuery])
+
+    // Stops and headways share the caches used when a route is selected; a failed headway request (no GTFS feed)
+    // only leaves the scheduled headway empty
+    const loadRouteMetricDetails = useCallback(async (routeId) => {
+        try {
+            let stops = stopCacheRef.current.get(routeId)
+
+            if (!stops) {
+                const routeFeature = routesDataRef.current.features.find((feature) => feature.id === routeId)
+                stops = orderStopCollectionAlongGeometry(await fetchMbtaStopsForRoute(routeId), routeFeature?.geometry)
+                stopCacheRef.current.set(routeId, stops)
+            }
+
+            let headways = headwayCacheRef.current.get(routeId) ?? null
+
+            if (!headways) {
+                headways = await fetchScheduledHeadways(routeId).catch(() => null)
+                if (headways) headwayCacheRef.current.set(routeId, headways)
+            }
+
+            return { stops, headways }
+        } catch (error) {
+            return { error: getErrorMessage(error, `Failed to load bus stops for route ${routeId}.`) }
+        }
+    }, [])
+
+    const handleToggleComparedRoute = useCallback((routeId) => {
+        setComparedRouteIds((current) => toggleComparedRouteId(current, routeId))
+    }, [])
+
+    // The selected route is measured with its current, possibly edited, stops
+    const routeComparison = useMemo(
+        () =>
+            comparedRouteIds.map((routeId) => {
+                const routeFeature = routesData.features.find((feature) => feature.id === routeId)
+                const item = legendItems.find((candidate) => candidate.id === routeId)
+                const details = routeMetricDetails[routeId] ?? { isLoading: true }
+                const usesShownStops = routeId === selectedRouteId && stopDisplayCollection.features.length > 0
+                const stopFeatures = usesShownStops ? stopDisplayCollection.features : details.stops?.features
+
+                return {
+                    id: routeId,
+                    code: item?.code ?? String(routeId),
+                    color: item?.color ?? getRouteColor(String(routeId)),
+                    isLoading: !usesShownStops && Boolean(details.isLoading),
+                    error: details.error ?? null,
+                    usesShownStops,
+                    metrics:
+                        routeFeature && stopFeatures
+                            ? summarizeRouteMetrics(
+                                  routeFeature,
+                                  stopFeatures,
+                                  resolveModelParameters(modelSettings, routeId),
+                                  details.headways
+                              )
+                            : null
+                }
+            }),
+        [
+            comparedRouteIds,
+            legendItems,
+            modelSettings,
+            routeMetricDetails,
+            routesData,
+            selectedRouteId,
+            stopDisplayCollection
+        ]
+    )
+
+    // The dashboard reports the routes as loaded, so it never picks up the selected route's stop edits
+    const networkMetricRows = useMemo(() => {
+        if (!isDashboardOpen) return []
+
+        const featuresById = new Map(routesData.features.map((feature) => [feature.id, feature]))
+
+        return legendItems.map((item) => {
+            const routeFeature = featuresById.get(item.id)
+            const details = routeMetricDetails[item.id]
+
+            return {
+                item,
+                hasStops: Boolean(details?.stops),
+                metrics: details?.stops
+                    ? summarizeRouteMetrics(
+                          routeFeature,
+                          details.stops.features,
+                          resolveModelParameters(modelSettings, item.id),
+                          details.headways
+                      )
+                    : { lengthMeters: calculateRepresentativeRouteLengthInMeters(routeFeature?.geometry) }
+            }
+        })
+    }, [isDashboardOpen, legendItems, modelSettings, routeMetricDetails, routesData])
+
+    const dashboardRows = useMemo(() => {
+        const query = dashboardFilter.query.trim().toLowerCase()
+
+        return sortNetworkMetricRows(
+            networkMetricRows.filter(
+                (row) =>
+                    (!dashboardFilter.group || row.item.group === dashboardFilter.group) &&
+                    matchLegendItem(row.item, query).matches
+            ),
+            dashboardSort
+        )
+    }, [dashboardFilter, dashboardSort, networkMetricRows])
+
+    const networkStopsLoadedCount = networkMetricRows.filter((row) => row.hasStops).length
+
+    const handleSortDashboard = useCallback((key) => {
+        setDashboardSort((current) => ({ key, direction: current.key === key ? -current.direction : 1 }))
+    }, [])
+
+    // A few routes are fetched at a time so the MBTA API is not flooded; stopping lets the requests in flight finish
+    const handleLoadNetworkStops = useCallback(async () => {
+        const token = {}
+        const queue = routesDataRef.current.features
+            .map((feature) => feature.id)
+            .filter((routeId) => !routeMetricDetails[routeId]?.stops)
+        let failedCount = 0
+
+        networkLoadRef.current = token
+        setIsLoadingNetworkStops(true)
+        setNetworkLoadError(null)
+
+        const loadNext = async () => {
+            while (queue.length && networkLoadRef.current === token) {
+                const routeId = queue.shift()
+                const details = await loadRouteMetricDetails(routeId)
+
+                if (details.error) {
+                    failedCount += 1
+                } else {
+                    setRouteMetricDetails((current) => ({ ...current, [routeId]: details }))
+                }
+            }
+        }
+
+        await Promise.all(Array.from({ length: NETWORK_STOP_FETCH_CONCURRENCY }, loadNext))
+
+        if (networkLoadRef.current !== token) return
+
+        networkLoadRef.current = null
+        setIsLoadingNetworkStops(false)
+        // Without an MBTA API key the backend is limited to 20 requests a minute, two of which each route needs
+        setNetworkLoadError(
+            failedCount
+                ? `Stops failed to load for ${failedCount} route${failedCount === 1 ? '' : 's'}. ` +
+                      'Loading every route needs an MBTA API key on the backend.'
+                : null
+        )
+    }, [loadRouteMetricDetails, routeMetricDetails])
+
+    const handleStopNetworkLoad = useCallback(() => {
+        networkLoadRef.current = null
+        setIsLoadingNetworkStops(false)
+    }, [])
+
+    const handleExportNetworkMetrics = useCallback(
+        (format) => {
+            const header = [
+                'route_id',
+                'route_short_name',
+                'route_name',
+                'route_group',
+                ...ROUTE_METRIC_FIELDS.map((field) => field.exportHeader)
+            ]
+            const rows = dashboardRows.map(({ item, metrics }) => [
+                item.id,
+                item.code,
+                item.name,
+                item.group,
+                ...ROUTE_METRIC_FIELDS.map((field) => {
+                    const value = metrics[field.key]
+                    return value === null || value === undefined ? null : field.exportValue(value)
+                })
+            ])
+
+            if (format === 'xlsx') {
+                const mimeType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+                downloadTextFile('route-metrics.xlsx', buildXlsxWorkbook('Route metrics', header, rows), mimeType)
+            } else {
+                downloadTextFile('route-metrics.csv', buildCsv(header, rows), 'text/csv')
+            }
+        },
+        [dashboardRows]
+    )
+
+    const selectedLegendItem = useMemo(
+        () => legendItems.find((item) => item.id === selectedRouteId) ?? null,
+        [legendItems, selectedRouteId]
+    )
+
+    const selectedRouteLabel = useMemo(() => {
+        if (!selectedRouteId) return ''
+
+        if (selectedLegendItem) {
+            const trimmedName = selectedLegendItem.name?.trim()
+            if (selectedLegendItem.code && trimmedName) {
+                return `${selectedLegendItem.code} ${trimmedName}`
+            }
+
+            if (selectedLegendItem.code) {
+                return selectedLegendItem.code
+            }
+
+            if (trimmedName) {
+                return trimmedName
+            }
+        }
+
+        return selectedRouteId
+    }, [selectedLegendItem, selectedRouteId])
+
+    const stopCount = stopScenarioState.adjustedCount ?? 0
+
+    const selectedRouteLengthMiles = useMemo(() => {
+        const routeFeature = findRouteFeature(routesData.features, selectedRouteId)
+        return calculateRepresentativeRouteLengthInMeters(routeFeature?.geometry) / METERS_PER_MILE
+    }, [routesData, selectedRouteId])
+
+    const isRouteParameterScope = modelParameterScope === 'route' && Boolean(selectedRouteId)
+
+    const modelParameters = useMemo(
+        () => resolveModelParameters(modelSettings, selectedRouteId),
+        [modelSettings, selectedRouteId]
+    )
+
+    // What an empty field falls back to in the scope being edited
+    const inheritedModelParameters = useMemo(
+        () => (isRouteParameterScope ? resolveModelParameters(modelSettings, null) : DEFAULT_MODEL_PARAMETERS),
+        [isRouteParameterScope, modelSettings]
+    )
+
+    const editedModelParameters = isRouteParameterScope
+        ? (modelSettings.routes[selectedRouteId] ?? {})
+        : modelSettings.global
+
+    // Route-only fields are hidden while editing the values shared by all routes
+    const visibleModelParameterFields = MODEL_PARAMETER_FIELDS.filter(
+        (field) => isRouteParameterScope || !field.routeOnly
+    )
+
+    const isParameterSetModified = useMemo(() => {
+        const activeSet = modelParameterSets.sets[modelParameterSets.activeName]
+        return Boolean(activeSet) && JSON.stringify(activeSet) !== JSON.stringify(modelSettings)
+    }, [modelParameterSets, modelSettings])
+
+    const handleModelParameterChange = useCallback(
+        (key, value) => {
+            setModelSettings((current) => {
+                const layer = isRouteParameterScope ? (current.routes[selectedRouteId] ?? {}) : current.global
+                const nextLayer = { ...layer, [key]: value }
+                if (value === '') delete nextLayer[key]
+
+                if (!isRouteParameterScope) {
+                    return { ...current, global: nextLayer }
+                }
+
+                const routes = { ...current.routes, [selectedRouteId]: nextLayer }
+                if (!Object.keys(nextLayer).length) delete routes[selectedRouteId]
+
+                return { ...current, routes }
+            })
+        },
+        [isRouteParameterScope, selectedRouteId]
+    )
+
+    const servicePlanValues = useMemo(() => readServicePlan(servicePlanInputs), [servicePlanInputs])
+
+    const servicePlan = useMemo(() => {
+        if (!selectedRouteId || !stopDisplayCollection.features.length) return null
+
+        return planServiceForHeadway(
+            selectedRouteLengthMiles * METERS_PER_MILE,
+            countStopsByDirection(stopDisplayCollection.features),
+            modelParameters,
+            servicePlanValues
+        )
+    }, [modelParameters, selectedRouteId, selectedRouteLengthMiles, servicePlanValues, stopDisplayCollection])
+
+    const handleApplyPlannedFleet = useCallback(() => {
+        if (!selectedRouteId || !servicePlan) return
+
+        setModelSettings((current) => ({
+            ...current,
+            routes: {
+                ...current.routes,
+                [selectedRouteId]: {
+                    ...(current.routes[selectedRouteId] ?? {}),
+                    busesInService: String(servicePlan.busesRequired)
+                }
+            }
+        }))
+    }, [selectedRouteId, servicePlan])
+
+    const runtimeBreakdown = useMemo(() => {
+        const routeFeature = findRouteFeature(routesData.features, selectedRouteId)
+        if (!routeFeature?.geometry || !stopDisplayCollection.features.length) return null
+
+        return buildRuntimeBreakdown(
+            stopDisplayCollection.features,
+            routeFeature.geometry,
+            speedProfile,
+            runtimePeriodId,
+            modelParameters
+        )
+    }, [modelParameters, routesData, runtimePeriodId, selectedRouteId, speedProfile, stopDisplayCollection])
+
+    // Same cycle as the frequency estimate: a direction without stops mirrors the other one
+    const runtimeBreakdownFrequencyMinutes = useMemo(() => {
+        const directionSeconds = (runtimeBreakdown ?? []).map((direction) => direction.totalSeconds)
+        if (!directionSeconds.length || !stopScenarioState.busesInService) return null
+
+        const cycleSeconds =
+            directionSeconds.length === 1
+                ? directionSeconds[0] * DIRECTION_IDS.length
+                : directionSeconds.reduce((sum, seconds) => sum + seconds, 0)
+
+        return cycleSeconds / SECONDS_PER_MINUTE / stopScenarioState.busesInService
+    }, [runtimeBreakdown, stopScenarioState.busesInService])
+
+    const handleLoadGtfsSpeedProfile = useCallback(async () => {
+        const routeId = selectedRouteIdRef.current
+        if (!routeId) return
+
+        setIsLoadingSpeedProfile(true)
+        setSpeedProfileError(null)
+        setSpeedProfileNote(null)
+
+        try {
+            const profile = buildSpeedProfileFromSegmentTimes(await fetchSegmentRunTimes(routeId))
+            if (selectedRouteIdRef.current !== routeId) return
+
+            setSpeedProfile(profile)
+        } catch (error) {
+            setSpeedProfileError(getErrorMessage(error, 'Failed to load scheduled segment times.'))
+        } finally {
+            setIsLoadingSpeedProfile(false)
+        }
+    }, [])
+
+    const handleImportSpeedProfile = useCallback(async (event) => {
+        const [file] = event.target.files ?? []
+        event.target.value = ''
+        if (!file) return
+
+        setSpeedProfileError(null)
+        setSpeedProfileNote(null)
+
+        try {
+            const { profile, skipped } = buildSpeedProfileFromCsv(
+                await file.text(),
+                baseStopCollectionRef.current.features,
+                file.name
+            )
+
+            if (!profile.segments.length) {
+                setSpeedProfileError(`No rows in ${file.name} matched this route's stops.`)
+                return
+            }
+
+            setSpeedProfile(profile)
+            if (skipped) setSpeedProfileNote(`Skipped ${skipped.toLocaleString()} rows that did not match this route.`)
+        } catch (error) {
+            setSpeedProfileError(getErrorMessage(error, 'Failed to read the speed profile.'))
+        }
+    }, [])
+
+    const ridershipByStopId = useMemo(
+        () => (ridership && selectedRouteId ? summarizeRidership(ridership, selectedRouteId, ridershipPeriodId) : null),
+        [ridership, ridershipPeriodId, selectedRouteId]
+    )
+
+    // The stop source promotes stop_id, so every rendered stop carries its string id (generated and added stops too)
+    const stopMapCollection = useMemo(
+        () => ({
+            type: 'FeatureCollection',
+            features: stopDisplayCollection.features.map((feature) => {
+                const stopId = getRidershipStopKey(feature)
+                const riders = ridershipByStopId?.get(stopId)
+
+                return {
+                    ...feature,
+                    properties: {
+                        ...feature.properties,
+                        stop_id: stopId,
+                        ...(ridershipByStopId
+                            ? { boardings: riders?.boardings ?? null, alightings: riders?.alightings ?? null }
+                            : {})
+                    }
+                }
+            })
+        }),
+        [ridershipByStopId, stopDisplayCollection]
+    )
+
+    // Stops of the loaded route that the current scenario no longer serves, and the least used stops it keeps
+    const ridershipImpact = useMemo(() => {
+        if (!ridershipByStopId) return null
+
+        const uniqueStops = (features) =>
+            Array.from(new Map(features.map((feature) => [getRidershipStopKey(feature), feature])).entries())
+        const keptStopIds = new Set(stopDisplayCollection.features.map(getRidershipStopKey))
+        const baseStops = uniqueStops(baseStopCollection.features)
+        const sumRiders = (stops) =>
+            stops.reduce(
+                (total, [stopId]) => {
+                    const riders = ridershipByStopId.get(stopId)
+                    total.boardings += riders?.boardings ?? 0
+                    total.alightings += riders?.alightings ?? 0
+                    return total
+                },
+                { boardings: 0, alightings: 0 }
+            )
+        const describeStop = ([stopId, feature]) => {
+            const riders = ridershipByStopId.get(stopId)
+
+            return {
+                id: stopId,
+                name: feature.properties?.name ?? stopId,
+                boardings: riders?.boardings ?? null,
+                alightings: riders?.alightings ?? null,
+                usage: riders ? riders.boardings + riders.alightings : null
+            }
+        }
+        const removedStops = baseStops.filter(([stopId]) => !keptStopIds.has(stopId))
+
+        return {
+            route: sumRiders(baseStops),
+            removed: sumRiders(removedStops),
+            removedStops: removedStops.map(describeStop).sort((a, b) => (b.usage ?? 0) - (a.usage ?? 0)),
+            matchedStopCount: baseStops.filter(([stopId]) => ridershipByStopId.has(stopId)).length,
+            stopCount: baseStops.length,
+            leastUsed: uniqueStops(stopDisplayCollection.features)
+                .map(describeStop)
+                .filter((stop) => stop.usage !== null)
+                .sort((a, b) => a.usage - b.usage)
+                .slice(0, 10)
+        }
+    }, [baseStopCollection, ridershipByStopId, stopDisplayCollection])
+
+    const handleImportRidership = useCallback(async (event) => {
+        const [file] = event.target.files ?? []
+        event.target.value = ''
+        if (!file) return
 
-    const stops = []
-    const url = new URL('https://api-v3.mbta.com/stops')
-    const pageLimit = 200
-    let pageOffset = 0
+        setRidershipError(null)
 
-    while (true) {
-        url.searchParams.set('page[limit]', String(pageLimit))
-        url.searchParams.set('page[offset]', String(pageOffset))
-        url.searchParams.set('filter[route]', normalizedRouteId)
-        url.searchParams.set('sort', 'name')
-
-        const response = await fetch(url.toString(), {
-            cache: 'no-cache',
-            headers: MBTA_REQUEST_HEADERS
-        })
+        try {
+            const table = buildRidershipTable(await file.text(), file.name)
+
+            if (!table.records.length) {
+                setRidershipError(`No usable rows were found in ${file.name}.`)
+                return
+            }
 
-        if (!response.ok) {
-            const message = await response.text()
-            throw new Error(`request failed with status ${response.status}: ${message}`)
+            setRidership(table)
+            setRidershipPeriodId(ALL_DAY_PERIOD.id)
+        } catch (error) {
+            setRidershipError(getErrorMessage(error, 'Failed to read the ridership file.'))
         }
+    }, [])
 
-        const payload = await response.json()
+    const handleLoadCoverageAreas = useCallback(async (event) => {
+        const [file] = event.target.files ?? []
+        event.target.value = ''
+        if (!file) return
 
-        if (!payload || !Array.isArray(payload.data)) {
-            throw new Error('unexpected response format from MBTA stops API')
-        }
+        setCoverageError(null)
 
-        const pageFeatures = payload.data
-            .map((item, index) => normalizeStopFeature(item, pageOffset + index))
-            .filter(Boolean)
+        try {
+            const collection = JSON.parse(await file.text())
+            const features = Array.isArray(collection?.features)
+                ? collection.features.filter(
+                      (feature) => feature?.geometry?.type === 'Point' || getPolygonRings(feature?.geometry).length
+                  )
+                : []
 
-        stops.push(...pageFeatures)
+            if (!features.length) {
+                setCoverageError(`${file.name} has no polygon or point features.`)
+                return
+            }
 
-        const hasNextPage = Boolean(payload.links?.next)
+            const numericKeys = findNumericPropertyKeys(features)
 
-        if (!hasNextPage || payload.data.length < pageLimit) {
-            break
+            setCoverageAreas({ fileName: file.name, features, numericKeys })
+            setCoverageKeys({
+                population: guessPropertyKey(numericKeys, POPULATION_PROPERTY_CANDIDATES),
+                jobs: guessPropertyKey(numericKeys, JOBS_PROPERTY_CANDIDATES)
+            })
+            setCoverageResult(null)
+        } catch (error) {
+            setCoverageError(getErrorMessage(error, 'Failed to read the GeoJSON file.'))
         }
+    }, [])
+
+    const handleAnalyzeCoverage = useCallback(
+        (event) => {
+            event.preventDefault()
+
+            const radiusMeters = Number(walkRadius.value) * STOP_SPACING_UNITS[walkRadius.unit]
+            if (!coverageAreas || !(radiusMeters > 0)) return
+
+            const result = analyzeWalkCoverage({
+                areas: coverageAreas.features,
+                baselineStops: baseStopCollection.features,
+                scenarioStops: stopDisplayCollection.features,
+                radiusMeters,
+                populationKey: coverageKeys.population,
+                jobsKey: coverageKeys.jobs
+            })
+
+            setCoverageResult(result ? { ...result, radiusMeters, stops: stopDisplayCollection } : null)
+        },
+        [baseStopCollection, coverageAreas, coverageKeys, stopDisplayCollection, walkRadius]
+    )
+
+    // The selected route serving its current stops, compared with the schedule by the routing panels
+    const routingScenario = useMemo(() => {
+        if (!selectedRouteId) return null
 
-        pageOffset += pageLimit
+        const averageSpeed = convertMphToMetersPerSecond(modelParameters.averageBusSpeedMph)
 
-        if (pageOffset > 100000) {
-            throw new Error('pagination limit exceeded while loading MBTA stops')
+        return {
+            routeId: String(selectedRouteId),
+            stops: stopDisplayCollection,
+            stopPenaltySeconds:
+                modelParameters.dwellTimePerStopSeconds + calculateStopPenaltySeconds(averageSpeed, modelParameters)
         }
-    }
+    }, [modelParameters, selectedRouteId, stopDisplayCollection])
 
-    return { type: 'FeatureCollection', features: stops }
-}
+    const handleComputeIsochrones = useCallback(
+        async (event) => {
+            event.preventDefault()
+            if (!isochroneOrigin) return
 
-// Component
-export default function App() {
-    // Refs
-    const mapContainer = useRef(null)
-    const mapRef = useRef(null)
-    const popupRef = useRef(null)
-    const hoveredRouteRef = useRef(null)
-    const mapReadyRef = useRef(false)
-    const selectedRouteIdRef = useRef(null)
-    const selectedRouteFeatureRef = useRef(null)
-    const selectedRouteLengthRef = useRef(0)
-    const stopCacheRef = useRef(new Map())
-    const baseStopCollectionRef = useRef(EMPTY_GEOJSON)
-    const stopScenarioRef = useRef({ ...DEFAULT_STOP_SCENARIO })
+            const scenario = isochroneRequest.compareScenario ? routingScenario : null
 
-    // States
-    const [routesData, setRoutesData] = useState(EMPTY_GEOJSON)
-    const [selectedRouteId, setSelectedRouteId] = useState(null)
-    const [mapIsReady, setMapIsReady] = useState(false)
-    const [isFetchingData, setIsFetchingData] = useState(false)
-    const [isFetchingStops, setIsFetchingStops] = useState(false)
-    const [dataError, setDataError] = useState(null)
-    const [stopDataError, setStopDataError] = useState(null)
-    //const [visibleStopCount, setVisibleStopCount] = useState(0)
-    const [stopDisplayCollection, setStopDisplayCollection] = useState(EMPTY_GEOJSON)
-    const [stopScenarioState, setStopScenarioState] = useState({ ...DEFAULT_STOP_SCENARIO })
+            setIsComputingIsochrones(true)
+            setIsochroneError(null)
 
-    // Callbacks
-    const updateStopScenario = useCallback((scenario) => {
-        const merged = { ...DEFAULT_STOP_SCENARIO, ...scenario }
-        stopScenarioRef.current = merged
-        setStopScenarioState(merged)
-    }, [])
+            try {
+                const result = await fetchIsochrones({
+                    origin: isochroneOrigin,
+                    date: isochroneRequest.date || undefined,
+                    time: isochroneRequest.time,
+                    cutoffs: ISOCHRONE_CUTOFF_MINUTES,
+                    scenario: scenario ?? undefined
+                })
 
-    const clearRouteSelection = useCallback(() => {
-        selectedRouteIdRef.current = null
-        selectedRouteFeatureRef.current = null
-        selectedRouteLengthRef.current = 0
-        baseStopCollectionRef.current = EMPTY_GEOJSON
-        popupRef.current?.remove()
-        setSelectedRouteId(null)
-        setStopDisplayCollection(EMPTY_GEOJSON)
-        setIsFetchingStops(false)
-        setStopDataError(null)
-        updateStopScenario(DEFAULT_STOP_SCENARIO)
-    }, [updateStopScenario])
+                setIsochroneResult({ ...result, stops: scenario?.stops ?? null })
+                setIsochroneVariantId('baseline')
+            } catch (error) {
+                setIsochroneError(getErrorMessage(error, 'Failed to compute isochrones.'))
+            } finally {
+                setIsComputingIsochrones(false)
+            }
+        },
+        [isochroneOrigin, isochroneRequest, routingScenario]
+    )
 
-    const handlePopupClose = useCallback(() => {
-        clearRouteSelection()
-    }, [clearRouteSelection])
+    const handleClearIsochrones = useCallback(() => {
+        setMapPickTarget((current) => (current === 'isochrone' ? null : current))
+        setIsochroneOrigin(null)
+        setIsochroneResult(null)
+        setIsochroneError(null)
+    }, [])
 
-    const adjustStopsByPercentage = useCallback(
-        (change) => {
-            const routeFeature = selectedRouteFeatureRef.current
-            const geometry = routeFeature?.geometry
+    const handleSearchTripStops = useCallback(
+        async (event) => {
+            event.preventDefault()
 
-            if (!geometry) return
+            const query = tripStopSearch.query.trim()
+            if (!query) return
 
-            const baseCollection = baseStopCollectionRef.current
-            const baseFeatures = Array.isArray(baseCollection?.features)
-                ? baseCollection.features.filter((feature) => feature?.geometry?.type === 'Point')
-                : []
-            const baseCount = baseFeatures.length
+            setTripPlanError(null)
 
-            const currentScenario = stopScenarioRef.current
-            const currentAdjustedCount = currentScenario.adjustedCount || baseCount || 1
+            try {
+                const matches = await searchGtfsStops(query)
+                setTripStopSearch((current) => ({ ...current, matches }))
+            } catch (error) {
+                setTripPlanError(getErrorMessage(error, 'Failed to search stops.'))
+            }
+        },
+        [tripStopSearch.query]
+    )
 
-            const maxCount = MAX_ADJUSTED_STOPS
-            let targetCount
-            let nextFactor
+    const handleSetTripEndpoint = useCallback((endpointId, endpoint) => {
+        setTripEndpoints((current) => ({ ...current, [endpointId]: endpoint }))
+        setTripPlan(null)
+    }, [])
 
-            if (baseCount > 0) {
-                const currentFactor = currentScenario.factor || currentAdjustedCount / baseCount || 1
-                const proposedFactor = currentFactor * (1 + change)
-                const minFactor = 1 / baseCount
-                const maxFactor = maxCount / baseCount
-                const boundedFactor = Math.min(Math.max(proposedFactor, minFactor), maxFactor)
-                targetCount = Math.max(1, Math.round(baseCount * boundedFactor))
+    const handlePlanTrip = useCallback(
+        async (event) => {
+            event.preventDefault()
+            if (!tripEndpoints.from || !tripEndpoints.to) return
 
-                if (targetCount === currentAdjustedCount) {
-                    if (change > 0 && targetCount < maxCount) {
-                        targetCount += 1
-                    } else if (change < 0 && targetCount > 1) {
-                        targetCount -= 1
-                    }
-                }
+            const scenario = tripPlanRequest.compareScenario ? routingScenario : null
 
-                nextFactor = targetCount / baseCount
-            } else {
-                const proposedCount = Math.round(currentAdjustedCount * (1 + change))
-                targetCount = Math.max(1, Math.min(maxCount, proposedCount || 1))
+            setIsPlanningTrip(true)
+            setTripPlanError(null)
 
-                if (targetCount === currentAdjustedCount) {
-                    if (change > 0 && targetCount < maxCount) {
-                        targetCount += 1
-                    } else if (change < 0 && targetCount > 1) {
-                        targetCount -= 1
-                    }
-                }
+            try {
+                const result = await fetchTripPlan({
+                    from: tripEndpoints.from.coordinate,
+                    to: tripEndpoints.to.coordinate,
+                    date: tripPlanRequest.date || undefined,
+                    time: tripPlanRequest.time,
+                    scenario: scenario ?? undefined
+                })
 
-                nextFactor = currentScenario.factor || 1
+                setTripPlan({ ...result, stops: scenario?.stops ?? null })
+                setTripPlanVariantId('baseline')
+                setSelectedItineraryIndex(0)
+            } catch (error) {
+                setTripPlanError(getErrorMessage(error, 'Failed to plan the trip.'))
+            } finally {
+                setIsPlanningTrip(false)
             }
+        },
+        [routingScenario, tripEndpoints, tripPlanRequest]
+    )
 
-            targetCount = Math.max(1, Math.min(maxCount, targetCount))
+    const handleClearTripPlan = useCallback(() => {
+        setMapPickTarget((current) => (current === 'from' || current === 'to' ? null : current))
+        setTripEndpoints({ from: null, to: null })
+        setTripStopSearch({ query: '', matches: null })
+        setTripPlan(null)
+        setTripPlanError(null)
+    }, [])
 
-            if (!Number.isFinite(targetCount) || targetCount <= 0) {
-                return
-            }
+    const selectedItinerary = tripPlan?.[tripPlanVariantId]?.itineraries[selectedItineraryIndex] ?? null
 
-            const routeLength =
-                selectedRouteLengthRef.current || calculateRepresentativeRouteLengthInMeters(geometry)
+    // Earliest arrival with the schedule and with the scenario stops, in minutes
+    const tripPlanComparison = useMemo(() => {
+        if (!tripPlan?.scenario) return null
 
-            if (Number.isFinite(routeLength)) {
-                selectedRouteLengthRef.current = routeLength
+        const earliestArrival = ({ itineraries }) =>
+            itineraries.length ? Math.min(...itineraries.map((itinerary) => itinerary.arrivalSeconds)) : null
+        const baseline = earliestArrival(tripPlan.baseline)
+        const scenario = earliestArrival(tripPlan.scenario)
+
+        return {
+            baseline,
+            scenario,
+            deltaMinutes:
+                baseline !== null && scenario !== null ? Math.round((scenario - baseline) / SECONDS_PER_MINUTE) : null
+        }
+    }, [tripPlan])
+
+    const handleResetModelParameters = useCallback(() => {
+        setModelSettings((current) => {
+            if (!isRouteParameterScope) {
+                return { ...current, global: {} }
             }
 
-            const adjustedCollection = buildAdjustedStopCollection(baseCollection, geometry, targetCount)
-            setStopDisplayCollection(adjustedCollection)
+            const routes = { ...current.routes }
+            delete routes[selectedRouteId]
 
-            const adjustedFrequency = calculateEstimatedFrequencyMinutes(routeLength, targetCount)
-            const baseFrequency =
-                currentScenario.baseFrequencyMinutes ??
-                calculateEstimatedFrequencyMinutes(routeLength, baseCount)
-
-            updateStopScenario({
-                baseCount,
-                adjustedCount: targetCount,
-                factor: nextFactor,
-                baseFrequencyMinutes: baseFrequency,
-                adjustedFrequencyMinutes: adjustedFrequency
-            })
+            return { ...current, routes }
+        })
+    }, [isRouteParameterScope, selectedRouteId])
+
+    // Saving under an existing name overwrites that set
+    const handleSaveModelParameterSet = useCallback(
+        (event) => {
+            event.preventDefault()
+
+            const name = parameterSetName.trim()
+            if (!name) return
+
+            setModelParameterSets((current) => ({ activeName: name, sets: { ...current.sets, [name]: modelSettings } }))
+            setParameterSetName(name)
         },
-        [updateStopScenario]
+        [modelSettings, parameterSetName]
     )
 
-    const handleIncreaseStops = useCallback(
-        (event) => {
-            if (event && typeof event.preventDefault === 'function') {
-                event.preventDefault()
+    const handleSelectModelParameterSet = useCallback(
+        (name) => {
+            const settings = modelParameterSets.sets[name]
+            if (settings) setModelSettings(settings)
+
+            setModelParameterSets((current) => ({ ...current, activeName: settings ? name : '' }))
+            setParameterSetName(settings ? name : '')
+        },
+        [modelParameterSets]
+    )
+
+    const handleDeleteModelParameterSet = useCallback(() => {
+        setModelParameterSets((current) => {
+            const sets = { ...current.sets }
+            delete sets[current.activeName]
+
+            return { activeName: '', sets }
+        })
+        setParameterSetName('')
+    }, [])
+
+    const refreshScenarios = useCallback(async () => {
+        try {
+            setSavedScenarios(await fetchScenarios())
+        } catch (error) {
+            setScenarioError(getErrorMessage(error, 'Failed to load saved scenarios.'))
+        }
+    }, [])
+
+    const buildScenarioPayload = useCallback(() => {
+        const routeId = selectedRouteIdRef.current
+        if (routeId === null || routeId === undefined) return null
+
+        const routeFeature = routesDataRef.current.features.find((feature) => feature.id === routeId)
+
+        return {
+            routeId: String(routeId),
+            stops: stopDisplayCollection,
+            geometry: routeFeature?.properties?.is_edited ? routeFeature.geometry : null,
+            parameters: { ...modelParametersRef.current }
+        }
+    }, [stopDisplayCollection])
+
+    const handleSaveScenario = useCallback(
+        async (event) => {
+            event.preventDefault()
+
+            const payload = buildScenarioPayload()
+            if (!payload || !scenarioDraft.name.trim()) return
+
+            setIsSavingScenario(true)
+            setScenarioError(null)
+
+            try {
+                const scenario = await createScenario({ ...payload, ...scenarioDraft })
+                setActiveScenario({ id: scenario.id, name: scenario.name, routeId: scenario.routeId })
+                setScenarioDraft({ name: '', description: '' })
+                await refreshScenarios()
+            } catch (error) {
+                setScenarioError(getErrorMessage(error, 'Failed to save the scenario.'))
+            } finally {
+                setIsSavingScenario(false)
             }
-            adjustStopsByPercentage(0.25)
         },
-        [adjustStopsByPercentage]
+        [buildScenarioPayload, refreshScenarios, scenarioDraft]
     )
 
-    const handleDecreaseStops = useCallback(
-        (event) => {
-            if (event && typeof event.preventDefault === 'function') {
-                event.preventDefault()
+    const handleUpdateActiveScenario = useCallback(async () => {
+        const payload = buildScenarioPayload()
+        if (!payload || !activeScenario) return
+
+        setIsSavingScenario(true)
+        setScenarioError(null)
+
+        try {
+            await updateScenario(activeScenario.id, payload)
+            await refreshScenarios()
+        } catch (error) {
+            setScenarioError(getErrorMessage(error, `Failed to update scenario "${activeScenario.name}".`))
+        } finally {
+            setIsSavingScenario(false)
+        }
+    }, [activeScenario, buildScenarioPayload, refreshScenarios])
+
+    const handleOpenScenario = useCallback(
+        async (scenarioId) => {
+            setScenarioError(null)
+
+            try {
+                const scenario = await fetchScenario(scenarioId)
+                const routeFeature = routesDataRef.current.features.find(
+                    (feature) => String(feature.id) === scenario.routeId
+                )
+
+                if (!routeFeature) {
+                    throw new Error(`route ${scenario.routeId} is not part of the current bus network`)
+                }
+
+                const feature = scenario.geometry
+                    ? {
+                          ...routeFeature,
+                          properties: { ...routeFeature.properties, is_edited: true },
+                          geometry: scenario.geometry
+                      }
+                    : routeFeature
+
+                if (scenario.geometry) {
+                    setRoutesData((current) => ({
+                        ...current,
+                        features: current.features.map((candidate) =>
+                            candidate.id === feature.id ? feature : candidate
+                        )
+                    }))
+                }
+
+                // The scenario is estimated with the parameters it was saved with, as overrides for its route
+                const overrides = buildModelParameterOverrides(scenario.parameters)
+
+                if (Object.keys(overrides).length) {
+                    setModelSettings((current) => ({
+                        ...current,
+                        routes: { ...current.routes, [feature.id]: overrides }
+                    }))
+                }
+
+                pendingScenarioRef.current = scenario
+                selectRouteFeature(feature)
+                setActiveScenario({ id: scenario.id, name: scenario.name, routeId: scenario.routeId })
+            } catch (error) {
+                pendingScenarioRef.current = null
+                setScenarioError(getErrorMessage(error, 'Failed to open the scenario.'))
             }
-            adjustStopsByPercentage(-0.25)
         },
-        [adjustStopsByPercentage]
+        [selectRouteFeature]
     )
 
-    // Memos
-    const legendItems = useMemo(
-        () =>
-            routesData.features
-                .slice()
-                .sort((a, b) => {
-                    const aCode = a.properties?.route_id || ''
-                    const bCode = b.properties?.route_id || ''
-                    return aCode.localeCompare(bCode, undefined, { numeric: true, sensitivity: 'base' })
-                })
-                .map((feature) => ({
-                id: feature.id,
-                code: feature.properties.route_id,
-                name: feature.properties.name,
-                color: feature.properties.color,
-                isSelected: feature.id === selectedRouteId,
-            })),
-        [routesData, selectedRouteId]
+    const handleRenameScenario = useCallback(
+        async (event) => {
+            event.preventDefault()
+
+            if (!renamingScenario?.name.trim()) return
+
+            setScenarioError(null)
+
+            try {
+                const scenario = await updateScenario(renamingScenario.id, { name: renamingScenario.name })
+                setActiveScenario((current) =>
+                    current?.id === scenario.id ? { ...current, name: scenario.name } : current
+                )
+                setRenamingScenario(null)
+                await refreshScenarios()
+            } catch (error) {
+                setScenarioError(getErrorMessage(error, 'Failed to rename the scenario.'))
+            }
+        },
+        [refreshScenarios, renamingScenario]
     )
 
-    const selectedLegendItem = useMemo(
-        () => legendItems.find((item) => item.id === selectedRouteId) ?? null,
-        [legendItems, selectedRouteId]
+    const handleDeleteScenario = useCallback(
+        async (scenario) => {
+            if (!window.confirm(`Delete scenario "${scenario.name}"?`)) return
+
+            setScenarioError(null)
+
+            try {
+                await deleteScenario(scenario.id)
+                setActiveScenario((current) => (current?.id === scenario.id ? null : current))
+                await refreshScenarios()
+            } catch (error) {
+                setScenarioError(getErrorMessage(error, 'Failed to delete the scenario.'))
+            }
+        },
+        [refreshScenarios]
     )
 
-    const selectedRouteLabel = useMemo(() => {
-        if (!selectedRouteId) return ''
+    // The next URL update made for a user selection becomes a new history entry rather than replacing the current one
+    const pushNextUrlState = useCallback(() => {
+        historyModeRef.current = 'push'
+    }, [])
+
+    const applyUrlState = useCallback(
+        (state) => {
+            if (state.view) {
+                mapRef.current?.jumpTo(state.view)
+            }
+
+            setShowVehicles(state.showVehicles)
+            setSelectedStop(null)
+
+            const selection = { routeId: state.routeId, factor: state.factor, stopId: state.stopId }
+
+            if (state.scenarioId) {
+                setPendingUrlSelection(null)
+                handleOpenScenario(state.scenarioId).then(() => setPendingUrlSelection(selection))
+                return
+            }
+
+            setActiveScenario(null)
 
-        if (selectedLegendItem) {
-            const trimmedName = selectedLegendItem.name?.trim()
-            if (selectedLegendItem.code && trimmedName) {
-                return `${selectedLegendItem.code} ${trimmedName}`
+            const routeFeature = state.routeId
+                ? routesDataRef.current.features.find((feature) => String(feature.id) === state.routeId)
+                : null
+
+            if (!routeFeature) {
+                setPendingUrlSelection(null)
+                clearRouteSelection()
+                return
             }
 
-            if (selectedLegendItem.code) {
-                return selectedLegendItem.code
+            if (selectedRouteIdRef.current !== routeFeature.id) {
+                selectRouteFeature(routeFeature)
             }
 
-            if (trimmedName) {
-                return trimmedName
+            setPendingUrlSelection(selection)
+        },
+        [clearRouteSelection, handleOpenScenario, selectRouteFeature]
+    )
+
+    // Legend rows select the route like a click on its line, then frame it beside the info panel
+    const handleSelectLegendItem = useCallback(
+        (item) => {
+            if (isEditingRouteRef.current) return
+
+            const feature = routesDataRef.current.features.find((candidate) => candidate.id === item.id)
+            if (!feature) return
+
+            if (selectedRouteIdRef.current !== feature.id) {
+                pushNextUrlState()
+                selectRouteFeature(feature)
             }
-        }
 
-        return selectedRouteId
-    }, [selectedLegendItem, selectedRouteId])
+            const bounds = getGeometryBounds(feature.geometry)
+            const map = mapRef.current
+            if (!bounds || !map) return
 
-    const stopCount = stopScenarioState.adjustedCount ?? 0
+            const { width, height } = map.getContainer().getBoundingClientRect()
+            const padding = Math.min(ROUTE_FIT_PADDING_PX, height / 4)
+
+            map.fitBounds(bounds, {
+                padding: {
+                    top: padding,
+                    right: padding,
+                    bottom: padding,
+                    left: Math.min(INFO_PANEL_WIDTH_PX + ROUTE_FIT_PADDING_PX, width / 2)
+                },
+                maxZoom: 15
+            })
+        },
+        [pushNextUrlState, selectRouteFeature]
+    )
+
+    const handleToggleRouteGroup = useCallback((groupName) => {
+        setHiddenRouteGroups((current) =>
+            current.includes(groupName) ? current.filter((name) => name !== groupName) : [...current, groupName]
+        )
+    }, [])
 
     // Popup
     const updatePopupContent = useCallback(() => {
@@ -1340,6 +4590,17 @@ export default function App() {
                   .join(' &bull; ')}</p>`
             : ''
 
+        const directionParts = (scenario.directions ?? [])
+            .filter((direction) => direction.adjustedCount > 0)
+            .map(
+                (direction) =>
+                    `Direction ${direction.directionId}: ${direction.adjustedCount.toLocaleString()} stops, ` +
+                    `${formatFrequencyMinutes(direction.runtimeMinutes)} running time`
+            )
+        const directionsHtml = directionParts.length
+            ? `<p class="popup-meta">${directionParts.map((part) => escapeHtml(part)).join(' &bull; ')}</p>`
+            : ''
+
         const loadingHtml = isFetchingStops ? '<p class="popup-note">Loading stops…</p>' : ''
         const noStopsHtml =
             !isFetchingStops && !stopDataError && baseCountNumber === 0 && adjustedCountNumber === 0
@@ -1349,6 +4610,14 @@ export default function App() {
             ? `<p class="popup-error">${escapeHtml(stopDataError)}</p>`
             : ''
 
+        const headwaySectionHtml = isFetchingHeadways
+            ? '<p class="popup-note">Loading scheduled headways…</p>'
+            : headwayError
+              ? `<p class="popup-note">Scheduled headways unavailable: ${escapeHtml(headwayError)}</p>`
+              : scheduledHeadways
+                ? buildHeadwayTableHtml(scheduledHeadways, scenario.baseFrequencyMinutes)
+                : ''
+
         const containerColor = routeColorCandidate || '#0f3d91'
         const html = `
             <div class="popup-content" style="--popup-route-color: ${escapeHtml(containerColor)};">
@@ -1358,10 +4627,27 @@ export default function App() {
                     <span class="popup-frequency-value">${escapeHtml(frequencyText)}</span>
                 </p>
                 ${infoHtml}
+                ${directionsHtml}
+                ${
+                    headwaySectionHtml
+                        ? `<div class="popup-headways">
+                               <p class="popup-section-title">Scheduled headways</p>
+                               ${headwaySectionHtml}
+                           </div>`
+                        : ''
+                }
                 <div class="popup-actions">
                     <button type="button" data-action="decrease"${buttonDisabledAttr}>-25% stops</button>
                     <button type="button" data-action="increase"${buttonDisabledAttr}>+25% stops</button>
                 </div>
+                <div class="popup-export">
+                    <span class="popup-section-title">Export</span>
+                    <button type="button" data-export="geojson"${buttonDisabledAttr}>GeoJSON</button>
+                    <button type="button" data-export="csv"${buttonDisabledAttr}>CSV</button>
+                    <button type="button" data-export="kml"${buttonDisabledAttr}>KML</button>
+                    <button type="button" data-export="gtfs-stops"${buttonDisabledAttr}>stops.txt</button>
+                    <button type="button" data-export="gtfs-shapes"${buttonDisabledAttr}>shapes.txt</button>
+                </div>
                 ${errorHtml}
                 ${loadingHtml || noStopsHtml}
             </div>
@@ -1393,10 +4679,18 @@ export default function App() {
         if (decreaseButton) {
             decreaseButton.addEventListener('click', handleDecreaseStops, { once: false })
         }
+
+        popupElement.querySelectorAll('[data-export]').forEach((button) => {
+            button.addEventListener('click', () => handleExportRoute(button.dataset.export))
+        })
     }, [handleDecreaseStops,
+        handleExportRoute,
         handleIncreaseStops,
         handlePopupClose,
+        headwayError,
+        isFetchingHeadways,
         isFetchingStops,
+        scheduledHeadways,
         selectedLegendItem,
         selectedRouteLabel,
         stopDataError
@@ -1409,14 +4703,17 @@ export default function App() {
         mapRef.current = new maplibregl.Map({
             container: mapContainer.current,
             style: 'https://basemaps.cartocdn.com/gl/voyager-gl-style/style.json',
-            center: [-71.0589, 42.3601], // Boston
-            zoom: 12
+            ...(initialUrlStateRef.current.view ?? DEFAULT_MAP_VIEW)
         })
 
         // Add controls
         mapRef.current.addControl(new maplibregl.NavigationControl({ showCompass: true }))
         mapRef.current.addControl(new maplibregl.ScaleControl({ unit: 'imperial' }))
 
+        mapRef.current.on('moveend', () => {
+            setMapView({ center: mapRef.current.getCenter().toArray(), zoom: mapRef.current.getZoom() })
+        })
+
         mapRef.current.on('load', () => {
             mapReadyRef.current = true
             setMapIsReady(true)
@@ -1428,11 +4725,49 @@ export default function App() {
                 offset: 12
             })
 
-            mapRef.current.addSource('bus-routes', {
+            stopPopupRef.current = new maplibregl.Popup({
+                closeButton: false,
+                closeOnClick: false,
+                closeOnMove: false,
+                offset: 10,
+                className: 'stop-popup'
+            })
+
+            stopPopupRef.current.on('close', () => setSelectedStop(null))
+
+            const isStopAtPoint = (point) =>
+                Boolean(mapRef.current?.getLayer(STOP_LAYER.layerId)) &&
+                mapRef.current.queryRenderedFeatures(point, { layers: [STOP_LAYER.layerId] }).length > 0
+
+            mapRef.current.addSource(COVERAGE_LAYER.sourceId, {
                 type: 'geojson',
                 data: EMPTY_GEOJSON
             })
 
+            mapRef.current.addLayer({
+                id: COVERAGE_LAYER.layerId,
+                type: 'fill',
+                source: COVERAGE_LAYER.sourceId,
+                paint: {
+                    'fill-color': [
+                        'match',
+                        ['get', 'change'],
+                        'lost',
+                        COVERAGE_LAYER.lostColor,
+                        COVERAGE_LAYER.gainedColor
+                    ],
+                    'fill-opacity': COVERAGE_LAYER.opacity
+                }
+            })
+
+            // MapLibre turns numeric-looking string ids into numbers and drops the rest, so rendered routes carry
+            // the route id as a property to keep their ids equal to the ones in routesData
+            mapRef.current.addSource('bus-routes', {
+                type: 'geojson',
+                data: EMPTY_GEOJSON,
+                promoteId: 'mbta_route_id'
+            })
+
             mapRef.current.addLayer({
                 id: 'bus-routes-casing',
                 type: 'line',
@@ -1454,6 +4789,10 @@ export default function App() {
                         'case',
                         ['boolean', ['feature-state', 'selected'], false],
                         6,
+                        ['boolean', ['feature-state', 'itinerary'], false],
+                        6,
+                        ['boolean', ['feature-state', 'compared'], false],
+                        6,
                         ['boolean', ['feature-state', 'hover'], false],
                         5,
                         4
@@ -1471,6 +4810,105 @@ export default function App() {
                 }
             })
 
+            const isochroneColor = [
+                'match',
+                ['get', 'minutes'],
+                ...ISOCHRONE_CUTOFF_MINUTES.flatMap((minutes) => [minutes, ISOCHRONE_LAYER.colors[minutes]]),
+                '#64748b'
+            ]
+
+            mapRef.current.addSource(ISOCHRONE_LAYER.sourceId, {
+                type: 'geojson',
+                data: EMPTY_GEOJSON
+            })
+
+            mapRef.current.addLayer({
+                id: ISOCHRONE_LAYER.fillLayerId,
+                type: 'fill',
+                source: ISOCHRONE_LAYER.sourceId,
+                filter: ['==', ['get', 'role'], 'fill'],
+                paint: {
+                    'fill-color': isochroneColor,
+                    'fill-opacity': ISOCHRONE_LAYER.opacity
+                }
+            })
+
+            mapRef.current.addLayer({
+                id: ISOCHRONE_LAYER.outlineLayerId,
+                type: 'line',
+                source: ISOCHRONE_LAYER.sourceId,
+                filter: ['==', ['get', 'role'], 'outline'],
+                paint: {
+                    'line-color': isochroneColor,
+                    'line-width': 2,
+                    'line-dasharray': [2, 1.5]
+                }
+            })
+
+            mapRef.current.addLayer({
+                id: ISOCHRONE_LAYER.originLayerId,
+                type: 'circle',
+                source: ISOCHRONE_LAYER.sourceId,
+                filter: ['==', ['get', 'role'], 'origin'],
+                paint: {
+                    'circle-radius': 6,
+                    'circle-color': '#0f172a',
+                    'circle-stroke-width': 2,
+                    'circle-stroke-color': '#ffffff'
+                }
+            })
+
+            mapRef.current.addSource(TRIP_PLAN_LAYER.sourceId, {
+                type: 'geojson',
+                data: EMPTY_GEOJSON
+            })
+
+            mapRef.current.addLayer({
+                id: TRIP_PLAN_LAYER.rideLayerId,
+                type: 'line',
+                source: TRIP_PLAN_LAYER.sourceId,
+                filter: ['==', ['get', 'mode'], 'bus'],
+                paint: {
+                    'line-color': ['get', 'color'],
+                    'line-width': 8
+                },
+                layout: {
+                    'line-join': 'round',
+                    'line-cap': 'round'
+                }
+            })
+
+            mapRef.current.addLayer({
+                id: TRIP_PLAN_LAYER.walkLayerId,
+                type: 'line',
+                source: TRIP_PLAN_LAYER.sourceId,
+                filter: ['==', ['get', 'mode'], 'walk'],
+                paint: {
+                    'line-color': ['get', 'color'],
+                    'line-width': 3,
+                    'line-dasharray': [1, 1.5]
+                }
+            })
+
+            mapRef.current.addLayer({
+                id: TRIP_PLAN_LAYER.endpointLayerId,
+                type: 'circle',
+                source: TRIP_PLAN_LAYER.sourceId,
+                filter: ['has', 'endpoint'],
+                paint: {
+                    'circle-radius': 7,
+                    'circle-color': [
+                        'match',
+                        ['get', 'endpoint'],
+                        'from',
+                        TRIP_PLAN_LAYER.endpointColors.from,
+                        TRIP_PLAN_LAYER.endpointColors.to
+                    ],
+                    'circle-stroke-width': 2,
+                    'circle-stroke-color': '#ffffff'
+                }
+            })
+
             if (STOP_LAYER && typeof STOP_LAYER === 'object') {
                 const { sourceId, layerId } = STOP_LAYER
 
@@ -1479,7 +4917,8 @@ export default function App() {
 
                     mapRef.current?.addSource(sourceId, {
                         type: 'geojson',
-                        data: EMPTY_GEOJSON
+                        data: EMPTY_GEOJSON,
+                        promoteId: 'stop_id'
                     })
 
                     const layerConfig = {
@@ -1488,7 +4927,7 @@ export default function App() {
                         source: sourceId,
                         paint: {
                             'circle-radius': circleOptions.radius ?? 4,
-                            'circle-color': circleOptions.color ?? '#1f7bf6',
+                            'circle-color': buildStopCircleColor(circleOptions),
                             'circle-opacity': circleOptions.opacity ?? 0.7,
                             'circle-stroke-width': circleOptions.strokeWidth ?? 0.9,
                             'circle-stroke-color': circleOptions.strokeColor ?? '#ffffff'
@@ -1507,6 +4946,227 @@ export default function App() {
                 }
             }
 
+            mapRef.current.addSource(ROUTE_EDIT_LAYER.sourceId, {
+                type: 'geojson',
+                data: EMPTY_GEOJSON
+            })
+
+            mapRef.current.addLayer({
+                id: ROUTE_EDIT_LAYER.draftLayerId,
+                type: 'line',
+                source: ROUTE_EDIT_LAYER.sourceId,
+                filter: ['==', ['get', 'kind'], 'draft'],
+                paint: {
+                    'line-color': '#0f172a',
+                    'line-width': 3,
+                    'line-dasharray': [2, 1.5]
+                }
+            })
+
+            mapRef.current.addLayer({
+                id: ROUTE_EDIT_LAYER.midpointLayerId,
+                type: 'circle',
+                source: ROUTE_EDIT_LAYER.sourceId,
+                filter: ['==', ['get', 'kind'], 'midpoint'],
+                paint: {
+                    'circle-radius': 4,
+                    'circle-color': '#ffffff',
+                    'circle-opacity': 0.85,
+                    'circle-stroke-width': 1.5,
+                    'circle-stroke-color': '#0f172a'
+                }
+            })
+
+            mapRef.current.addLayer({
+                id: ROUTE_EDIT_LAYER.vertexLayerId,
+                type: 'circle',
+                source: ROUTE_EDIT_LAYER.sourceId,
+                filter: ['==', ['get', 'kind'], 'vertex'],
+                paint: {
+                    'circle-radius': 5.5,
+                    'circle-color': '#0f172a',
+                    'circle-stroke-width': 2,
+                    'circle-stroke-color': '#ffffff'
+                }
+            })
+
+            mapRef.current.addImage(
+                VEHICLE_LAYER.iconId,
+                createVehicleArrowImage(VEHICLE_LAYER.iconSize),
+                { sdf: true, pixelRatio: 2 }
+            )
+
+            mapRef.current.addSource(VEHICLE_LAYER.sourceId, {
+                type: 'geojson',
+                data: EMPTY_GEOJSON
+            })
+
+            mapRef.current.addLayer({
+                id: VEHICLE_LAYER.layerId,
+                type: 'symbol',
+                source: VEHICLE_LAYER.sourceId,
+                layout: {
+                    'icon-image': VEHICLE_LAYER.iconId,
+                    'icon-rotate': ['get', 'bearing'],
+                    'icon-rotation-alignment': 'map',
+                    'icon-allow-overlap': true,
+                    'icon-ignore-placement': true,
+                    'icon-size': ['interpolate', ['linear'], ['zoom'], 10, 0.7, 15, 1.1]
+                },
+                paint: {
+                    'icon-color': ['get', 'color'],
+                    'icon-halo-color': '#ffffff',
+                    'icon-halo-width': 1.5
+                }
+            })
+
+            const isVertexToolActive = () => isEditingRouteRef.current && routeEditToolRef.current === 'vertices'
+
+            const startVertexDrag = (event, geometry, lineIndex, vertexIndex, originalGeometry) => {
+                event.preventDefault()
+                routeEditDragRef.current = { geometry, lineIndex, vertexIndex, originalGeometry, moved: false }
+                mapRef.current.getCanvas().style.cursor = 'grabbing'
+            }
+
+            mapRef.current.on('mousedown', ROUTE_EDIT_LAYER.vertexLayerId, (event) => {
+                const geometry = getSelectedRouteGeometry()
+                const handle = event.features?.[0]?.properties
+                if (!isVertexToolActive() || !geometry || !handle || event.originalEvent.button !== 0) return
+
+                startVertexDrag(event, geometry, handle.line, handle.index, geometry)
+            })
+
+            mapRef.current.on('mousedown', ROUTE_EDIT_LAYER.midpointLayerId, (event) => {
+                const geometry = getSelectedRouteGeometry()
+                const handle = event.features?.[0]?.properties
+                if (!isVertexToolActive() || !geometry || !handle || event.originalEvent.button !== 0) return
+
+                const inserted = insertGeometryVertex(geometry, handle.line, handle.index, event.lngLat.toArray())
+                previewRouteGeometry(inserted)
+                startVertexDrag(event, inserted, handle.line, handle.index, geometry)
+                routeEditDragRef.current.moved = true
+            })
+
+            const isStopToolActive = () => isEditingRouteRef.current && routeEditToolRef.current === 'stops'
+
+            mapRef.current.on('mousedown', STOP_LAYER.layerId, (event) => {
+                const feature = event.features?.[0]
+                if (!isStopToolActive() || !feature || event.originalEvent.button !== 0) return
+
+                const features = stopDisplayCollectionRef.current.features
+                const index = findNearestStopIndex(features, feature.geometry.coordinates)
+                if (index === -1) return
+
+                event.preventDefault()
+                stopDragRef.current = { index, features, moved: false }
+                mapRef.current.getCanvas().style.cursor = 'grabbing'
+            })
+
+            mapRef.current.on('contextmenu', STOP_LAYER.layerId, (event) => {
+                const feature = event.features?.[0]
+                if (!isStopToolActive() || !feature) return
+
+                event.preventDefault()
+
+                const features = stopDisplayCollectionRef.current.features
+                const index = findNearestStopIndex(features, feature.geometry.coordinates)
+                if (index === -1) return
+
+                applyStopEdit(features.filter((_, candidateIndex) => candidateIndex !== index))
+            })
+
+            mapRef.current.on('mousemove', (event) => {
+                const stopDrag = stopDragRef.current
+
+                if (stopDrag) {
+                    const stop = stopDrag.features[stopDrag.index]
+                    const movedStop = {
+                        ...stop,
+                        geometry: { type: 'Point', coordinates: snapToSelectedRoute(event.lngLat.toArray()) },
+                        properties: { ...stop.properties, isEdited: true }
+                    }
+
+                    stopDrag.features = stopDrag.features.map((feature, index) =>
+                        index === stopDrag.index ? movedStop : feature
+                    )
+                    stopDrag.moved = true
+                    mapRef.current
+                        .getSource(STOP_LAYER.sourceId)
+                        ?.setData({ type: 'FeatureCollection', features: stopDrag.features })
+                    return
+                }
+
+                const drag = routeEditDragRef.current
+
+                if (drag) {
+                    drag.geometry = moveGeometryVertex(
+                        drag.geometry,
+                        drag.lineIndex,
+                        drag.vertexIndex,
+                        event.lngLat.toArray()
+                    )
+                    drag.moved = true
+                    previewRouteGeometry(drag.geometry)
+                    return
+                }
+
+                if (rerouteDraftRef.current) {
+                    rerouteDraftRef.current.cursor = event.lngLat.toArray()
+                    refreshRouteEditHandles()
+                }
+            })
+
+            mapRef.current.on('mouseup', () => {
+                const stopDrag = stopDragRef.current
+
+                if (stopDrag) {
+                    stopDragRef.current = null
+                    mapRef.current.getCanvas().style.cursor = ''
+
+                    if (stopDrag.moved) {
+                        applyStopEdit(stopDrag.features)
+                    }
+                    return
+                }
+
+                const drag = routeEditDragRef.current
+                if (!drag) return
+
+                routeEditDragRef.current = null
+                mapRef.current.getCanvas().style.cursor = ''
+
+                if (drag.moved) {
+                    commitRouteGeometry(drag.geometry, drag.originalGeometry)
+                }
+            })
+
+            mapRef.current.on('contextmenu', ROUTE_EDIT_LAYER.vertexLayerId, (event) => {
+                const geometry = getSelectedRouteGeometry()
+                const handle = event.features?.[0]?.properties
+                if (!isVertexToolActive() || !geometry || !handle) return
+
+                event.preventDefault()
+
+                const updated = removeGeometryVertex(geometry, handle.line, handle.index)
+
+                if (!updated) {
+                    setRouteEditNote('Each part of the route needs at least two points.')
+                    return
+                }
+
+                commitRouteGeometry(updated, geometry)
+            })
+
+            for (const layerId of [ROUTE_EDIT_LAYER.vertexLayerId, ROUTE_EDIT_LAYER.midpointLayerId]) {
+                mapRef.current.on('mouseenter', layerId, () => {
+                    if (isVertexToolActive()) mapRef.current.getCanvas().style.cursor = 'grab'
+                })
+
+                mapRef.current.on('mouseleave', layerId, () => {
+                    if (!routeEditDragRef.current) mapRef.current.getCanvas().style.cursor = ''
+                })
+            }
+
             mapRef.current.on('mouseenter', 'bus-routes-line', () => {
                 mapRef.current.getCanvas().style.cursor = 'pointer'
             })
@@ -1544,125 +5204,104 @@ export default function App() {
                 }
             })
 
-            mapRef.current.on('click', 'bus-routes-line', (event) => {
-                if (!event.features?.length) return
-
-                const feature = event.features[0]
-                const featureId = feature.id
+            mapRef.current.on('mouseenter', STOP_LAYER.layerId, () => {
+                mapRef.current.getCanvas().style.cursor = isStopToolActive() ? 'grab' : 'pointer'
+            })
 
-                if (featureId === undefined || featureId === null) return
+            mapRef.current.on('mouseleave', STOP_LAYER.layerId, () => {
+                mapRef.current.getCanvas().style.cursor = ''
+            })
 
-                selectedRouteIdRef.current = featureId
-                selectedRouteFeatureRef.current = feature
+            mapRef.current.on('click', STOP_LAYER.layerId, (event) => {
+                if (event.originalEvent.shiftKey || isEditingRouteRef.current || !event.features?.length) return
+                if (mapPickTargetRef.current) return
 
-                                const geometryLength = calculateRepresentativeRouteLengthInMeters(feature.geometry)
-                if (Number.isFinite(geometryLength)) {
-                    selectedRouteLengthRef.current = geometryLength
-                } else {
-                    selectedRouteLengthRef.current = 0
-                }
+                const feature = event.features[0]
+                const coordinates = feature.geometry?.coordinates
 
-                setSelectedRouteId(featureId)
+                if (!Array.isArray(coordinates) || coordinates.length < 2) return
 
-                const cachedCollection = stopCacheRef.current.get(featureId)
+                pushNextUrlState()
+                setSelectedStop({
+                    id: feature.properties?.stop_id ?? (feature.id === undefined ? null : String(feature.id)),
+                    coordinates: [coordinates[0], coordinates[1]],
+                    properties: { ...feature.properties }
+                })
+            })
 
-                if (cachedCollection) {
-                    baseStopCollectionRef.current = cachedCollection
-                    setStopDisplayCollection(cachedCollection)
+            mapRef.current.on('click', 'bus-routes-line', (event) => {
+                if (!event.features?.length || isEditingRouteRef.current) return
+                if (isStopAtPoint(event.point) || mapPickTargetRef.current) return
 
-                    const baseCount = Array.isArray(cachedCollection?.features)
-                        ? cachedCollection.features.length
-                        : 0
-                    const baseFrequency = calculateEstimatedFrequencyMinutes(
-                        selectedRouteLengthRef.current,
-                        baseCount
-                    )
+                const feature = findRouteFeature(routesDataRef.current.features, getRenderedRouteId(event.features[0]))
+                if (!feature) return
 
-                    updateStopScenario({
-                        baseCount,
-                        adjustedCount: baseCount,
-                        factor: baseCount > 0 ? 1 : 1,
-                        baseFrequencyMinutes: baseFrequency,
-                        adjustedFrequencyMinutes: baseFrequency
-                    })
-                } else {
-                    baseStopCollectionRef.current = EMPTY_GEOJSON
-                    setStopDisplayCollection(EMPTY_GEOJSON)
-                    updateStopScenario(DEFAULT_STOP_SCENARIO)
+                if (event.originalEvent.ctrlKey || event.originalEvent.metaKey) {
+                    setComparedRouteIds((current) => toggleComparedRouteId(current, feature.id))
+                    return
                 }
 
-                popupRef.current
-                    ?.setLngLat(event.lngLat)
-                    .setHTML('<p class="popup-note">Loading route details…</p>')
-                    .addTo(mapRef.current)
-
+                pushNextUrlState()
+                selectRouteFeature(feature, event.lngLat)
                 updatePopupContent()
             })
 
             mapRef.current.on('click', (event) => {
                 if (!mapReadyRef.current) return
 
-                if (event.originalEvent.shiftKey) {
-                    if (!selectedRouteIdRef.current) return
-
-                    const { lng, lat } = event.lngLat
-
-                    setRoutesData((current) => ({
-                        ...current,
-                        features: current.features.map((feature) => {
-                            if (feature.id !== selectedRouteIdRef.current) {
-                                return feature
-                            }
+                const pickTarget = mapPickTargetRef.current
 
-                            const geometry = feature.geometry
+                if (pickTarget) {
+                    mapPickTargetRef.current = null
+                    setMapPickTarget(null)
 
-                            if (!geometry) {
-                                return feature
-                            }
+                    if (pickTarget === 'isochrone') {
+                        setIsochroneOrigin(event.lngLat.toArray())
+                        setIsochroneResult(null)
+                        return
+                    }
 
-                            if (geometry.type === 'LineString') {
-                                return {
-                                    ...feature,
-                                    geometry: {
-                                        ...geometry,
-                                        coordinates: [...geometry.coordinates, [lng, lat]]
-                                    }
-                                }
-                            }
+                    // Trip endpoints snap to a stop clicked on
+                    const [stop] = isStopAtPoint(event.point)
+                        ? mapRef.current.queryRenderedFeatures(event.point, { layers: [STOP_LAYER.layerId] })
+                        : []
+                    const coordinate = stop ? stop.geometry.coordinates.slice(0, 2) : event.lngLat.toArray()
 
-                            if (geometry.type === 'MultiLineString') {
-                                const lineCount = geometry.coordinates.length
-                                const targetIndex = Math.max(0, lineCount - 1)
-                                const updatedCoordinates = geometry.coordinates.map((segment, index) =>
-                                    index === targetIndex ? [...segment, [lng, lat]] : segment
-                                )
+                    setTripEndpoints((current) => ({
+                        ...current,
+                        [pickTarget]: { coordinate, label: stop?.properties?.name ?? formatCoordinateLabel(coordinate) }
+                    }))
+                    setTripPlan(null)
+                    return
+                }
 
-                                return {
-                                    ...feature,
-                                    geometry: {
-                                        ...geometry,
-                                        coordinates: updatedCoordinates
-                                    }
-                                }
-                            }
+                if (event.originalEvent.shiftKey) {
+                    const geometry = getSelectedRouteGeometry()
+                    if (!geometry) return
 
-                            return feature
-                        })
-                    }))
+                    commitRouteGeometry(appendCoordinateToGeometry(geometry, event.lngLat.toArray()), geometry)
+                    return
+                }
 
+                if (isEditingRouteRef.current) {
+                    handleRouteEditClick(event, { isOnStop: isStopAtPoint(event.point) })
                     return
                 }
 
+                if (isStopAtPoint(event.point)) return
+
                 const features = mapRef.current.queryRenderedFeatures(event.point, {
                     layers: ['bus-routes-line']
                 })
 
                 if (!features.length) {
+                    if (selectedRouteIdRef.current !== null) pushNextUrlState()
                     selectedRouteIdRef.current = null
                     selectedRouteFeatureRef.current = null
                     selectedRouteLengthRef.current = 0
                     setSelectedRouteId(null)
                     baseStopCollectionRef.current = EMPTY_GEOJSON
+                    setBaseStopCollection(EMPTY_GEOJSON)
                     setStopDisplayCollection(EMPTY_GEOJSON)
                     updateStopScenario(DEFAULT_STOP_SCENARIO)
                     popupRef.current?.remove()
@@ -1674,6 +5313,7 @@ export default function App() {
             mapRef.current && mapRef.current.remove()
             mapRef.current = null
             popupRef.current = null
+            stopPopupRef.current = null
             hoveredRouteRef.current = null
             mapReadyRef.current = false
             selectedRouteIdRef.current = null
@@ -1714,161 +5354,740 @@ export default function App() {
             }
         }
 
-        loadData()
+        loadData()
+
+        return () => {
+            cancelled = true
+        }
+    }, [mapIsReady])
+
+    useEffect(() => {
+        if (!mapRef.current || !mapReadyRef.current) return
+
+        const source = mapRef.current.getSource('bus-routes')
+        if (source) {
+            source.setData(routesData ?? EMPTY_GEOJSON)
+        }
+    }, [routesData])
+
+    useEffect(() => {
+        routesDataRef.current = routesData ?? EMPTY_GEOJSON
+    }, [routesData])
+
+    useEffect(() => {
+        selectedRouteIdRef.current = selectedRouteId
+    }, [selectedRouteId])
+
+    useEffect(() => {
+        if (!mapRef.current || !mapReadyRef.current) return
+
+        const sourceId = STOP_LAYER?.sourceId
+        if (!sourceId) return
+
+        let cancelled = false
+
+        const resetScenario = () => {
+            if (cancelled) return
+            baseStopCollectionRef.current = EMPTY_GEOJSON
+            setBaseStopCollection(EMPTY_GEOJSON)
+            setStopDisplayCollection(EMPTY_GEOJSON)
+            updateStopScenario(DEFAULT_STOP_SCENARIO)
+        }
+
+        if (!selectedRouteId) {
+            setIsFetchingStops(false)
+            setStopDataError(null)
+            resetScenario()
+            return
+        }
+
+        setStopDataError(null)
+
+        const computedRouteLength =
+            selectedRouteLengthRef.current ||
+            calculateRepresentativeRouteLengthInMeters(selectedRouteFeatureRef.current?.geometry)
+
+        if (Number.isFinite(computedRouteLength)) {
+            selectedRouteLengthRef.current = computedRouteLength
+        }
+
+        const cached = stopCacheRef.current.get(selectedRouteId)
+
+        if (cached) {
+            if (baseStopCollectionRef.current !== cached) {
+                applyStopCollection(cached)
+            }
+            setIsFetchingStops(false)
+            return
+        }
+
+        const requestedRouteId = selectedRouteId
+        setIsFetchingStops(true)
+        resetScenario()
+
+        fetchMbtaStopsForRoute(requestedRouteId)
+            .then((fetchedCollection) => {
+                if (cancelled) return
+
+                const routeFeature = routesDataRef.current.features.find((feature) => feature.id === requestedRouteId)
+                const collection = orderStopCollectionAlongGeometry(fetchedCollection, routeFeature?.geometry)
+                stopCacheRef.current.set(requestedRouteId, collection)
+
+                if (selectedRouteIdRef.current !== requestedRouteId) {
+                    return
+                }
+
+                applyStopCollection(collection)
+            })
+            .catch((error) => {
+                if (cancelled) return
+
+                if (selectedRouteIdRef.current !== requestedRouteId) {
+                    return
+                }
+
+                const message = getErrorMessage(
+                    error,
+                    `Failed to load bus stops for route ${requestedRouteId} from the MBTA API.`
+                )
+                setStopDataError(message)
+                resetScenario()
+            })
+            .finally(() => {
+                if (cancelled) return
+
+                if (selectedRouteIdRef.current === requestedRouteId) {
+                    setIsFetchingStops(false)
+                }
+            })
+
+        return () => {
+            cancelled = true
+        }
+
+    }, [selectedRouteId, mapIsReady, applyStopCollection, updateStopScenario])
+
+    useEffect(() => {
+        setHeadwayError(null)
+
+        if (!selectedRouteId) {
+            setScheduledHeadways(null)
+            setIsFetchingHeadways(false)
+            return
+        }
+
+        const cached = headwayCacheRef.current.get(selectedRouteId)
+
+        if (cached) {
+            setScheduledHeadways(cached)
+            setIsFetchingHeadways(false)
+            return
+        }
+
+        let cancelled = false
+        const requestedRouteId = selectedRouteId
+
+        setScheduledHeadways(null)
+        setIsFetchingHeadways(true)
+
+        fetchScheduledHeadways(requestedRouteId)
+            .then((headways) => {
+                if (cancelled) return
+                headwayCacheRef.current.set(requestedRouteId, headways)
+                setScheduledHeadways(headways)
+            })
+            .catch((error) => {
+                if (cancelled) return
+                setHeadwayError(getErrorMessage(error, 'Failed to load scheduled headways.'))
+            })
+            .finally(() => {
+                if (!cancelled) {
+                    setIsFetchingHeadways(false)
+                }
+            })
+
+        return () => {
+            cancelled = true
+        }
+    }, [selectedRouteId])
+
+    useEffect(() => {
+        if (!mapRef.current || !mapReadyRef.current) return
+        if (selectedRouteId === null) return
+
+        mapRef.current.setFeatureState(
+            { source: 'bus-routes', id: selectedRouteId },
+            { selected: true }
+        )
+
+        return () => {
+            if (!mapRef.current || !mapReadyRef.current) return
+            mapRef.current.setFeatureState(
+                { source: 'bus-routes', id: selectedRouteId },
+                { selected: false }
+            )
+        }
+    }, [selectedRouteId])
+
+    useEffect(() => {
+        // Failed routes are retried when they are compared again
+        const failedIds = Object.keys(routeMetricDetails).filter(
+            (key) => routeMetricDetails[key].error && !comparedRouteIds.some((routeId) => String(routeId) === key)
+        )
+
+        if (failedIds.length) {
+            setRouteMetricDetails((current) => {
+                const next = { ...current }
+                failedIds.forEach((key) => delete next[key])
+                return next
+            })
+            return
+        }
+
+        const missingIds = comparedRouteIds.filter((routeId) => !routeMetricDetails[routeId])
+        if (!missingIds.length) return
+
+        setRouteMetricDetails((current) => ({
+            ...current,
+            ...Object.fromEntries(missingIds.map((routeId) => [routeId, { isLoading: true }]))
+        }))
+
+        missingIds.forEach(async (routeId) => {
+            const details = await loadRouteMetricDetails(routeId)
+            setRouteMetricDetails((current) => ({ ...current, [routeId]: details }))
+        })
+    }, [comparedRouteIds, loadRouteMetricDetails, routeMetricDetails])
+
+    useEffect(() => {
+        if (!mapIsReady || !comparedRouteIds.length) return
+
+        const setCompared = (compared) =>
+            comparedRouteIds.forEach((id) => mapRef.current.setFeatureState({ source: 'bus-routes', id }, { compared }))
+
+        if (mapRef.current) setCompared(true)
+
+        return () => {
+            if (!mapRef.current || !mapReadyRef.current) return
+            setCompared(false)
+        }
+    }, [comparedRouteIds, mapIsReady])
+
+    // Hidden groups are filtered out of the route layers; the selected and compared routes always stay drawn
+    useEffect(() => {
+        if (!mapIsReady) return
+
+        const hiddenGroups = hiddenRouteGroups.map((name) => (name === ROUTE_GROUP_FALLBACK ? '' : name))
+        const shownRouteIds = selectedRouteId === null ? comparedRouteIds : [selectedRouteId, ...comparedRouteIds]
+        const filter = hiddenGroups.length
+            ? [
+                  'any',
+                  ['in', ['id'], ['literal', shownRouteIds]],
+                  ['!', ['in', ['coalesce', ['get', 'route_group'], ''], ['literal', hiddenGroups]]]
+              ]
+            : null
+
+        for (const layerId of ['bus-routes-casing', 'bus-routes-line']) {
+            if (mapRef.current?.getLayer(layerId)) mapRef.current.setFilter(layerId, filter)
+        }
+    }, [comparedRouteIds, hiddenRouteGroups, mapIsReady, selectedRouteId])
+
+    useEffect(() => {
+        if (!mapRef.current || !mapReadyRef.current) return
+
+        const sourceId = STOP_LAYER?.sourceId
+        if (!sourceId) return
+
+        const source = mapRef.current.getSource(sourceId)
+        if (!source) return
+
+        source.setData(stopMapCollection ?? EMPTY_GEOJSON)
+    }, [stopMapCollection])
+
+    useEffect(() => {
+        if (!mapIsReady || !mapRef.current?.getLayer(STOP_LAYER.layerId)) return
+
+        const circleOptions = STOP_LAYER.circle
+        const showRidership = Boolean(ridershipByStopId)
+
+        mapRef.current.setPaintProperty(
+            STOP_LAYER.layerId,
+            'circle-radius',
+            showRidership ? circleOptions.ridershipRadius : circleOptions.radius
+        )
+        mapRef.current.setPaintProperty(
+            STOP_LAYER.layerId,
+            'circle-color',
+            buildStopCircleColor(circleOptions, { showRidership })
+        )
+    }, [mapIsReady, ridershipByStopId])
+
+    useEffect(() => {
+        stopDisplayCollectionRef.current = stopDisplayCollection ?? EMPTY_GEOJSON
+    }, [stopDisplayCollection])
+
+    useEffect(() => {
+        updatePopupContent()
+    }, [stopScenarioState, updatePopupContent])
+
+    useEffect(() => {
+        try {
+            window.localStorage.setItem(MODEL_PARAMETERS_STORAGE_KEY, JSON.stringify(modelSettings))
+        } catch {
+            // Storage can be unavailable (private browsing); the settings still apply for this session.
+        }
+    }, [modelSettings])
+
+    useEffect(() => {
+        try {
+            window.localStorage.setItem(MODEL_PARAMETER_SETS_STORAGE_KEY, JSON.stringify(modelParameterSets))
+        } catch {
+            // Same as above: the sets last for this session only.
+        }
+    }, [modelParameterSets])
+
+    useEffect(() => {
+        try {
+            window.localStorage.setItem(SERVICE_PLAN_STORAGE_KEY, JSON.stringify(servicePlanInputs))
+        } catch {
+            // See the model parameters above.
+        }
+    }, [servicePlanInputs])
+
+    useEffect(() => {
+        ridershipByStopIdRef.current = ridershipByStopId
+    }, [ridershipByStopId])
+
+    useEffect(() => {
+        if (!mapIsReady) return
+
+        mapRef.current?.getSource(COVERAGE_LAYER.sourceId)?.setData(coverageResult?.changeCells ?? EMPTY_GEOJSON)
+    }, [coverageResult, mapIsReady])
+
+    useEffect(() => {
+        mapPickTargetRef.current = mapPickTarget
+
+        const canvas = mapRef.current?.getCanvas()
+        if (canvas) canvas.style.cursor = mapPickTarget ? 'crosshair' : ''
+    }, [mapPickTarget])
+
+    useEffect(() => {
+        if (!mapIsReady) return
+
+        mapRef.current
+            ?.getSource(ISOCHRONE_LAYER.sourceId)
+            ?.setData(buildIsochroneCollection(isochroneOrigin, isochroneResult, isochroneVariantId))
+    }, [isochroneOrigin, isochroneResult, isochroneVariantId, mapIsReady])
+
+    useEffect(() => {
+        if (!mapIsReady) return
+
+        mapRef.current
+            ?.getSource(TRIP_PLAN_LAYER.sourceId)
+            ?.setData(buildTripPlanCollection(tripEndpoints, selectedItinerary, routesData.features))
+    }, [mapIsReady, routesData, selectedItinerary, tripEndpoints])
+
+    useEffect(() => {
+        if (!mapIsReady || !selectedItinerary) return
+
+        const routeIds = Array.from(
+            new Set(selectedItinerary.legs.filter((leg) => leg.mode === 'bus').map((leg) => leg.routeId))
+        )
+
+        routeIds.forEach((id) => mapRef.current?.setFeatureState({ source: 'bus-routes', id }, { itinerary: true }))
+
+        return () => {
+            if (!mapRef.current || !mapReadyRef.current) return
+            routeIds.forEach((id) => mapRef.current.setFeatureState({ source: 'bus-routes', id }, { itinerary: false }))
+        }
+    }, [mapIsReady, selectedItinerary])
+
+    useEffect(() => {
+        modelParametersRef.current = modelParameters
+
+        if (selectedRouteIdRef.current === null) return
+
+        updateStopScenario(
+            buildStopScenario(
+                selectedRouteLengthRef.current,
+                baseStopCollectionRef.current.features,
+                stopDisplayCollectionRef.current.features,
+                stopScenarioRef.current.factor,
+                modelParameters
+            )
+        )
+    }, [modelParameters, updateStopScenario])
+
+    useEffect(() => {
+        if (!selectedRouteId) {
+            setSelectedStop(null)
+        }
+    }, [selectedRouteId])
+
+    useEffect(() => {
+        setStopArrivals(null)
+        setArrivalsError(null)
+        setIsFetchingArrivals(false)
+
+        if (!selectedStop?.id || selectedStop.properties?.isSynthetic) {
+            return
+        }
+
+        let cancelled = false
+        const requestedStopId = selectedStop.id
+
+        const loadArrivals = () => {
+            setIsFetchingArrivals(true)
+
+            fetchStopArrivals(requestedStopId)
+                .then((arrivals) => {
+                    if (cancelled) return
+                    setStopArrivals(arrivals)
+                    setArrivalsError(null)
+                })
+                .catch((error) => {
+                    if (cancelled) return
+                    setArrivalsError(getErrorMessage(error, `Failed to load arrivals for stop ${requestedStopId}.`))
+                })
+                .finally(() => {
+                    if (!cancelled) {
+                        setIsFetchingArrivals(false)
+                    }
+                })
+        }
+
+        loadArrivals()
+        const refreshTimer = setInterval(loadArrivals, STOP_ARRIVALS_REFRESH_MS)
 
         return () => {
             cancelled = true
+            clearInterval(refreshTimer)
         }
-    }, [mapIsReady])
+    }, [selectedStop])
 
     useEffect(() => {
-        if (!mapRef.current || !mapReadyRef.current) return
+        const popup = stopPopupRef.current
+        if (!popup || !mapRef.current) return
 
-        const source = mapRef.current.getSource('bus-routes')
-        if (source) {
-            source.setData(routesData ?? EMPTY_GEOJSON)
+        if (!selectedStop) {
+            popup.remove()
+            return
         }
-    }, [routesData])
-
-    useEffect(() => {
-        selectedRouteIdRef.current = selectedRouteId
-    }, [selectedRouteId])
 
-    useEffect(() => {
-        if (!mapRef.current || !mapReadyRef.current) return
+        const properties = selectedStop.properties ?? {}
+        const stopName =
+            typeof properties.name === 'string' && properties.name.trim() ? properties.name.trim() : 'MBTA Stop'
+        const streetParts = [properties.on_street, properties.at_street]
+            .filter((value) => typeof value === 'string' && value.trim())
+            .map((value) => value.trim())
+        const detailParts = [
+            streetParts.length === 2 ? `${streetParts[0]} @ ${streetParts[1]}` : streetParts[0],
+            typeof properties.municipality === 'string' ? properties.municipality.trim() : '',
+            properties.platform_code ? `Platform ${properties.platform_code}` : ''
+        ].filter(Boolean)
+
+        const stopCodeHtml =
+            selectedStop.id && !properties.isSynthetic
+                ? `<span class="popup-route-code">Stop ${escapeHtml(String(selectedStop.id))}</span>`
+                : ''
+        const detailsHtml = detailParts.length
+            ? `<p class="popup-meta">${detailParts.map((part) => escapeHtml(part)).join(' &bull; ')}</p>`
+            : ''
+        const accessibilityHtml = properties.isSynthetic
+            ? ''
+            : `<p class="popup-meta">${escapeHtml(formatWheelchairBoarding(properties.wheelchair_boarding))}</p>`
+
+        const ridershipHtml = Number.isFinite(properties.boardings)
+            ? `<p class="popup-meta">${escapeHtml(
+                  `${properties.boardings.toLocaleString()} boardings · ` +
+                      `${(properties.alightings ?? 0).toLocaleString()} alightings`
+              )}</p>`
+            : ''
 
-        const sourceId = STOP_LAYER?.sourceId
-        if (!sourceId) return
+        const routeCodes = new Map(legendItems.map((item) => [String(item.id), item.code]))
+        const now = Date.now()
 
-        let cancelled = false
+        let arrivalsHtml = ''
 
-        const resetScenario = () => {
-            if (cancelled) return
-            baseStopCollectionRef.current = EMPTY_GEOJSON
-            setStopDisplayCollection(EMPTY_GEOJSON)
-            updateStopScenario(DEFAULT_STOP_SCENARIO)
+        if (properties.isSynthetic) {
+            arrivalsHtml = `<p class="popup-note">${escapeHtml(properties.description || 'Proposed stop.')}</p>`
+        } else if (stopArrivals) {
+            arrivalsHtml = buildArrivalsHtml(stopArrivals, routeCodes, now)
+        } else if (arrivalsError) {
+            arrivalsHtml = `<p class="popup-error">${escapeHtml(arrivalsError)}</p>`
+        } else if (isFetchingArrivals) {
+            arrivalsHtml = '<p class="popup-note">Loading arrivals…</p>'
         }
 
-        if (!selectedRouteId) {
-            setIsFetchingStops(false)
-            setStopDataError(null)
-            resetScenario()
-            return
-        }
+        const updatedHtml =
+            stopArrivals?.generatedAt && !properties.isSynthetic
+                ? `<p class="popup-hint">Updated ${escapeHtml(
+                      new Date(stopArrivals.generatedAt).toLocaleTimeString()
+                  )}${stopArrivals.source === 'gtfs' ? ' from the GTFS schedule' : ''}.</p>`
+                : ''
 
-        setStopDataError(null)
+        const html = `
+            <div class="popup-content">
+                <div class="popup-header">
+                    <div class="popup-header-main">
+                        <div class="popup-title">
+                            ${stopCodeHtml}
+                            <strong class="popup-route-name">${escapeHtml(stopName)}</strong>
+                        </div>
+                    </div>
+                    <button
+                        type="button"
+                        class="popup-close-button"
+                        data-action="close-stop-popup"
+                        aria-label="Close stop popup"
+                    >
+                        <span aria-hidden="true">&times;</span>
+                    </button>
+                </div>
+                ${detailsHtml}
+                ${accessibilityHtml}
+                ${ridershipHtml}
+                ${properties.isSynthetic ? '' : '<p class="popup-section-title">Next departures</p>'}
+                ${arrivalsHtml}
+                ${updatedHtml}
+            </div>
+        `
 
-        const computedRouteLength =
-            selectedRouteLengthRef.current ||
-            calculateRepresentativeRouteLengthInMeters(selectedRouteFeatureRef.current?.geometry)
+        popup.setLngLat(selectedStop.coordinates).setHTML(html)
 
-        if (Number.isFinite(computedRouteLength)) {
-            selectedRouteLengthRef.current = computedRouteLength
+        if (!popup.isOpen()) {
+            popup.addTo(mapRef.current)
         }
 
-        const applyCollection = (collection) => {
-            baseStopCollectionRef.current = collection
-            setStopDisplayCollection(collection)
+        popup
+            .getElement()
+            ?.querySelector('[data-action="close-stop-popup"]')
+            ?.addEventListener('click', () => popup.remove())
+    }, [arrivalsError, isFetchingArrivals, legendItems, selectedStop, stopArrivals])
 
-            const baseCount = Array.isArray(collection?.features) ? collection.features.length : 0
-            const baseFrequency = calculateEstimatedFrequencyMinutes(
-                selectedRouteLengthRef.current,
-                baseCount
-            )
+    useEffect(() => {
+        if (!mapIsReady || !showVehicles) return
 
-            updateStopScenario({
-                baseCount,
-                adjustedCount: baseCount,
-                factor: baseCount > 0 ? 1 : 1,
-                baseFrequencyMinutes: baseFrequency,
-                adjustedFrequencyMinutes: baseFrequency
-            })
+        const vehicles = vehiclesRef.current
+
+        const flushVehicles = () => {
+            vehicleFlushTimerRef.current = null
+            mapRef.current
+                ?.getSource(VEHICLE_LAYER.sourceId)
+                ?.setData(buildVehicleFeatureCollection(vehicles.values(), routesDataRef.current.features))
+            setVehicleCount(vehicles.size)
         }
 
-        const cached = stopCacheRef.current.get(selectedRouteId)
+        const scheduleFlush = () => {
+            if (vehicleFlushTimerRef.current !== null) return
+            vehicleFlushTimerRef.current = setTimeout(flushVehicles, VEHICLE_LAYER.flushDelayMs)
+        }
 
-        if (cached) {
-            applyCollection(cached)
-            setIsFetchingStops(false)
-            return
+        const readEventData = (event) => {
+            try {
+                return JSON.parse(event.data)
+            } catch {
+                return null
+            }
         }
 
-        const requestedRouteId = selectedRouteId
-        setIsFetchingStops(true)
-        resetScenario()
+        setVehicleStreamStatus('connecting')
 
-        fetchMbtaStopsForRoute(requestedRouteId)
-            .then((collection) => {
-                if (cancelled) return
-                stopCacheRef.current.set(requestedRouteId, collection)
+        const eventSource = new EventSource(buildApiUrl('/api/vehicles/stream'))
 
-                if (selectedRouteIdRef.current !== requestedRouteId) {
-                    return
-                }
+        eventSource.addEventListener('open', () => setVehicleStreamStatus('live'))
+        eventSource.addEventListener('error', () => {
+            setVehicleStreamStatus(eventSource.readyState === EventSource.CLOSED ? 'error' : 'connecting')
+        })
 
-                applyCollection(collection)
-            })
-            .catch((error) => {
-                if (cancelled) return
+        eventSource.addEventListener('reset', (event) => {
+            const payload = readEventData(event)
+            vehicles.clear()
 
-                if (selectedRouteIdRef.current !== requestedRouteId) {
-                    return
-                }
+            for (const vehicle of Array.isArray(payload) ? payload : []) {
+                if (vehicle?.id) vehicles.set(vehicle.id, vehicle)
+            }
 
-                const message = getErrorMessage(
-                    error,
-                    `Failed to load bus stops for route ${requestedRouteId} from the MBTA API.`
-                )
-                setStopDataError(message)
-                resetScenario()
-            })
-            .finally(() => {
-                if (cancelled) return
+            scheduleFlush()
+        })
 
-                if (selectedRouteIdRef.current === requestedRouteId) {
-                    setIsFetchingStops(false)
-                }
-            })
+        eventSource.addEventListener('update', (event) => {
+            const vehicle = readEventData(event)
+            if (!vehicle?.id) return
+
+            vehicles.set(vehicle.id, vehicle)
+            scheduleFlush()
+        })
+
+        eventSource.addEventListener('remove', (event) => {
+            const payload = readEventData(event)
+            if (!payload?.id || !vehicles.delete(payload.id)) return
+
+            scheduleFlush()
+        })
 
         return () => {
-            cancelled = true
+            eventSource.close()
+            clearTimeout(vehicleFlushTimerRef.current)
+            vehicleFlushTimerRef.current = null
+            vehicles.clear()
+            mapRef.current?.getSource(VEHICLE_LAYER.sourceId)?.setData(EMPTY_GEOJSON)
+            setVehicleCount(0)
+            setVehicleStreamStatus('idle')
         }
+    }, [mapIsReady, showVehicles])
+
+    useEffect(() => {
+        if (!mapIsReady || !mapRef.current?.getLayer(VEHICLE_LAYER.layerId)) return
 
-    }, [selectedRouteId, mapIsReady, updateStopScenario])
+        mapRef.current.setFilter(
+            VEHICLE_LAYER.layerId,
+            selectedRouteId ? ['==', ['get', 'route_id'], String(selectedRouteId)] : null
+        )
+    }, [mapIsReady, selectedRouteId])
 
     useEffect(() => {
-        if (!mapRef.current || !mapReadyRef.current) return
-        if (selectedRouteId === null) return
+        refreshScenarios()
+    }, [refreshScenarios])
 
-        mapRef.current.setFeatureState(
-            { source: 'bus-routes', id: selectedRouteId },
-            { selected: true }
+    useEffect(() => {
+        setActiveScenario((current) =>
+            current && current.routeId !== String(selectedRouteId) ? null : current
         )
+    }, [selectedRouteId])
 
-        return () => {
-            if (!mapRef.current || !mapReadyRef.current) return
-            mapRef.current.setFeatureState(
-                { source: 'bus-routes', id: selectedRouteId },
-                { selected: false }
-            )
+    useEffect(() => {
+        if (isUrlStateRestored || !mapIsReady || isFetchingData) return
+        if (!routesData.features.length && !dataError) return
+
+        applyUrlState({ ...initialUrlStateRef.current, view: null })
+        setIsUrlStateRestored(true)
+    }, [applyUrlState, dataError, isFetchingData, isUrlStateRestored, mapIsReady, routesData])
+
+    useEffect(() => {
+        if (!isUrlStateRestored) return
+
+        const handlePopState = () => applyUrlState(readUrlState(window.location.search))
+
+        window.addEventListener('popstate', handlePopState)
+        return () => window.removeEventListener('popstate', handlePopState)
+    }, [applyUrlState, isUrlStateRestored])
+
+    // Finish restoring a URL selection once the route's stops are loaded: re-apply the stop factor and open the stop
+    useEffect(() => {
+        if (!pendingUrlSelection) return
+
+        if (pendingUrlSelection.routeId !== String(selectedRouteId) || stopDataError) {
+            setPendingUrlSelection(null)
+            return
         }
-    }, [selectedRouteId])
+
+        const baseCollection = baseStopCollectionRef.current
+        if (isFetchingStops || baseCollection !== stopCacheRef.current.get(selectedRouteId)) return
+
+        setPendingUrlSelection(null)
+
+        const currentFactor = stopScenarioState.factor || 1
+        if (Math.abs(pendingUrlSelection.factor - currentFactor) > 0.001) {
+            adjustStopsByPercentage(pendingUrlSelection.factor / currentFactor - 1)
+        }
+
+        const stop = pendingUrlSelection.stopId
+            ? baseCollection.features.find(
+                  (feature) => String(feature.id ?? feature.properties?.stop_id) === pendingUrlSelection.stopId
+              )
+            : null
+
+        if (stop) {
+            setSelectedStop({
+                id: stop.id ?? stop.properties?.stop_id ?? null,
+                coordinates: stop.geometry.coordinates.slice(0, 2),
+                properties: { ...stop.properties }
+            })
+        }
+    }, [
+        adjustStopsByPercentage,
+        isFetchingStops,
+        pendingUrlSelection,
+        selectedRouteId,
+        stopDataError,
+        stopScenarioState
+    ])
 
     useEffect(() => {
-        if (!mapRef.current || !mapReadyRef.current) return
+        if (!isUrlStateRestored) return
+
+        const search = buildUrlSearch({
+            view: mapView,
+            routeId: selectedRouteId,
+            factor: stopScenarioState.factor,
+            stopId: selectedStop?.properties?.isSynthetic ? null : selectedStop?.id,
+            scenarioId: activeScenario?.id,
+            showVehicles
+        })
+        const historyMode = historyModeRef.current
+        historyModeRef.current = 'replace'
 
-        const sourceId = STOP_LAYER?.sourceId
-        if (!sourceId) return
+        if (search === window.location.search) return
 
-        const source = mapRef.current.getSource(sourceId)
-        if (!source) return
+        const url = `${window.location.pathname}${search}${window.location.hash}`
 
-        source.setData(stopDisplayCollection ?? EMPTY_GEOJSON)
-    }, [stopDisplayCollection])
+        if (historyMode === 'push') {
+            window.history.pushState(null, '', url)
+        } else {
+            window.history.replaceState(null, '', url)
+        }
+    }, [activeScenario, isUrlStateRestored, mapView, selectedRouteId, selectedStop, showVehicles, stopScenarioState])
 
     useEffect(() => {
-        updatePopupContent()
-    }, [stopScenarioState, updatePopupContent])
+        routeEditHistoryRef.current = { past: [], future: [] }
+        rerouteDraftRef.current = null
+        setRouteEditHistory({ undo: 0, redo: 0 })
+        setRouteEditNote(null)
+        setIsEditingRoute(false)
+        setConsolidationReport(null)
+        setConsolidationError(null)
+        setCoverageResult(null)
+        setSpeedProfile(null)
+        setSpeedProfileNote(null)
+        setSpeedProfileError(null)
+        setRuntimePeriodId(ALL_DAY_PERIOD.id)
+    }, [selectedRouteId])
+
+    useEffect(() => {
+        isEditingRouteRef.current = isEditingRoute
+        routeEditToolRef.current = routeEditTool
+        rerouteDraftRef.current = null
+
+        if (!mapIsReady) return
+
+        refreshRouteEditHandles()
+    }, [isEditingRoute, mapIsReady, refreshRouteEditHandles, routeEditTool])
+
+    useEffect(() => {
+        if (!isEditingRoute) return
+
+        const handleKeyDown = (event) => {
+            if (event.target instanceof HTMLElement && event.target.closest('input, textarea, select')) return
+
+            const key = event.key.toLowerCase()
+            const hasModifier = event.ctrlKey || event.metaKey
+
+            if (hasModifier && key === 'z') {
+                event.preventDefault()
+                if (event.shiftKey) handleRedoRouteEdit()
+                else handleUndoRouteEdit()
+            } else if (hasModifier && key === 'y') {
+                event.preventDefault()
+                handleRedoRouteEdit()
+            } else if (key === 'escape') {
+                if (rerouteDraftRef.current) cancelReroute()
+                else setIsEditingRoute(false)
+            }
+        }
+
+        window.addEventListener('keydown', handleKeyDown)
+        return () => window.removeEventListener('keydown', handleKeyDown)
+    }, [cancelReroute, handleRedoRouteEdit, handleUndoRouteEdit, isEditingRoute])
 
     return (
         <div className="map-wrap">
@@ -1879,6 +6098,25 @@ export default function App() {
                         Select a route to change its bus stops on the map.
                     </p>
                 </div>
+                <div className="vehicle-toggle">
+                    <label>
+                        <input
+                            type="checkbox"
+                            checked={showVehicles}
+                            onChange={(event) => setShowVehicles(event.target.checked)}
+                        />
+                        Show live buses
+                    </label>
+                    {showVehicles ? (
+                        <span className={`vehicle-status vehicle-status-${vehicleStreamStatus}`}>
+                            {vehicleStreamStatus === 'live'
+                                ? `${vehicleCount.toLocaleString()} buses`
+                                : vehicleStreamStatus === 'error'
+                                  ? 'Unavailable'
+                                  : 'Connecting…'}
+                        </span>
+                    ) : null}
+                </div>
                 <div className="legend">
                     <h2>MBTA Bus Routes</h2>
                     {dataError ? (
@@ -1886,8 +6124,47 @@ export default function App() {
                     ) : isFetchingData && !legendItems.length ? (
                         <p className="legend-note">Loading bus routes from the MBTA API…</p>
                     ) : null}
+                    {legendItems.length ? (
+                        <>
+                            <input
+                                type="search"
+                                className="legend-search"
+                                placeholder={routeSearchPlaceholder}
+                                aria-label="Filter routes"
+                                value={legendQuery}
+                                onChange={(event) => setLegendQuery(event.target.value)}
+                            />
+                            {routeGroups.length > 1 ? (
+                                <div className="legend-groups" role="group" aria-label="Route groups shown on the map">
+                                    {routeGroups.map((group) => (
+                                        <label key={group.name}>
+                                            <input
+                                                type="checkbox"
+                                                checked={!hiddenRouteGroups.includes(group.name)}
+                                                onChange={() => handleToggleRouteGroup(group.name)}
+                                            />
+                                            {group.name} ({group.count})
+                                        </label>
+                                    ))}
+                                </div>
+                            ) : null}
+                            <p className="legend-note">
+                                Tick routes, or ctrl-click them on the map, to compare up to {MAX_COMPARED_ROUTES}{' '}
+                                side by side.
+                            </p>
+                            <div className="route-editor-actions network-dashboard-toggle">
+                                <button
+                                    type="button"
+                                    className={isDashboardOpen ? 'is-active' : ''}
+                                    onClick={() => setIsDashboardOpen((current) => !current)}
+                                >
+                                    {isDashboardOpen ? 'Hide network metrics' : 'Network metrics'}
+                                </button>
+                            </div>
+                        </>
+                    ) : null}
                     <div className="legend-items">
-                        {legendItems.map((item) => {
+                        {visibleLegendItems.map((item) => {
                             const rowStyle = item.isSelected
                                 ? {
                                       borderColor: item.color,
@@ -1897,19 +6174,41 @@ export default function App() {
 
                             return (
                                 <div key={item.id} className="legend-row" style={rowStyle}>
-                                    <span
-                                        className="legend-swatch"
-                                        style={{ backgroundColor: item.color }}
-                                        aria-hidden="true"
+                                    <input
+                                        type="checkbox"
+                                        aria-label={`Compare route ${item.code}`}
+                                        checked={item.isCompared}
+                                        disabled={!item.isCompared && comparedRouteIds.length >= MAX_COMPARED_ROUTES}
+                                        onChange={() => handleToggleComparedRoute(item.id)}
                                     />
-                                    <div className="legend-route">
-                                        <strong>
-                                            {item.code} <span>{item.name}</span>
-                                        </strong>
-                                    </div>
+                                    <button
+                                        type="button"
+                                        className="legend-select"
+                                        aria-pressed={item.isSelected}
+                                        onClick={() => handleSelectLegendItem(item)}
+                                    >
+                                        <span
+                                            className="legend-swatch"
+                                            style={{ backgroundColor: item.color }}
+                                            aria-hidden="true"
+                                        />
+                                        <div className="legend-route">
+                                            <strong>
+                                                {item.code} <span>{item.name}</span>
+                                            </strong>
+                                            {item.match.municipalities.length ? (
+                                                <span className="legend-description">
+                                                    {item.match.municipalities.join(', ')}
+                                                </span>
+                                            ) : null}
+                                        </div>
+                                    </button>
                                 </div>
                             )
                         })}
+                        {legendItems.length && !visibleLegendItems.length ? (
+                            <p className="legend-note">No routes match this search in the groups shown.</p>
+                        ) : null}
                     </div>
                     {stopDataError ? (
                         <p className="legend-warning">{stopDataError}</p>
@@ -1932,7 +6231,1266 @@ export default function App() {
                         <p className="legend-note"></p>
                     )}
                 </div>
+                {routeComparison.length ? (
+                    <div className="route-comparison">
+                        <h2>Compare Routes</h2>
+                        <div className="route-comparison-table">
+                            <table className="runtime-table">
+                                <thead>
+                                    <tr>
+                                        <th scope="col">Route</th>
+                                        {routeComparison.map((route) => (
+                                            <th key={route.id} scope="col">
+                                                <span
+                                                    className="isochrone-swatch"
+                                                    style={{ background: route.color }}
+                                                    aria-hidden="true"
+                                                />
+                                                {route.code}
+                                            </th>
+                                        ))}
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {ROUTE_METRIC_FIELDS.map((row) => (
+                                        <tr key={row.key}>
+                                            <th scope="row">{row.label}</th>
+                                            {routeComparison.map((route) => (
+                                                <td key={route.id}>
+                                                    {route.metrics
+                                                        ? row.format(route.metrics[row.key])
+                                                        : route.isLoading
+                                                          ? '…'
+                                                          : '—'}
+                                                </td>
+                                            ))}
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                        {routeComparison
+                            .filter((route) => route.error)
+                            .map((route) => (
+                                <p key={route.id} className="legend-error">
+                                    {route.error}
+                                </p>
+                            ))}
+                        <p className="legend-note">
+                            Spacing is measured along the route between consecutive stops in each direction. The
+                            scheduled headway is the weekday midday average over both directions and needs the GTFS
+                            feed.
+                            {routeComparison.some((route) => route.usesShownStops)
+                                ? ' The selected route is measured with the stops shown on the map, including edits.'
+                                : ''}
+                        </p>
+                        <div className="route-editor-actions">
+                            <button type="button" onClick={() => setComparedRouteIds([])}>
+                                Clear comparison
+                            </button>
+                        </div>
+                    </div>
+                ) : null}
+                {selectedRouteId ? (
+                    <div className="route-editor">
+                        <h2>Edit Route</h2>
+                        <p className="legend-note">
+                            {selectedRouteLengthMiles.toFixed(2)} mi · estimated frequency{' '}
+                            {formatFrequencyMinutes(stopScenarioState.adjustedFrequencyMinutes)}
+                        </p>
+                        <div className="route-editor-actions">
+                            <button
+                                type="button"
+                                className={isEditingRoute ? 'is-active' : undefined}
+                                onClick={() => setIsEditingRoute((current) => !current)}
+                            >
+                                {isEditingRoute ? 'Done editing' : 'Edit route'}
+                            </button>
+                            <button type="button" disabled={!routeEditHistory.undo} onClick={handleUndoRouteEdit}>
+                                Undo
+                            </button>
+                            <button type="button" disabled={!routeEditHistory.redo} onClick={handleRedoRouteEdit}>
+                                Redo
+                            </button>
+                        </div>
+                        {isEditingRoute ? (
+                            <>
+                                <div className="route-editor-tools" role="radiogroup" aria-label="Editing tool">
+                                    <label>
+                                        <input
+                                            type="radio"
+                                            name="route-edit-tool"
+                                            checked={routeEditTool === 'vertices'}
+                                            onChange={() => setRouteEditTool('vertices')}
+                                        />
+                                        Vertices
+                                    </label>
+                                    <label>
+                                        <input
+                                            type="radio"
+                                            name="route-edit-tool"
+                                            checked={routeEditTool === 'reroute'}
+                                            onChange={() => setRouteEditTool('reroute')}
+                                        />
+                                        Reroute
+                                    </label>
+                                    <label>
+                                        <input
+                                            type="radio"
+                                            name="route-edit-tool"
+                                            checked={routeEditTool === 'stops'}
+                                            onChange={() => setRouteEditTool('stops')}
+                                        />
+                                        Stops
+                                    </label>
+                                </div>
+                                <p className="legend-note">{ROUTE_EDIT_HINTS[routeEditTool]}</p>
+                            </>
+                        ) : null}
+                        {routeEditNote ? <p className="legend-warning">{routeEditNote}</p> : null}
+                    </div>
+                ) : null}
+                {selectedRouteId ? (
+                    <div className="stop-consolidation">
+                        <h2>Stop Consolidation</h2>
+                        <form className="stop-consolidation-form" onSubmit={handleConsolidateStops}>
+                            <label>
+                                Minimum spacing
+                                <input
+                                    type="number"
+                                    min="0"
+                                    step="any"
+                                    value={stopSpacing.value}
+                                    onChange={(event) =>
+                                        setStopSpacing((current) => ({ ...current, value: event.target.value }))
+                                    }
+                                />
+                            </label>
+                            <select
+                                aria-label="Spacing unit"
+                                value={stopSpacing.unit}
+                                onChange={(event) =>
+                                    setStopSpacing((current) => ({ ...current, unit: event.target.value }))
+                                }
+                            >
+                                {Object.keys(STOP_SPACING_UNITS).map((unit) => (
+                                    <option key={unit} value={unit}>
+                                        {unit}
+                                    </option>
+                                ))}
+                            </select>
+                            <button type="submit" disabled={isFetchingStops || isConsolidatingStops || !stopCount}>
+                                {isConsolidatingStops ? 'Checking transfers…' : 'Consolidate'}
+                            </button>
+                        </form>
+                        <div className="route-editor-actions">
+                            {STOP_SPACING_PRESETS.map((preset) => (
+                                <button
+                                    key={preset.label}
+                                    type="button"
+                                    onClick={() => setStopSpacing({ value: preset.value, unit: preset.unit })}
+                                >
+                                    {preset.label}
+                                </button>
+                            ))}
+                        </div>
+                        {consolidationError ? <p className="legend-error">{consolidationError}</p> : null}
+                        {consolidationReport ? (
+                            consolidationReport.removed.length ? (
+                                <>
+                                    <p className="legend-note">
+                                        Removed {consolidationReport.removed.length.toLocaleString()} stops to meet{' '}
+                                        {formatSpacing(consolidationReport.minSpacingMeters)} spacing. Terminals are
+                                        always kept; transfer points and accessible stops are kept where possible.
+                                    </p>
+                                    <ul className="consolidation-list">
+                                        {consolidationReport.removed.map((stop, index) => (
+                                            <li key={`${stop.id}-${index}`}>
+                                                <strong>{stop.name}</strong>
+                                                <span>{stop.reason}</span>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </>
+                            ) : (
+                                <p className="legend-note">
+                                    Every stop already meets {formatSpacing(consolidationReport.minSpacingMeters)}{' '}
+                                    spacing.
+                                </p>
+                            )
+                        ) : null}
+                    </div>
+                ) : null}
+                <div className="model-parameters">
+                    <h2>Model Parameters</h2>
+                    <div className="parameter-set">
+                        <label>
+                            Parameter set
+                            <select
+                                value={modelParameterSets.activeName}
+                                onChange={(event) => handleSelectModelParameterSet(event.target.value)}
+                            >
+                                <option value="">Unsaved</option>
+                                {Object.keys(modelParameterSets.sets)
+                                    .sort((a, b) => a.localeCompare(b))
+                                    .map((name) => (
+                                        <option key={name} value={name}>
+                                            {name}
+                                        </option>
+                                    ))}
+                            </select>
+                        </label>
+                        <button
+                            type="button"
+                            disabled={!modelParameterSets.activeName}
+                            onClick={handleDeleteModelParameterSet}
+                        >
+                            Delete
+                        </button>
+                    </div>
+                    <form className="parameter-set" onSubmit={handleSaveModelParameterSet}>
+                        <input
+                            type="text"
+                            aria-label="Parameter set name"
+                            placeholder="Set name"
+                            maxLength={100}
+                            value={parameterSetName}
+                            onChange={(event) => setParameterSetName(event.target.value)}
+                        />
+                        <button type="submit" disabled={!parameterSetName.trim()}>
+                            Save set
+                        </button>
+                    </form>
+                    {isParameterSetModified ? (
+                        <p className="legend-note">
+                            Changed since “{modelParameterSets.activeName}” was saved. Save the set to keep the
+                            changes.
+                        </p>
+                    ) : null}
+                    <div className="route-editor-tools" role="radiogroup" aria-label="Parameter scope">
+                        <label>
+                            <input
+                                type="radio"
+                                name="model-parameter-scope"
+                                value="global"
+                                checked={!isRouteParameterScope}
+                                onChange={() => setModelParameterScope('global')}
+                            />
+                            All routes
+                        </label>
+                        <label>
+                            <input
+                                type="radio"
+                                name="model-parameter-scope"
+                                value="route"
+                                checked={isRouteParameterScope}
+                                disabled={!selectedRouteId}
+                                onChange={() => setModelParameterScope('route')}
+                            />
+                            {selectedRouteId ? `Route ${selectedRouteLabel}` : 'Selected route'}
+                        </label>
+                    </div>
+                    <div className="model-parameter-fields">
+                        {visibleModelParameterFields.map((field) => {
+                            const rawValue = editedModelParameters[field.key] ?? ''
+                            const inheritedValue = inheritedModelParameters[field.key]
+                            const isInvalid = rawValue !== '' && readModelParameterValue(field, rawValue) === null
+
+                            return (
+                                <label key={field.key}>
+                                    {field.label} ({field.unit})
+                                    <input
+                                        type="number"
+                                        min={field.min}
+                                        step={field.step}
+                                        className={isInvalid ? 'is-invalid' : undefined}
+                                        placeholder={inheritedValue === null ? 'auto' : String(inheritedValue)}
+                                        value={rawValue}
+                                        onChange={(event) => handleModelParameterChange(field.key, event.target.value)}
+                                    />
+                                </label>
+                            )
+                        })}
+                    </div>
+                    <div className="route-editor-actions">
+                        <button
+                            type="button"
+                            disabled={!Object.keys(editedModelParameters).length}
+                            onClick={handleResetModelParameters}
+                        >
+                            {isRouteParameterScope ? 'Clear route overrides' : 'Reset to defaults'}
+                        </button>
+                    </div>
+                    {selectedRouteId ? (
+                        <p className="legend-note">
+                            Route {selectedRouteLabel}: {stopScenarioState.busesInService ?? '—'} buses (
+                            {modelParameters.busesInService ? 'set' : 'estimated from route span'}), estimated
+                            frequency {formatFrequencyMinutes(stopScenarioState.adjustedFrequencyMinutes)}.
+                        </p>
+                    ) : (
+                        <p className="legend-note">
+                            Empty fields use the value shown. Select a route to give it its own overrides and
+                            its number of buses in service.
+                        </p>
+                    )}
+                </div>
+                {selectedRouteId ? (
+                    <div className="service-plan">
+                        <h2>Service Plan</h2>
+                        <div className="model-parameter-fields">
+                            {SERVICE_PLAN_FIELDS.map((field) => {
+                                const rawValue = servicePlanInputs[field.key] ?? ''
+                                const isInvalid = rawValue !== '' && readModelParameterValue(field, rawValue) === null
+
+                                return (
+                                    <label key={field.key}>
+                                        {field.label} ({field.unit})
+                                        <input
+                                            type="number"
+                                            min={field.min}
+                                            step={field.step}
+                                            className={isInvalid ? 'is-invalid' : undefined}
+                                            placeholder={String(DEFAULT_SERVICE_PLAN[field.key])}
+                                            value={rawValue}
+                                            onChange={(event) =>
+                                                setServicePlanInputs((current) => ({
+                                                    ...current,
+                                                    [field.key]: event.target.value
+                                                }))
+                                            }
+                                        />
+                                    </label>
+                                )
+                            })}
+                        </div>
+                        {servicePlan ? (
+                            <>
+                                <dl className="service-plan-results">
+                                    <dt>Running time (round trip)</dt>
+                                    <dd>{formatFrequencyMinutes(servicePlan.runningMinutes)}</dd>
+                                    <dt>Layover</dt>
+                                    <dd>
+                                        {formatFrequencyMinutes(servicePlan.layoverMinutes)} (at least{' '}
+                                        {formatFrequencyMinutes(servicePlan.plannedLayoverMinutes)})
+                                    </dd>
+                                    <dt>Cycle time</dt>
+                                    <dd>{formatFrequencyMinutes(servicePlan.cycleMinutes)}</dd>
+                                    <dt>Buses required</dt>
+                                    <dd>{servicePlan.busesRequired.toLocaleString()}</dd>
+                                    <dt>Trips per direction</dt>
+                                    <dd>{servicePlan.tripsPerDirection.toLocaleString()}</dd>
+                                    <dt>Revenue vehicle hours / day</dt>
+                                    <dd>{servicePlan.revenueVehicleHours.toLocaleString()}</dd>
+                                    <dt>Operating cost / day</dt>
+                                    <dd>${Math.round(servicePlan.dailyCost).toLocaleString()}</dd>
+                                </dl>
+                                <div className="route-editor-actions">
+                                    <button
+                                        type="button"
+                                        disabled={modelParameters.busesInService === servicePlan.busesRequired}
+                                        onClick={handleApplyPlannedFleet}
+                                    >
+                                        Use {servicePlan.busesRequired} buses for this route
+                                    </button>
+                                </div>
+                            </>
+                        ) : (
+                            <p className="legend-note">Load the route's stops to plan service for it.</p>
+                        )}
+                    </div>
+                ) : null}
+                <div className="ridership">
+                    <h2>Ridership</h2>
+                    <div className="route-editor-actions">
+                        <label className="file-button">
+                            {ridership ? 'Replace ridership CSV' : 'Import ridership CSV'}
+                            <input type="file" accept=".csv,text/csv" onChange={handleImportRidership} />
+                        </label>
+                        {ridership ? (
+                            <button type="button" onClick={() => setRidership(null)}>
+                                Clear
+                            </button>
+                        ) : null}
+                    </div>
+                    {ridershipError ? <p className="legend-error">{ridershipError}</p> : null}
+                    {ridership ? (
+                        <label className="runtime-period">
+                            {ridership.fileName} for
+                            <select
+                                value={ridershipPeriodId}
+                                onChange={(event) => setRidershipPeriodId(event.target.value)}
+                            >
+                                <option value={ALL_DAY_PERIOD.id}>{ALL_DAY_PERIOD.label}</option>
+                                {ridership.periods.map((periodId) => (
+                                    <option key={periodId} value={periodId}>
+                                        {periodId}
+                                    </option>
+                                ))}
+                            </select>
+                        </label>
+                    ) : (
+                        <p className="legend-note">
+                            Load a CSV with stop_id, route_id, boardings, alightings and time_period columns to size
+                            and colour stops by boardings.
+                        </p>
+                    )}
+                    {ridershipImpact ? (
+                        <>
+                            <p className="legend-note">
+                                {ridershipImpact.matchedStopCount.toLocaleString()} of{' '}
+                                {ridershipImpact.stopCount.toLocaleString()} stops have ridership, with{' '}
+                                {ridershipImpact.route.boardings.toLocaleString()} boardings and{' '}
+                                {ridershipImpact.route.alightings.toLocaleString()} alightings.
+                            </p>
+                            {ridershipImpact.removedStops.length ? (
+                                <>
+                                    <p className="legend-note">
+                                        The {ridershipImpact.removedStops.length.toLocaleString()} removed stops
+                                        serve {ridershipImpact.removed.boardings.toLocaleString()} boardings and{' '}
+                                        {ridershipImpact.removed.alightings.toLocaleString()} alightings.
+                                    </p>
+                                    <ul className="consolidation-list">
+                                        {ridershipImpact.removedStops.map((stop) => (
+                                            <li key={stop.id}>
+                                                <strong>{stop.name}</strong>
+                                                <span>
+                                                    {stop.usage === null
+                                                        ? 'No ridership data'
+                                                        : `${stop.boardings.toLocaleString()} boardings, ` +
+                                                          `${stop.alightings.toLocaleString()} alightings`}
+                                                </span>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </>
+                            ) : (
+                                <p className="legend-note">No stops with ridership have been removed.</p>
+                            )}
+                            {ridershipImpact.leastUsed.length ? (
+                                <>
+                                    <p className="runtime-direction-title">Least used stops</p>
+                                    <ol className="consolidation-list">
+                                        {ridershipImpact.leastUsed.map((stop) => (
+                                            <li key={stop.id}>
+                                                <strong>{stop.name}</strong>
+                                                <span>
+                                                    {stop.usage.toLocaleString()} riders (
+                                                    {stop.boardings.toLocaleString()} on,{' '}
+                                                    {stop.alightings.toLocaleString()} off)
+                                                </span>
+                                            </li>
+                                        ))}
+                                    </ol>
+                                    <p className="legend-note">
+                                        Stop consolidation removes the least used stop first among stops of the same
+                                        priority.
+                                    </p>
+                                </>
+                            ) : null}
+                        </>
+                    ) : null}
+                </div>
+                {selectedRouteId ? (
+                    <div className="walk-coverage">
+                        <h2>Walk Access</h2>
+                        <div className="route-editor-actions">
+                            <label className="file-button">
+                                {coverageAreas ? 'Replace population GeoJSON' : 'Load population GeoJSON'}
+                                <input
+                                    type="file"
+                                    accept=".geojson,.json,application/geo+json,application/json"
+                                    onChange={handleLoadCoverageAreas}
+                                />
+                            </label>
+                        </div>
+                        {coverageError ? <p className="legend-error">{coverageError}</p> : null}
+                        {coverageAreas ? (
+                            <form
+                                className="stop-consolidation-form walk-coverage-form"
+                                onSubmit={handleAnalyzeCoverage}
+                            >
+                                {[
+                                    ['population', 'Population field'],
+                                    ['jobs', 'Jobs field']
+                                ].map(([metric, label]) => (
+                                    <label key={metric}>
+                                        {label}
+                                        <select
+                                            value={coverageKeys[metric]}
+                                            onChange={(event) =>
+                                                setCoverageKeys((current) => ({
+                                                    ...current,
+                                                    [metric]: event.target.value
+                                                }))
+                                            }
+                                        >
+                                            <option value="">None</option>
+                                            {coverageAreas.numericKeys.map((key) => (
+                                                <option key={key} value={key}>
+                                                    {key}
+                                                </option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                ))}
+                                <label>
+                                    Walk distance
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        step="any"
+                                        value={walkRadius.value}
+                                        onChange={(event) =>
+                                            setWalkRadius((current) => ({ ...current, value: event.target.value }))
+                                        }
+                                    />
+                                </label>
+                                <select
+                                    aria-label="Walk distance unit"
+                                    value={walkRadius.unit}
+                                    onChange={(event) =>
+                                        setWalkRadius((current) => ({ ...current, unit: event.target.value }))
+                                    }
+                                >
+                                    {Object.keys(STOP_SPACING_UNITS).map((unit) => (
+                                        <option key={unit} value={unit}>
+                                            {unit}
+                                        </option>
+                                    ))}
+                                </select>
+                                <button type="submit" disabled={isFetchingStops || !stopCount}>
+                                    Analyze
+                                </button>
+                            </form>
+                        ) : (
+                            <p className="legend-note">
+                                Load a census block or population GeoJSON to compare walk access to the original and
+                                current stops.
+                            </p>
+                        )}
+                        {coverageResult ? (
+                            <>
+                                <table className="runtime-table">
+                                    <thead>
+                                        <tr>
+                                            <th scope="col"></th>
+                                            <th scope="col">Before</th>
+                                            <th scope="col">After</th>
+                                            <th scope="col">Gained</th>
+                                            <th scope="col">Lost</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {[
+                                            ['population', 'Population'],
+                                            ['jobs', 'Jobs']
+                                        ]
+                                            .filter(([metric]) => coverageKeys[metric])
+                                            .map(([metric, label]) => (
+                                                <tr key={metric}>
+                                                    <th scope="row">{label}</th>
+                                                    {COVERAGE_COLUMNS.map((column) => {
+                                                        const count = Math.round(coverageResult[metric][column])
+                                                        return <td key={column}>{count.toLocaleString()}</td>
+                                                    })}
+                                                </tr>
+                                            ))}
+                                    </tbody>
+                                </table>
+                                <p className="legend-note">
+                                    Within {formatSpacing(coverageResult.radiusMeters)} in a straight line of a stop,
+                                    across {coverageResult.areaCount.toLocaleString()} areas from{' '}
+                                    {coverageAreas?.fileName}. Red cells on the map lose access, green cells gain it.
+                                    {coverageResult.stops !== stopDisplayCollection
+                                        ? ' The stops have changed since this analysis; run it again to update.'
+                                        : ''}
+                                </p>
+                                <div className="route-editor-actions">
+                                    <button type="button" onClick={() => setCoverageResult(null)}>
+                                        Clear analysis
+                                    </button>
+                                </div>
+                            </>
+                        ) : null}
+                    </div>
+                ) : null}
+                {selectedRouteId ? (
+                    <div className="runtime-breakdown">
+                        <h2>Runtime Breakdown</h2>
+                        <div className="route-editor-actions">
+                            <button
+                                type="button"
+                                disabled={isLoadingSpeedProfile}
+                                onClick={handleLoadGtfsSpeedProfile}
+                            >
+                                {isLoadingSpeedProfile ? 'Loading…' : 'Scheduled speeds'}
+                            </button>
+                            <label className="file-button">
+                                Import speeds CSV
+                                <input type="file" accept=".csv,text/csv" onChange={handleImportSpeedProfile} />
+                            </label>
+                            {speedProfile ? (
+                                <button type="button" onClick={() => setSpeedProfile(null)}>
+                                    Clear speeds
+                                </button>
+                            ) : null}
+                        </div>
+                        {speedProfileError ? <p className="legend-error">{speedProfileError}</p> : null}
+                        {speedProfile ? (
+                            <label className="runtime-period">
+                                {speedProfile.label} for
+                                <select
+                                    value={runtimePeriodId}
+                                    onChange={(event) => setRuntimePeriodId(event.target.value)}
+                                >
+                                    {speedProfile.periods.map((period) => (
+                                        <option key={period.id} value={period.id}>
+                                            {period.label}
+                                        </option>
+                                    ))}
+                                </select>
+                            </label>
+                        ) : (
+                            <p className="legend-note">
+                                Every segment runs at the average speed until scheduled or imported speeds are loaded.
+                            </p>
+                        )}
+                        {speedProfileNote ? <p className="legend-note">{speedProfileNote}</p> : null}
+                        {runtimeBreakdown?.length ? (
+                            <>
+                                {runtimeBreakdown.map((direction) => (
+                                    <div key={direction.directionId} className="runtime-direction">
+                                        <p className="runtime-direction-title">
+                                            {direction.directionId === -1
+                                                ? 'Stops without a direction'
+                                                : `Direction ${direction.directionId}`}{' '}
+                                            · {(direction.distanceMeters / METERS_PER_MILE).toFixed(2)} mi ·{' '}
+                                            {formatDurationSeconds(direction.totalSeconds)}
+                                        </p>
+                                        <table className="runtime-table">
+                                            <thead>
+                                                <tr>
+                                                    <th scope="col">Segment</th>
+                                                    <th scope="col">Speed</th>
+                                                    <th scope="col">Run</th>
+                                                    <th scope="col">Stop</th>
+                                                    <th scope="col">Total</th>
+                                                </tr>
+                                            </thead>
+                                            <tbody>
+                                                {direction.segments.map((segment, index) => (
+                                                    <tr
+                                                        key={index}
+                                                        className={
+                                                            segment.profiledShare > 0 ? 'is-profiled' : undefined
+                                                        }
+                                                    >
+                                                        <th scope="row">
+                                                            {segment.fromName} → {segment.toName}
+                                                        </th>
+                                                        <td>{segment.speedMph.toFixed(1)} mph</td>
+                                                        <td>{formatDurationSeconds(segment.cruiseSeconds)}</td>
+                                                        <td>
+                                                            {formatDurationSeconds(
+                                                                segment.accelerationSeconds + segment.dwellSeconds
+                                                            )}
+                                                        </td>
+                                                        <td>{formatDurationSeconds(segment.totalSeconds)}</td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    </div>
+                                ))}
+                                <p className="legend-note">
+                                    Stop time is the dwell plus braking and acceleration. With{' '}
+                                    {stopScenarioState.busesInService ?? '—'} buses this runtime gives a
+                                    frequency of {formatFrequencyMinutes(runtimeBreakdownFrequencyMinutes)}.
+                                </p>
+                            </>
+                        ) : (
+                            <p className="legend-note">Load the route's stops to see its runtime by segment.</p>
+                        )}
+                    </div>
+                ) : null}
+                <div className="transit-access">
+                    <h2>Transit Access</h2>
+                    <div className="route-editor-actions">
+                        <button
+                            type="button"
+                            className={mapPickTarget === 'isochrone' ? 'is-active' : ''}
+                            onClick={() =>
+                                setMapPickTarget((current) => (current === 'isochrone' ? null : 'isochrone'))
+                            }
+                        >
+                            {mapPickTarget === 'isochrone'
+                                ? 'Click the map…'
+                                : isochroneOrigin
+                                  ? 'Move origin'
+                                  : 'Pick origin on map'}
+                        </button>
+                        {isochroneOrigin ? (
+                            <button type="button" onClick={handleClearIsochrones}>
+                                Clear
+                            </button>
+                        ) : null}
+                    </div>
+                    <form className="stop-consolidation-form transit-access-form" onSubmit={handleComputeIsochrones}>
+                        <label>
+                            Departure
+                            <input
+                                type="time"
+                                required
+                                value={isochroneRequest.time}
+                                onChange={(event) =>
+                                    setIsochroneRequest((current) => ({ ...current, time: event.target.value }))
+                                }
+                            />
+                        </label>
+                        <label>
+                            Date
+                            <input
+                                type="date"
+                                value={isochroneRequest.date}
+                                onChange={(event) =>
+                                    setIsochroneRequest((current) => ({ ...current, date: event.target.value }))
+                                }
+                            />
+                        </label>
+                        <button type="submit" disabled={!isochroneOrigin || isComputingIsochrones}>
+                            {isComputingIsochrones ? 'Computing…' : 'Compute'}
+                        </button>
+                    </form>
+                    {selectedRouteId ? (
+                        <label className="transit-access-compare">
+                            <input
+                                type="checkbox"
+                                checked={isochroneRequest.compareScenario}
+                                onChange={(event) =>
+                                    setIsochroneRequest((current) => ({
+                                        ...current,
+                                        compareScenario: event.target.checked
+                                    }))
+                                }
+                            />
+                            Compare with this route's current stops
+                        </label>
+                    ) : null}
+                    {isochroneError ? <p className="legend-error">{isochroneError}</p> : null}
+                    {isochroneResult ? (
+                        <>
+                            {isochroneResult.scenario ? (
+                                <div className="route-editor-tools" role="radiogroup" aria-label="Filled isochrones">
+                                    {SCENARIO_VARIANTS.map((variant) => (
+                                        <label key={variant.id}>
+                                            <input
+                                                type="radio"
+                                                name="isochrone-variant"
+                                                checked={isochroneVariantId === variant.id}
+                                                onChange={() => setIsochroneVariantId(variant.id)}
+                                            />
+                                            {variant.label}
+                                        </label>
+                                    ))}
+                                </div>
+                            ) : null}
+                            <table className="runtime-table">
+                                <thead>
+                                    <tr>
+                                        <th scope="col">Within</th>
+                                        <th scope="col">Baseline</th>
+                                        {isochroneResult.scenario ? (
+                                            <>
+                                                <th scope="col">Scenario</th>
+                                                <th scope="col">Change</th>
+                                            </>
+                                        ) : null}
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {isochroneResult.baseline.isochrones.features.map((feature, index) => {
+                                        const { minutes, areaSquareKm, reachedStopCount } = feature.properties
+                                        const scenario =
+                                            isochroneResult.scenario?.isochrones.features[index]?.properties
+                                        const change = scenario ? scenario.areaSquareKm - areaSquareKm : null
+
+                                        return (
+                                            <tr key={minutes}>
+                                                <th scope="row">
+                                                    <span
+                                                        className="isochrone-swatch"
+                                                        style={{ background: ISOCHRONE_LAYER.colors[minutes] }}
+                                                    />
+                                                    {minutes} min
+                                                </th>
+                                                <td>
+                                                    {formatAreaSquareKm(areaSquareKm)} · {reachedStopCount} stops
+                                                </td>
+                                                {scenario ? (
+                                                    <>
+                                                        <td>
+                                                            {formatAreaSquareKm(scenario.areaSquareKm)} ·{' '}
+                                                            {scenario.reachedStopCount} stops
+                                                        </td>
+                                                        <td>
+                                                            {change >= 0 ? '+' : '−'}
+                                                            {formatAreaSquareKm(Math.abs(change))}
+                                                        </td>
+                                                    </>
+                                                ) : null}
+                                            </tr>
+                                        )
+                                    })}
+                                </tbody>
+                            </table>
+                            <p className="legend-note">
+                                Leaving at {isochroneResult.time} on the{' '}
+                                {formatServiceDate(isochroneResult.serviceDate)} schedule, walking up to{' '}
+                                {isochroneResult.settings.maxAccessWalkMinutes} minutes at each end and{' '}
+                                {formatSpacing(isochroneResult.settings.maxTransferWalkMeters)} between stops, with
+                                up to {isochroneResult.settings.maxTransfers} transfers.
+                                {isochroneResult.scenario
+                                    ? ` The ${isochroneVariantId} areas are filled and the other set is dashed.`
+                                    : ''}
+                                {isochroneResult.stops && isochroneResult.stops !== stopDisplayCollection
+                                    ? ' The stops have changed since these were computed; compute again to update.'
+                                    : ''}
+                            </p>
+                        </>
+                    ) : (
+                        <p className="legend-note">
+                            Pick an origin to see how far walking and riding the bus reach in{' '}
+                            {ISOCHRONE_CUTOFF_MINUTES.join(', ')} minutes. Leave the date empty for a typical
+                            weekday.
+                        </p>
+                    )}
+                </div>
+                <div className="trip-planner">
+                    <h2>Trip Planner</h2>
+                    {TRIP_ENDPOINTS.map((endpoint) => (
+                        <div key={endpoint.id} className="trip-planner-endpoint">
+                            <span className="trip-planner-endpoint-label">{endpoint.label}</span>
+                            <span className="trip-planner-endpoint-value">
+                                {tripEndpoints[endpoint.id]?.label ?? 'Not set'}
+                            </span>
+                            <button
+                                type="button"
+                                className={mapPickTarget === endpoint.id ? 'is-active' : ''}
+                                onClick={() =>
+                                    setMapPickTarget((current) => (current === endpoint.id ? null : endpoint.id))
+                                }
+                            >
+                                {mapPickTarget === endpoint.id ? 'Click the map…' : 'Pick on map'}
+                            </button>
+                        </div>
+                    ))}
+                    <form className="stop-consolidation-form" onSubmit={handleSearchTripStops}>
+                        <label>
+                            Find a stop
+                            <input
+                                type="search"
+                                placeholder="Stop name or ID"
+                                value={tripStopSearch.query}
+                                onChange={(event) =>
+                                    setTripStopSearch((current) => ({ ...current, query: event.target.value }))
+                                }
+                            />
+                        </label>
+                        <button type="submit" disabled={!tripStopSearch.query.trim()}>
+                            Search
+                        </button>
+                    </form>
+                    {tripStopSearch.matches ? (
+                        tripStopSearch.matches.length ? (
+                            <ul className="consolidation-list trip-planner-matches">
+                                {tripStopSearch.matches.map((stop) => (
+                                    <li key={stop.id}>
+                                        <span>
+                                            {stop.properties.name}
+                                            {stop.properties.municipality ? ` · ${stop.properties.municipality}` : ''}
+                                        </span>
+                                        {TRIP_ENDPOINTS.map((endpoint) => (
+                                            <button
+                                                key={endpoint.id}
+                                                type="button"
+                                                onClick={() =>
+                                                    handleSetTripEndpoint(endpoint.id, {
+                                                        coordinate: stop.geometry.coordinates,
+                                                        label: stop.properties.name
+                                                    })
+                                                }
+                                            >
+                                                {endpoint.label}
+                                            </button>
+                                        ))}
+                                    </li>
+                                ))}
+                            </ul>
+                        ) : (
+                            <p className="legend-note">No served stops match that search.</p>
+                        )
+                    ) : null}
+                    <form className="stop-consolidation-form transit-access-form" onSubmit={handlePlanTrip}>
+                        <label>
+                            Departure
+                            <input
+                                type="time"
+                                required
+                                value={tripPlanRequest.time}
+                                onChange={(event) =>
+                                    setTripPlanRequest((current) => ({ ...current, time: event.target.value }))
+                                }
+                            />
+                        </label>
+                        <label>
+                            Date
+                            <input
+                                type="date"
+                                value={tripPlanRequest.date}
+                                onChange={(event) =>
+                                    setTripPlanRequest((current) => ({ ...current, date: event.target.value }))
+                                }
+                            />
+                        </label>
+                        <button
+                            type="submit"
+                            disabled={!tripEndpoints.from || !tripEndpoints.to || isPlanningTrip}
+                        >
+                            {isPlanningTrip ? 'Planning…' : 'Plan'}
+                        </button>
+                    </form>
+                    {selectedRouteId ? (
+                        <label className="transit-access-compare">
+                            <input
+                                type="checkbox"
+                                checked={tripPlanRequest.compareScenario}
+                                onChange={(event) =>
+                                    setTripPlanRequest((current) => ({
+                                        ...current,
+                                        compareScenario: event.target.checked
+                                    }))
+                                }
+                            />
+                            Compare with this route's current stops
+                        </label>
+                    ) : null}
+                    {tripEndpoints.from || tripEndpoints.to ? (
+                        <div className="route-editor-actions">
+                            <button type="button" onClick={handleClearTripPlan}>
+                                Clear trip
+                            </button>
+                        </div>
+                    ) : null}
+                    {tripPlanError ? <p className="legend-error">{tripPlanError}</p> : null}
+                    {tripPlan ? (
+                        <>
+                            {tripPlan.scenario ? (
+                                <div className="route-editor-tools" role="radiogroup" aria-label="Shown itineraries">
+                                    {SCENARIO_VARIANTS.map((variant) => (
+                                        <label key={variant.id}>
+                                            <input
+                                                type="radio"
+                                                name="trip-plan-variant"
+                                                checked={tripPlanVariantId === variant.id}
+                                                onChange={() => {
+                                                    setTripPlanVariantId(variant.id)
+                                                    setSelectedItineraryIndex(0)
+                                                }}
+                                            />
+                                            {variant.label}
+                                        </label>
+                                    ))}
+                                </div>
+                            ) : null}
+                            {tripPlan[tripPlanVariantId].itineraries.length ? (
+                                <ol className="trip-planner-itineraries">
+                                    {tripPlan[tripPlanVariantId].itineraries.map((itinerary, index) => (
+                                        <li key={`${itinerary.departureSeconds}-${index}`}>
+                                            <button
+                                                type="button"
+                                                className={index === selectedItineraryIndex ? 'is-active' : ''}
+                                                onClick={() => setSelectedItineraryIndex(index)}
+                                            >
+                                                {describeItinerary(itinerary)}
+                                            </button>
+                                            {index === selectedItineraryIndex ? (
+                                                <ul>
+                                                    {itinerary.legs.map((leg, legIndex) => (
+                                                        <li key={legIndex}>{describeItineraryLeg(leg)}</li>
+                                                    ))}
+                                                </ul>
+                                            ) : null}
+                                        </li>
+                                    ))}
+                                </ol>
+                            ) : (
+                                <p className="legend-note">
+                                    No trip found within {tripPlan.settings.maxTransfers} transfers of{' '}
+                                    {tripPlan.time}.
+                                </p>
+                            )}
+                            <p className="legend-note">
+                                Leaving at {tripPlan.time} on the {formatServiceDate(tripPlan.serviceDate)} schedule,
+                                walking up to {tripPlan.settings.maxAccessWalkMinutes} minutes at each end.
+                                {tripPlanComparison?.deltaMinutes != null
+                                    ? tripPlanComparison.deltaMinutes === 0
+                                        ? ' The scenario stops do not change the earliest arrival.'
+                                        : ` The scenario stops make the earliest arrival ${Math.abs(
+                                              tripPlanComparison.deltaMinutes
+                                          )} min ${tripPlanComparison.deltaMinutes > 0 ? 'later' : 'earlier'}.`
+                                    : ''}
+                                {tripPlan.stops && tripPlan.stops !== stopDisplayCollection
+                                    ? ' The stops have changed since this was planned; plan again to update.'
+                                    : ''}
+                            </p>
+                        </>
+                    ) : (
+                        <p className="legend-note">
+                            Pick a start and end on the map or search for a stop, then plan a walk and bus trip.
+                            Leave the date empty for a typical weekday.
+                        </p>
+                    )}
+                </div>
+                <div className="scenarios">
+                    <h2>Saved Scenarios</h2>
+                    {scenarioError ? <p className="legend-error">{scenarioError}</p> : null}
+                    {selectedRouteId ? (
+                        <form className="scenario-form" onSubmit={handleSaveScenario}>
+                            <input
+                                type="text"
+                                placeholder="Scenario name"
+                                maxLength={200}
+                                value={scenarioDraft.name}
+                                onChange={(event) =>
+                                    setScenarioDraft((current) => ({ ...current, name: event.target.value }))
+                                }
+                            />
+                            <textarea
+                                placeholder="Description (optional)"
+                                rows={2}
+                                maxLength={2000}
+                                value={scenarioDraft.description}
+                                onChange={(event) =>
+                                    setScenarioDraft((current) => ({ ...current, description: event.target.value }))
+                                }
+                            />
+                            <div className="scenario-actions">
+                                <button type="submit" disabled={isSavingScenario || !scenarioDraft.name.trim()}>
+                                    Save as new
+                                </button>
+                                {activeScenario ? (
+                                    <button
+                                        type="button"
+                                        disabled={isSavingScenario}
+                                        onClick={handleUpdateActiveScenario}
+                                    >
+                                        Save changes to “{activeScenario.name}”
+                                    </button>
+                                ) : null}
+                            </div>
+                        </form>
+                    ) : (
+                        <p className="legend-note">Select a route to save its stops as a scenario.</p>
+                    )}
+                    {savedScenarios.length ? (
+                        <ul className="scenario-list">
+                            {savedScenarios.map((scenario) => (
+                                <li
+                                    key={scenario.id}
+                                    className={scenario.id === activeScenario?.id ? 'is-active' : undefined}
+                                >
+                                    {renamingScenario?.id === scenario.id ? (
+                                        <form className="scenario-rename" onSubmit={handleRenameScenario}>
+                                            <input
+                                                type="text"
+                                                maxLength={200}
+                                                value={renamingScenario.name}
+                                                onChange={(event) =>
+                                                    setRenamingScenario({ id: scenario.id, name: event.target.value })
+                                                }
+                                                autoFocus
+                                            />
+                                            <button type="submit">Save</button>
+                                            <button type="button" onClick={() => setRenamingScenario(null)}>
+                                                Cancel
+                                            </button>
+                                        </form>
+                                    ) : (
+                                        <>
+                                            <div className="scenario-summary">
+                                                <strong>{scenario.name}</strong>
+                                                <span>
+                                                    Route {scenario.routeId} ·{' '}
+                                                    {scenario.stopCount.toLocaleString()} stops
+                                                    {scenario.hasGeometry ? ' · edited path' : ''}
+                                                </span>
+                                                {scenario.description ? <p>{scenario.description}</p> : null}
+                                            </div>
+                                            <div className="scenario-actions">
+                                                <button
+                                                    type="button"
+                                                    onClick={() => {
+                                                        pushNextUrlState()
+                                                        handleOpenScenario(scenario.id)
+                                                    }}
+                                                >
+                                                    Open
+                                                </button>
+                                                <button
+                                                    type="button"
+                                                    onClick={() =>
+                                                        setRenamingScenario({ id: scenario.id, name: scenario.name })
+                                                    }
+                                                >
+                                                    Rename
+                                                </button>
+                                                <button type="button" onClick={() => handleDeleteScenario(scenario)}>
+                                                    Delete
+                                                </button>
+                                            </div>
+                                        </>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                    ) : null}
+                </div>
             </div>
+            {isDashboardOpen ? (
+                <div className="network-dashboard">
+                    <div className="network-dashboard-header">
+                        <h2>Network Metrics</h2>
+                        <button type="button" onClick={() => setIsDashboardOpen(false)}>
+                            Close
+                        </button>
+                    </div>
+                    <div className="route-editor-actions">
+                        {isLoadingNetworkStops ? (
+                            <button type="button" onClick={handleStopNetworkLoad}>
+                                Stop loading
+                            </button>
+                        ) : (
+                            <button
+                                type="button"
+                                disabled={networkStopsLoadedCount === networkMetricRows.length}
+                                onClick={handleLoadNetworkStops}
+                            >
+                                Load stops for all routes
+                            </button>
+                        )}
+                        <button
+                            type="button"
+                            disabled={!dashboardRows.length}
+                            onClick={() => handleExportNetworkMetrics('csv')}
+                        >
+                            Export CSV
+                        </button>
+                        <button
+                            type="button"
+                            disabled={!dashboardRows.length}
+                            onClick={() => handleExportNetworkMetrics('xlsx')}
+                        >
+                            Export XLSX
+                        </button>
+                    </div>
+                    <div className="stop-consolidation-form network-dashboard-filters">
+                        <input
+                            type="search"
+                            className="legend-search"
+                            placeholder={routeSearchPlaceholder}
+                            aria-label="Filter routes"
+                            value={dashboardFilter.query}
+                            onChange={(event) =>
+                                setDashboardFilter((current) => ({ ...current, query: event.target.value }))
+                            }
+                        />
+                        {routeGroups.length > 1 ? (
+                            <select
+                                aria-label="Route group"
+                                value={dashboardFilter.group}
+                                onChange={(event) =>
+                                    setDashboardFilter((current) => ({ ...current, group: event.target.value }))
+                                }
+                            >
+                                <option value="">All groups</option>
+                                {routeGroups.map((group) => (
+                                    <option key={group.name} value={group.name}>
+                                        {group.name}
+                                    </option>
+                                ))}
+                            </select>
+                        ) : null}
+                    </div>
+                    {networkLoadError ? <p className="legend-error">{networkLoadError}</p> : null}
+                    <p className="legend-note">
+                        Stops loaded for {networkStopsLoadedCount.toLocaleString()} of{' '}
+                        {networkMetricRows.length.toLocaleString()} routes
+                        {isLoadingNetworkStops ? '…' : '.'} Showing {dashboardRows.length.toLocaleString()} routes.
+                        Click a route to select it on the map, or a column heading to sort.
+                    </p>
+                    <div className="network-dashboard-table">
+                        <table className="runtime-table">
+                            <thead>
+                                <tr>
+                                    {[{ key: 'code', label: 'Route' }, ...ROUTE_METRIC_FIELDS].map((column) => (
+                                        <th
+                                            key={column.key}
+                                            scope="col"
+                                            aria-sort={
+                                                dashboardSort.key === column.key
+                                                    ? dashboardSort.direction === 1
+                                                        ? 'ascending'
+                                                        : 'descending'
+                                                    : undefined
+                                            }
+                                        >
+                                            <button type="button" onClick={() => handleSortDashboard(column.key)}>
+                                                {column.label}
+                                                {dashboardSort.key === column.key
+                                                    ? dashboardSort.direction === 1
+                                                        ? ' ▲'
+                                                        : ' ▼'
+                                                    : ''}
+                                            </button>
+                                        </th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {dashboardRows.map(({ item, metrics }) => (
+                                    <tr key={item.id} className={item.isSelected ? 'is-selected' : ''}>
+                                        <th scope="row">
+                                            <button
+                                                type="button"
+                                                title={item.name}
+                                                onClick={() => handleSelectLegendItem(item)}
+                                            >
+                                                <span
+                                                    className="isochrone-swatch"
+                                                    style={{ background: item.color }}
+                                                    aria-hidden="true"
+                                                />
+                                                {item.code}
+                                            </button>
+                                        </th>
+                                        {ROUTE_METRIC_FIELDS.map((field) => (
+                                            <td key={field.key}>
+                                                {metrics[field.key] === undefined
+                                                    ? '—'
+                                                    : field.format(metrics[field.key])}
+                                            </td>
+                                        ))}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    <p className="legend-note">
+                        Metrics use each route's stops as loaded, without stop edits, and the route's model
+                        parameters. Scheduled headways are the weekday midday average and need the GTFS feed.
+                    </p>
+                </div>
+            ) : null}
             <div ref={mapContainer} className="map" />
         </div>
     )